@@ -0,0 +1,58 @@
+// src/accounts.js - Registry of per-account proxy managers
+// Every configured Minecraft account gets its own ProxyManager (auth folder,
+// local proxy port, ETA learner). The dashboard, REST API, CLI and Discord bot
+// all resolve the account they act on through this registry.
+
+class AccountManager {
+  /**
+   * @param {import('./proxy')[]} proxies - One proxy manager per account, default first
+   */
+  constructor(proxies) {
+    /** @type {Map<string, import('./proxy')>} */
+    this.proxies = new Map(proxies.map((proxy) => [proxy.account.id, proxy]));
+    this.defaultId = proxies[0]?.account.id ?? null;
+  }
+
+  /**
+   * Look up the proxy for an account id.
+   * Returns the default account when no id is given, or null if the id is unknown.
+   */
+  get(id) {
+    if (id == null || id === '') return this.proxies.get(this.defaultId) || null;
+    return this.proxies.get(String(id).toLowerCase()) || null;
+  }
+
+  /** All proxy managers, in configuration order */
+  all() {
+    return [...this.proxies.values()];
+  }
+
+  /** Account ids, in configuration order */
+  ids() {
+    return [...this.proxies.keys()];
+  }
+
+  /** Whether more than one account is configured */
+  isMulti() {
+    return this.proxies.size > 1;
+  }
+
+  /** Short per-account summaries (used by /api/accounts, CLI and Discord) */
+  list() {
+    return this.all().map((proxy) => {
+      const state = proxy.getState();
+      return {
+        id: proxy.account.id,
+        username: state.username,
+        doing: state.doing,
+        isInQueue: state.isInQueue,
+        queuePlace: state.queuePlace,
+        eta: state.eta,
+        proxyAddress: state.proxyAddress,
+        default: proxy.account.id === this.defaultId,
+      };
+    });
+  }
+}
+
+module.exports = AccountManager;
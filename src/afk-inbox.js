@@ -0,0 +1,83 @@
+// src/afk-inbox.js - Whispers received while nobody is playing
+// After the queue the bot often sits on the server alone (anti-AFK running,
+// no player linked), and whispers to the account would go unread. The inbox
+// answers them with an optional auto-reply (once per sender per interval),
+// raises a notification for each one (desktop, Discord and dashboard via the
+// 'whisper' event) and keeps them until a player connects, who then gets them
+// in chat.
+//
+// Whisper recognition is shared with whisper-control.js; whispered commands
+// are handled there and never reach the inbox.
+
+const config = require('./config');
+
+class AfkInbox {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot receives the whispers
+   * @param {object} [options] - Defaults to config.afkInbox
+   * @param {boolean} [options.autoReply] - Answer whispers automatically
+   * @param {string} [options.message] - The auto-reply
+   * @param {number} [options.interval] - Minimum time between auto-replies to one sender (ms)
+   * @param {boolean} [options.notify] - Notify (desktop/Discord/dashboard) on every whisper
+   * @param {number} [options.limit] - Whispers kept for the player
+   */
+  constructor(proxy, options = config.afkInbox) {
+    this.proxy = proxy;
+    this.options = {
+      autoReply: false,
+      message: "I'm AFK right now, I'll read this later.",
+      interval: 10 * 60 * 1000,
+      notify: true,
+      limit: 50,
+      ...options,
+    };
+    this.messages = [];
+    this.lastReply = new Map(); // lowercase sender -> time of the last auto-reply
+  }
+
+  /**
+   * Look at a packet from the server while no player is linked.
+   * @returns {object|null} The stored whisper, if it was one
+   */
+  handlePacket(name, data, now = Date.now()) {
+    if (this.proxy.proxyClient) return null;
+    const whisper = this.proxy.whispers.parse(name, data);
+    if (!whisper || !whisper.message) return null;
+
+    const entry = { time: new Date(now).toISOString(), sender: whisper.sender, message: whisper.message };
+    this.messages.push(entry);
+    if (this.messages.length > this.options.limit) this.messages.shift();
+    this.proxy._updateState({ afkWhispers: this.messages.length });
+
+    this.proxy._log(`Whisper from ${entry.sender}: ${entry.message}`);
+    if (this.options.notify) {
+      this.proxy._notify(`Whisper from ${entry.sender}: ${entry.message}`);
+      this.proxy.emit('whisper', entry);
+    }
+
+    const key = entry.sender.toLowerCase();
+    const last = this.lastReply.get(key);
+    if (this.options.autoReply && this.options.message && (last === undefined || now - last >= this.options.interval)) {
+      this.lastReply.set(key, now);
+      this.proxy.whispers.reply(entry.sender, this.options.message);
+    }
+    return entry;
+  }
+
+  /** Show the stored whispers to a player who just connected, then forget them */
+  deliver(player) {
+    if (this.messages.length === 0) return 0;
+    const count = this.messages.length;
+    const lines = [`${count} whisper${count === 1 ? '' : 's'} while you were away:`];
+    for (const { time, sender, message } of this.messages) {
+      const at = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      lines.push(`${at} ${sender}: ${message}`);
+    }
+    this.proxy._tell(player, lines.join('\n'));
+    this.messages = [];
+    this.proxy._updateState({ afkWhispers: 0 });
+    return count;
+  }
+}
+
+module.exports = AfkInbox;
@@ -22,10 +22,16 @@ class AntiAFK {
       ...options,
     };
     this.running = false;
+    this.pausedBy = new Set(); // Who holds a pause ('eat', 'death'...); actions are skipped while anyone does
     this.timers = new Map(); // actionName -> active timer ID
     this.origin = null; // Set when start() is called
   }
 
+  /** Whether anything holds a pause */
+  get paused() {
+    return this.pausedBy.size > 0;
+  }
+
   /** Start all anti-AFK behaviors */
   start() {
     if (this.running || !this.options.enabled) return;
@@ -48,7 +54,7 @@ class AntiAFK {
     const scheduleAction = (name, fn, baseDelay, jitterMs) => {
       const tick = () => {
         if (!this.running) return;
-        fn();
+        if (!this.paused) fn();
         const timer = setTimeout(tick, baseDelay + this._jitter(jitterMs));
         this.timers.set(name, timer);
       };
@@ -83,7 +89,30 @@ class AntiAFK {
     this.running = false;
     this.timers.forEach((t) => clearTimeout(t));
     this.timers.clear();
+    this._releaseControls();
 
+    logger.info('Anti-AFK stopped');
+  }
+
+  /**
+   * Hold off (keep the timers, skip the actions) while something else uses
+   * the controls. Each owner resumes only its own pause, and pauses outlive
+   * stop()/start(), so toggling anti-AFK on a dead bot keeps it quiet.
+   * @param {string} [owner]
+   */
+  pause(owner = 'manual') {
+    const wasPaused = this.paused;
+    this.pausedBy.add(owner);
+    if (this.running && !wasPaused) this._releaseControls();
+  }
+
+  /** Continue after pause(owner), once no other owner holds a pause */
+  resume(owner = 'manual') {
+    this.pausedBy.delete(owner);
+  }
+
+  /** Internal: let go of every movement key */
+  _releaseControls() {
     try {
       this.bot?.setControlState('forward', false);
       this.bot?.setControlState('back', false);
@@ -94,8 +123,6 @@ class AntiAFK {
     } catch (e) {
       // Bot may already be disconnected
     }
-
-    logger.info('Anti-AFK stopped');
   }
 
   /** Get horizontal distance from origin */
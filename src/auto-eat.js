@@ -0,0 +1,131 @@
+// src/auto-eat.js - Keep the unattended bot fed
+// Long anti-AFK sessions slowly drain hunger (jumping, healing).
+// Whenever the bot's food level drops below the threshold and no player is
+// linked, the best food in the inventory is equipped, eaten, and the slot
+// that was held before is selected again. Anti-AFK is paused meanwhile so
+// its random walking and looking don't interrupt eating.
+//
+// "Best" is the food with the highest effective quality (food points plus
+// saturation, see minecraft-data). Foods with side effects (rotten flesh,
+// pufferfish...) and golden apples are skipped by default. Running out of
+// food is logged and raises a 'noFood' event (Discord, dashboard) plus a
+// desktop notification, once until food turns up again.
+
+const config = require('./config');
+
+const DEFAULT_BANNED = [
+  'rotten_flesh', 'spider_eye', 'poisonous_potato', 'pufferfish', 'chicken',
+  'suspicious_stew', 'chorus_fruit', 'golden_apple', 'enchanted_golden_apple',
+];
+
+class AutoEat {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot is fed
+   * @param {object} [options] - Defaults to config.autoEat
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.hunger] - Eat when food drops below this, out of 20
+   * @param {string[]} [options.banned] - Item names never eaten
+   */
+  constructor(proxy, options = config.autoEat) {
+    this.proxy = proxy;
+    this.options = {
+      enabled: true,
+      hunger: 14,
+      banned: DEFAULT_BANNED,
+      ...options,
+    };
+    this.bot = null;
+    this.eating = false;
+    this.outOfFood = false;
+    this._onHealth = () => this.check();
+  }
+
+  /** Start watching a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!this.options.enabled || !bot) return;
+    this.bot = bot;
+    this.outOfFood = false;
+    bot.on('health', this._onHealth);
+    this.check();
+  }
+
+  /** Stop watching (disconnected or stopped) */
+  detach() {
+    if (!this.bot) return;
+    this.bot.removeListener('health', this._onHealth);
+    this.bot = null;
+  }
+
+  /**
+   * The most nourishing allowed food among items.
+   * @param {object[]} items - mineflayer Items
+   * @param {object} foods - minecraft-data foodsByName
+   * @returns {object|null} The item to eat
+   */
+  pickFood(items, foods) {
+    let best = null;
+    let bestQuality = -1;
+    for (const item of items) {
+      const food = foods[item.name];
+      if (!food || this.options.banned.includes(item.name)) continue;
+      if (food.effectiveQuality > bestQuality) {
+        best = item;
+        bestQuality = food.effectiveQuality;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Eat if the bot is hungry and nobody is playing.
+   * @returns {Promise<boolean>} Whether something was eaten
+   */
+  async check() {
+    const bot = this.bot;
+    if (!bot || this.eating || this.proxy.proxyClient || bot.isAlive === false) return false;
+    if (bot.food == null || bot.food >= this.options.hunger) return false;
+
+    const item = this.pickFood(bot.inventory?.items() || [], bot.registry?.foodsByName || {});
+    if (!item) {
+      if (!this.outOfFood) {
+        this.outOfFood = true;
+        this.proxy._log(`Auto-eat: hungry (${bot.food}/20) but there is no food in the inventory`, 'warn');
+        this.proxy._notify('The bot is out of food');
+        this.proxy.emit('noFood', { food: bot.food });
+      }
+      return false;
+    }
+    this.outOfFood = false;
+
+    this.eating = true;
+    const antiAfk = this.proxy.antiAfk;
+    const previousSlot = bot.quickBarSlot;
+    const before = bot.food;
+    let ate = false;
+    antiAfk?.pause('eat');
+    try {
+      await bot.equip(item, 'hand');
+      await bot.consume();
+      ate = true;
+      this.proxy._log(`Auto-eat: ate ${item.displayName || item.name} (food ${bot.food}/20)`);
+    } catch (err) {
+      this.proxy._log(`Auto-eat failed: ${err.message}`, 'warn');
+    } finally {
+      try {
+        if (this.bot === bot && previousSlot != null && bot.quickBarSlot !== previousSlot) {
+          bot.setQuickBarSlot(previousSlot);
+        }
+      } catch (e) { /* ignore */ }
+      antiAfk?.resume('eat');
+      this.eating = false;
+    }
+    // Still hungry after one item: keep going, as long as eating actually helps
+    if (ate && bot.food > before) await this.check();
+    return ate;
+  }
+}
+
+AutoEat.DEFAULT_BANNED = DEFAULT_BANNED;
+
+module.exports = AutoEat;
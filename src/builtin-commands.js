@@ -0,0 +1,443 @@
+// src/builtin-commands.js - Commands available on every interface
+// Registered by CommandRegistry (see command-registry.js). Handlers get the
+// account to act on as ctx.proxy and return { title, lines, data }: lines are
+// the human-readable answer, data the same information for the REST and
+// Socket.IO adapters. Actions that the proxy already logs ("Queue stopped")
+// don't repeat it in lines - the registry passes those logs along.
+const logger = require('./logger');
+const DeadlinePlanner = require('./deadline');
+const { CommandError } = require('./command-registry');
+
+/** Internal: "2h 5m" from minutes */
+function fmtWait(minutes) {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/** Internal: plan summary shared by "deadline" with and without arguments */
+function deadlineLines(plan) {
+  if (!plan) return ['No deadline set. Usage: deadline <HH:MM>'];
+  const fmt = (t) => new Date(t).toLocaleString();
+  return [
+    `In-game by:   ${fmt(plan.deadline)}`,
+    `Queue starts: ${fmt(plan.startAt)}`,
+    `Est. wait:    ${fmtWait(plan.waitMinutes)} (~${plan.queueLength} in queue)`,
+  ];
+}
+
+/** Internal: "Diamond Sword x2 (sharpness 5, 1500/1561)" */
+function itemLabel(item) {
+  if (!item) return '-';
+  const extras = item.enchants.map((e) => `${e.name} ${e.level}`);
+  if (item.durability) extras.push(`${item.durability.left}/${item.durability.max}`);
+  return `${item.displayName}${item.count > 1 ? ` x${item.count}` : ''}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+}
+
+/** Internal: "3h 12m ago" */
+function ago(time) {
+  const minutes = Math.max(0, Math.round((Date.now() - Date.parse(time)) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 48 * 60) return `${fmtWait(minutes)} ago`;
+  return `${Math.floor(minutes / 1440)}d ago`;
+}
+
+module.exports = [
+  {
+    name: 'help',
+    aliases: ['commands'],
+    title: 'Commands',
+    description: 'Show this help message',
+    args: [{ name: 'command' }],
+    run({ registry, args, permission, source, only }) {
+      if (args.command) {
+        const command = registry.get(args.command);
+        if (!command) throw new CommandError(`Unknown command: "${args.command}"`, 404);
+        const aliases = command.aliases.length ? ` (alias: ${command.aliases.join(', ')})` : '';
+        return {
+          lines: [`${command.usage}${aliases}`, command.description, `Permission: ${command.permission}`],
+          data: registry.describe(command),
+        };
+      }
+      const commands = registry.list({ permission, source, only });
+      const width = Math.max(...commands.map((c) => c.usage.length));
+      return {
+        lines: commands.map((c) => `${c.usage.padEnd(width)}  ${c.description}`),
+        data: commands.map((c) => registry.describe(c)),
+      };
+    },
+  },
+  {
+    name: 'status',
+    aliases: ['update'],
+    title: 'Status',
+    description: 'Show current queue status',
+    run({ proxy }) {
+      const state = proxy.getState();
+      return {
+        lines: [
+          `Status: ${state.doing}`,
+          `Position: ${state.queuePlace}`,
+          `ETA: ${state.eta}`,
+          `Anti-AFK: ${state.antiAfkActive ? 'Active' : 'Inactive'}`,
+          `Auto-Restart: ${state.restartQueue ? 'On' : 'Off'}`,
+        ],
+        data: {
+          doing: state.doing,
+          queuePlace: state.queuePlace,
+          eta: state.eta,
+          antiAfkActive: !!state.antiAfkActive,
+          restartQueue: !!state.restartQueue,
+        },
+      };
+    },
+  },
+  {
+    name: 'stats',
+    title: 'Player Stats',
+    description: 'Show health and hunger',
+    run({ proxy }) {
+      const stats = proxy.getPlayerStats();
+      if (!stats || stats.health == null) {
+        return { lines: ['Not connected to server'], data: { health: null, food: null } };
+      }
+      const hp = Math.ceil(stats.health / 2);
+      const food = Math.floor(stats.food / 2);
+      return {
+        lines: [`Health: ${hp === 0 ? 'DEAD' : `${hp}/10`}`, `Hunger: ${food === 0 ? 'STARVING' : `${food}/10`}`],
+        data: stats,
+      };
+    },
+  },
+  {
+    name: 'where',
+    title: 'World',
+    description: 'Show where the bot is (position, dimension, time, weather)',
+    run({ proxy }) {
+      const world = proxy.world.status();
+      if (!world.position) return { lines: ['Not on the server'], data: world };
+      const { x, y, z } = world.position;
+      const dimension = (world.dimension || 'unknown').replace(/^minecraft:/, '');
+      const lines = [
+        `Position: ${x} ${y} ${z} (${dimension})`,
+        `Facing:   ${world.facing} (yaw ${world.yaw}, pitch ${world.pitch})`,
+        `Ground:   ${world.standingOn || '-'}, biome ${world.biome || '-'}`,
+        `Time:     ${world.clock || '-'}${world.day != null ? ` on day ${world.day}` : ''}, ${world.weather}`,
+      ];
+      if (world.drift) {
+        lines.push(`Drift:    ${world.drift.blocks} blocks since ${new Date(world.drift.since).toLocaleTimeString()}`);
+      }
+      return { lines, data: world };
+    },
+  },
+  {
+    name: 'inventory',
+    aliases: ['inv'],
+    title: 'Inventory',
+    description: 'Show what the bot carries, or select, equip, drop, toss or swap items',
+    usage: 'inventory [select <0-8> | equip|drop|toss <slot> | offhand]',
+    args: [
+      { name: 'action', choices: ['select', 'equip', 'drop', 'toss', 'offhand'] },
+      { name: 'slot', type: 'number' },
+    ],
+    run({ proxy, args, requirePermission }) {
+      const inventory = proxy.inventory;
+      if (!args.action) {
+        const status = inventory.status();
+        if (!status.active) return { lines: ['Not on the server'], data: status };
+        const { head, torso, legs, feet } = status.armor;
+        return {
+          lines: [
+            `Held:    ${itemLabel(status.held)} (hotbar ${status.quickBarSlot})`,
+            `Armor:   ${[head, torso, legs, feet].map(itemLabel).join(' | ')}`,
+            `Offhand: ${itemLabel(status.offhand)}`,
+            ...status.items.map((item) => `  ${String(item.slot).padStart(2)}  ${itemLabel(item)}`),
+          ],
+          data: status,
+        };
+      }
+      // Dropping or tossing gives items away for good: not for every Discord user
+      requirePermission('admin');
+      if (args.action !== 'offhand' && args.slot == null) {
+        throw new CommandError(`Missing slot. Usage: inventory ${args.action} <${args.action === 'select' ? '0-8' : 'slot'}>`);
+      }
+      try {
+        switch (args.action) {
+          case 'select': inventory.selectSlot(args.slot); break;
+          case 'equip': inventory.equip(args.slot); break;
+          case 'drop': inventory.drop(args.slot); break;
+          case 'toss': inventory.toss(args.slot); break;
+          default: inventory.swapOffhand();
+        }
+      } catch (err) {
+        throw new CommandError(err.message, 409);
+      }
+      return { lines: ['Sent'], data: { action: args.action, slot: args.slot ?? null } };
+    },
+  },
+  {
+    name: 'seen',
+    aliases: ['players'],
+    title: 'Players',
+    description: 'When a player was last online, or who joined and left lately',
+    usage: 'seen [player]',
+    args: [{ name: 'player' }],
+    run({ proxy, args }) {
+      const tracker = proxy.players;
+      if (!args.player) {
+        const status = tracker.status();
+        const recent = tracker.history({ limit: 10 });
+        return {
+          lines: [
+            status.active ? `Online: ${status.count} players` : 'Not on the server',
+            ...recent.map((e) => `  ${new Date(e.time).toLocaleTimeString()}  ${e.type === 'join' ? '+' : '-'} ${e.name}`),
+          ],
+          data: { ...status, recent },
+        };
+      }
+      const player = tracker.get(args.player);
+      if (!player) return { lines: [`Never seen ${args.player}`], data: null };
+      const lines = [];
+      if (player.online) {
+        const since = player.lastJoin ? ` since ${new Date(player.lastJoin).toLocaleString()}` : '';
+        lines.push(`${player.name} is online${since}${player.ping != null ? ` (ping ${player.ping} ms)` : ''}`);
+      } else {
+        lines.push(`${player.name} was last online ${new Date(player.lastSeen).toLocaleString()} (${ago(player.lastSeen)})`);
+      }
+      lines.push(`Joins seen: ${player.joins}, first seen ${new Date(player.firstSeen).toLocaleString()}`);
+      if (player.watched) lines.push('Watched');
+      return { lines, data: player };
+    },
+  },
+  {
+    name: 'watch',
+    title: 'Watched Players',
+    description: 'List, add or remove players announced when they log in or out',
+    usage: 'watch [list | add|remove <player>]',
+    args: [
+      { name: 'action', choices: ['list', 'add', 'remove'] },
+      { name: 'player' },
+    ],
+    run({ proxy, args, requirePermission }) {
+      const tracker = proxy.players;
+      const action = args.action || 'list';
+      if (action === 'list') {
+        const names = tracker.watchlist();
+        return { lines: names.length ? [names.join(', ')] : ['Nobody watched. Usage: watch add <player>'], data: names };
+      }
+      requirePermission('control');
+      if (!args.player) throw new CommandError(`Missing player. Usage: watch ${action} <player>`);
+      try {
+        const changed = action === 'add' ? tracker.watch(args.player) : tracker.unwatch(args.player);
+        if (!changed) {
+          return { lines: [`${args.player} ${action === 'add' ? 'is already' : "isn't"} watched`], data: tracker.watchlist() };
+        }
+      } catch (err) {
+        throw new CommandError(err.message);
+      }
+      return { lines: [`${action === 'add' ? 'Watching' : 'No longer watching'} ${args.player}`], data: tracker.watchlist() };
+    },
+  },
+  {
+    name: 'start',
+    title: 'Queue',
+    description: 'Start queueing',
+    permission: 'control',
+    run({ proxy }) {
+      proxy.start();
+    },
+  },
+  {
+    name: 'stop',
+    aliases: ['disconnect'],
+    title: 'Queue',
+    description: 'Stop queueing and log the bot off',
+    permission: 'control',
+    run({ proxy }) {
+      proxy.stop();
+    },
+  },
+  {
+    name: 'antiafk',
+    title: 'Anti-AFK',
+    description: 'Toggle anti-AFK',
+    permission: 'control',
+    run({ proxy }) {
+      proxy.toggleAntiAfk();
+      return { data: { antiAfkActive: proxy.state.antiAfkActive } };
+    },
+  },
+  {
+    name: 'restart',
+    title: 'Auto-Restart',
+    description: 'Toggle auto-restart on disconnect',
+    permission: 'control',
+    run({ proxy }) {
+      proxy.toggleRestart();
+      return { data: { restartQueue: proxy.state.restartQueue } };
+    },
+  },
+  {
+    name: 'deadline',
+    title: 'Deadline',
+    description: 'Show, set (be in-game by a time) or cancel the deadline',
+    usage: 'deadline [HH:MM | clear]',
+    args: [{ name: 'time', type: 'text' }],
+    run({ proxy, args, requirePermission }) {
+      const planner = proxy.deadline;
+      if (!args.time) {
+        const plan = planner.getPlan();
+        return { lines: deadlineLines(plan), data: { plan } };
+      }
+      requirePermission('control');
+      if (args.time.toLowerCase() === 'clear') {
+        const cleared = planner.clear();
+        return { lines: cleared ? [] : ['No deadline set'], data: { cleared } };
+      }
+      const deadline = DeadlinePlanner.parseDeadline(args.time);
+      if (!deadline) throw new CommandError('Invalid time. Use HH:MM or an ISO date.');
+      try {
+        planner.set(deadline);
+      } catch (err) {
+        throw new CommandError(err.message);
+      }
+      const plan = planner.getPlan();
+      return { lines: plan ? deadlineLines(plan) : [], data: { plan } };
+    },
+  },
+  {
+    name: 'schedule',
+    title: 'Schedules',
+    description: 'Manage recurring start/stop rules',
+    usage: 'schedule [list | add <start|stop> <m h dom mon dow> | remove|enable|disable <id>]',
+    args: [
+      { name: 'action', choices: ['list', 'add', 'remove', 'enable', 'disable'] },
+      { name: 'rule', type: 'text' },
+    ],
+    run({ proxy, args, requirePermission }) {
+      const scheduler = proxy.scheduler;
+      const action = args.action || 'list';
+      if (action === 'list') {
+        const rules = scheduler.list();
+        if (rules.length === 0) {
+          return { lines: ['No schedules. Usage: schedule add <start|stop> <m h dom mon dow>'], data: rules };
+        }
+        return {
+          lines: rules.map((rule) => {
+            const next = rule.nextRun ? new Date(rule.nextRun).toLocaleString() : '-';
+            const status = rule.enabled ? 'on ' : 'off';
+            return `${rule.id.padStart(3)} [${status}] ${rule.action.padEnd(5)} ${rule.cron.padEnd(18)} next: ${next}`;
+          }),
+          data: rules,
+        };
+      }
+
+      requirePermission('control');
+      const [first = '', ...rest] = (args.rule || '').split(/\s+/);
+      if (action === 'add') {
+        try {
+          return { data: scheduler.add({ action: first.toLowerCase(), cron: rest.join(' ') }) };
+        } catch (err) {
+          throw new CommandError(err.message);
+        }
+      }
+      if (action === 'remove') {
+        if (!scheduler.remove(first)) throw new CommandError(`Unknown schedule: "${first}"`, 404);
+        return { data: { removed: true } };
+      }
+      const rule = scheduler.setEnabled(first, action === 'enable');
+      if (!rule) throw new CommandError(`Unknown schedule: "${first}"`, 404);
+      return { data: rule };
+    },
+  },
+  {
+    name: 'capture',
+    title: 'Packet Capture',
+    description: 'Record packets for offline replay',
+    args: [{ name: 'action', choices: ['start', 'stop'] }],
+    run({ proxy, args, requirePermission }) {
+      const capture = proxy.capture;
+      if (args.action) {
+        requirePermission('admin');
+        if (args.action === 'start') {
+          try {
+            return { data: capture.start() };
+          } catch (err) {
+            throw new CommandError(err.message, 409);
+          }
+        }
+        const result = capture.stop();
+        if (!result) throw new CommandError('No capture running', 409);
+        return { data: result };
+      }
+      const status = capture.status();
+      const files = capture.list();
+      return {
+        lines: [
+          status
+            ? `Recording ${status.file} (${status.packets} packets)`
+            : 'Not recording. Usage: capture start | capture stop',
+          ...files.slice(0, 5).map((file) => `  ${file.name}  ${(file.size / 1024).toFixed(0)} KB`),
+        ],
+        data: { status, files },
+      };
+    },
+  },
+  {
+    name: 'say',
+    title: 'Chat',
+    description: 'Send a chat message or /command through the bot',
+    args: [{ name: 'message', type: 'text', required: true }],
+    permission: 'control',
+    run({ proxy, args }) {
+      try {
+        proxy.sendChat(args.message);
+      } catch (err) {
+        throw new CommandError(err.message, 409);
+      }
+      return { lines: ['Sent'] };
+    },
+  },
+  {
+    name: 'accounts',
+    title: 'Accounts',
+    description: 'List configured accounts',
+    run({ accounts, proxy }) {
+      const list = accounts.list();
+      return {
+        lines: list.map((acc) => {
+          const marker = acc.id === proxy.account.id ? '*' : ' ';
+          const place = acc.queuePlace !== 'None' ? ` #${acc.queuePlace}` : '';
+          return `${marker} ${acc.id.padEnd(12)} ${acc.doing}${place}  ${acc.username || '-'}  (${acc.proxyAddress})`;
+        }),
+        data: list,
+      };
+    },
+  },
+  {
+    name: 'use',
+    title: 'Accounts',
+    description: 'Send commands to another account',
+    args: [{ name: 'id' }],
+    run({ accounts, proxy, args, select }) {
+      if (!args.id) return { lines: [`Current account: ${proxy.account.id}`], data: { account: proxy.account.id } };
+      if (!select) throw new CommandError('"use" isn\'t available here; pick the account where you are');
+      if (!accounts.get(args.id)) {
+        throw new CommandError(`Unknown account: "${args.id}". Type "accounts" to list them.`, 404);
+      }
+      const id = accounts.get(args.id).account.id;
+      select(id);
+      return { lines: [`Now controlling account "${id}"`], data: { account: id } };
+    },
+  },
+  {
+    name: 'exit',
+    aliases: ['quit'],
+    description: 'Exit the application',
+    permission: 'admin',
+    sources: ['cli'],
+    run() {
+      logger.info('Shutting down...');
+      // Trigger graceful shutdown via SIGINT handler in index.js
+      process.kill(process.pid, 'SIGINT');
+    },
+  },
+];
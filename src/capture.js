@@ -0,0 +1,511 @@
+#!/usr/bin/env node
+// src/capture.js - Packet capture and replay for debugging proxy sessions
+//
+// While recording, every packet on the upstream (bot <-> server) and
+// downstream (player <-> local server) connections is appended to a compact
+// binary capture file: timestamp, direction, protocol state, packet name and
+// the raw uncompressed packet bytes. A capture can be replayed offline:
+//   - to a client: a local server plays the packets the player received
+//     (including the configuration-state registry data) into a real game
+//     client, reproducing client-side crashes;
+//   - to a server: a bot connects to a local server (e.g. the proxy) and sends
+//     the packets the player sent.
+//
+// Usage:
+//   node src/capture.js info <file>
+//   node src/capture.js replay-client <file> [--port 25567] [--speed 1] [--upstream]
+//   node src/capture.js replay-server <file> [--host localhost] [--port 25565] [--speed 1]
+//
+// File format: "MCAP" + u8 version + u32 meta length + JSON meta, then entries
+// of u32 ms offset, u8 direction, u8 state, u8 name length + name,
+// u32 data length + data (all big-endian).
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const mc = require('minecraft-protocol');
+const config = require('./config');
+
+const MAGIC = 'MCAP';
+const FORMAT_VERSION = 1;
+
+/** Direction codes: who sent the packet to whom */
+const DIRECTIONS = ['server>proxy', 'proxy>server', 'player>proxy', 'proxy>player'];
+const STATES = ['handshaking', 'status', 'login', 'configuration', 'play'];
+
+// ─── Packet names ────────────────────────────────────────────────────────────
+
+const nameCache = new Map();
+
+/**
+ * Packet id -> name lookup for a version, keyed by state and direction
+ * ('toClient' / 'toServer'). Used to name raw outgoing packets.
+ */
+function packetNames(version) {
+  if (nameCache.has(version)) return nameCache.get(version);
+  const protocol = require('minecraft-data')(version).protocol;
+  const names = {};
+  for (const state of STATES) {
+    names[state] = {};
+    for (const direction of ['toClient', 'toServer']) {
+      const packet = protocol[state]?.[direction]?.types?.packet;
+      const mapper = packet?.[1]?.[0]?.type?.[1]?.mappings || {};
+      names[state][direction] = new Map(Object.entries(mapper).map(([id, name]) => [parseInt(id, 16), name]));
+    }
+  }
+  nameCache.set(version, names);
+  return names;
+}
+
+/** Internal: read the leading varint (packet id) of a packet buffer */
+function readVarInt(buffer) {
+  let value = 0;
+  for (let i = 0; i < 5 && i < buffer.length; i++) {
+    value |= (buffer[i] & 0x7f) << (7 * i);
+    if ((buffer[i] & 0x80) === 0) return value;
+  }
+  return -1;
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+
+/**
+ * Read a capture file.
+ * @param {string} file
+ * @returns {{ meta: object, entries: { time: number, direction: string, state: string, name: string, data: Buffer }[] }}
+ */
+function readCapture(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString('ascii', 0, 4) !== MAGIC) throw new Error(`${file} is not a capture file`);
+  if (buf[4] !== FORMAT_VERSION) throw new Error(`Unsupported capture format version ${buf[4]}`);
+
+  const metaLength = buf.readUInt32BE(5);
+  let offset = 9;
+  const meta = JSON.parse(buf.toString('utf-8', offset, offset + metaLength));
+  offset += metaLength;
+
+  const entries = [];
+  while (offset < buf.length) {
+    if (offset + 7 > buf.length) break; // truncated tail (recording was interrupted)
+    const time = buf.readUInt32BE(offset);
+    const direction = DIRECTIONS[buf[offset + 4]];
+    const state = STATES[buf[offset + 5]];
+    const nameLength = buf[offset + 6];
+    offset += 7;
+    const name = buf.toString('ascii', offset, offset + nameLength);
+    offset += nameLength;
+    if (offset + 4 > buf.length) break;
+    const dataLength = buf.readUInt32BE(offset);
+    offset += 4;
+    if (offset + dataLength > buf.length) break;
+    entries.push({ time, direction, state, name, data: buf.subarray(offset, offset + dataLength) });
+    offset += dataLength;
+  }
+  return { meta, entries };
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+class PacketCapture {
+  /**
+   * @param {import('./proxy')} proxy - The proxy manager whose connections are recorded
+   * @param {string} [dir] - Directory for capture files (default: <dataDir>/captures)
+   */
+  constructor(proxy, dir) {
+    this.proxy = proxy;
+    this.dir = dir || path.join(proxy.account.dataDir, 'captures');
+    this.stream = null;
+    this.file = null;
+    this.startedAt = null;
+    this.packets = 0;
+    this.bytes = 0;
+    this.taps = new Map(); // client -> undo function
+  }
+
+  /** Whether a capture is currently being written */
+  get active() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Start recording to a new file and tap the proxy's current connections.
+   * @returns {object} Status (see status())
+   */
+  start() {
+    if (this.active) throw new Error('Capture already running');
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    this.startedAt = Date.now();
+    this.file = path.join(this.dir, `${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.mcap`);
+    this.packets = 0;
+    this.bytes = 0;
+    this.stream = fs.createWriteStream(this.file);
+    this.stream.on('error', (err) => {
+      this.proxy._log(`Capture: write failed – ${err.message}`, 'error');
+      this.stop();
+    });
+
+    const meta = JSON.stringify({
+      account: this.proxy.account.id,
+      version: config.mc.version,
+      server: `${config.server.host}:${config.server.port}`,
+      startedAt: new Date(this.startedAt).toISOString(),
+    });
+    const header = Buffer.alloc(9);
+    header.write(MAGIC, 0, 'ascii');
+    header[4] = FORMAT_VERSION;
+    header.writeUInt32BE(Buffer.byteLength(meta), 5);
+    this.stream.write(header);
+    this.stream.write(meta);
+
+    if (this.proxy.client) this.attach(this.proxy.client);
+    if (this.proxy.proxyClient) this.attach(this.proxy.proxyClient);
+    if (this.proxy.limbo?.client) this.attach(this.proxy.limbo.client);
+
+    this.proxy._log(`Packet capture started: ${path.basename(this.file)}`);
+    this.proxy._updateState({ capture: this.status() });
+    return this.status();
+  }
+
+  /**
+   * Stop recording and untap all connections.
+   * @returns {object|null} Final status, or null if nothing was recording
+   */
+  stop() {
+    if (!this.active) return null;
+    for (const undo of this.taps.values()) undo();
+    this.taps.clear();
+
+    const stream = this.stream;
+    this.stream = null;
+    stream.end();
+
+    const result = { file: this.file, packets: this.packets, bytes: this.bytes, active: false };
+    this.proxy._log(`Packet capture stopped: ${path.basename(this.file)} (${this.packets} packets)`);
+    this.proxy._updateState({ capture: null });
+    return result;
+  }
+
+  /** Current recording status */
+  status() {
+    if (!this.active) return null;
+    return {
+      active: true,
+      file: this.file,
+      startedAt: new Date(this.startedAt).toISOString(),
+      packets: this.packets,
+      bytes: this.bytes,
+    };
+  }
+
+  /** Saved capture files, newest first */
+  list() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter((f) => f.endsWith('.mcap'))
+        .map((f) => ({ name: f, size: fs.statSync(path.join(this.dir, f)).size }))
+        .sort((a, b) => b.name.localeCompare(a.name));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Record a connection's traffic. The bot's client (isServer false) is the
+   * upstream side, local-server clients are the downstream side. No-op when
+   * no capture is running, so ProxyManager can call it for every connection.
+   * @param {import('minecraft-protocol').Client} client
+   */
+  attach(client) {
+    if (!this.active || this.taps.has(client)) return;
+
+    const upstream = !client.isServer;
+    const inbound = upstream ? 0 : 2;
+    const outbound = upstream ? 1 : 3;
+    const outDirection = upstream ? 'toServer' : 'toClient';
+
+    const onPacket = (data, meta, buffer) => {
+      if (buffer) this._write(inbound, meta.state, meta.name, buffer);
+    };
+    client.on('packet', onPacket);
+
+    // Outgoing packets (serialized writes and writeRaw relays alike) enter the
+    // compressor if compression is on, otherwise the framer. Tap whichever is
+    // first so the bytes are always the uncompressed packet.
+    const names = packetNames(client.version || config.mc.version);
+    const onOutgoing = (chunk) => {
+      const name = names[client.state]?.[outDirection].get(readVarInt(chunk)) || 'unknown';
+      this._write(outbound, client.state, name, chunk);
+    };
+    const wrapped = [];
+    const tapStream = (stream, when) => {
+      const original = stream.write;
+      stream.write = function (chunk, ...rest) {
+        if (when()) onOutgoing(chunk);
+        return original.call(this, chunk, ...rest);
+      };
+      wrapped.push(() => { stream.write = original; });
+    };
+    tapStream(client.framer, () => !client.compressor);
+    if (client.compressor) tapStream(client.compressor, () => true);
+
+    const originalSetThreshold = client.setCompressionThreshold;
+    client.setCompressionThreshold = function (threshold) {
+      const hadCompressor = !!this.compressor;
+      const result = originalSetThreshold.call(this, threshold);
+      if (!hadCompressor && this.compressor) tapStream(this.compressor, () => true);
+      return result;
+    };
+
+    this.taps.set(client, () => {
+      client.removeListener('packet', onPacket);
+      client.setCompressionThreshold = originalSetThreshold;
+      for (const undo of wrapped) undo();
+    });
+    client.once('end', () => {
+      const undo = this.taps.get(client);
+      if (undo) undo();
+      this.taps.delete(client);
+    });
+  }
+
+  _write(direction, state, name, data) {
+    if (!this.stream) return;
+    const nameBuf = Buffer.from(name, 'ascii').subarray(0, 255);
+    const head = Buffer.alloc(7);
+    head.writeUInt32BE(Math.min(Date.now() - this.startedAt, 0xffffffff), 0);
+    head[4] = direction;
+    head[5] = Math.max(0, STATES.indexOf(state));
+    head[6] = nameBuf.length;
+    const len = Buffer.alloc(4);
+    len.writeUInt32BE(data.length, 0);
+    this.stream.write(Buffer.concat([head, nameBuf, len, data]));
+    this.packets++;
+    this.bytes += data.length;
+  }
+}
+
+// ─── Replaying ───────────────────────────────────────────────────────────────
+
+/** Internal: write entries with their original spacing (divided by speed) */
+function playEntries(entries, write, speed, emitter) {
+  return new Promise((resolve) => {
+    if (entries.length === 0) return resolve(0);
+    const base = entries[0].time;
+    const startedAt = Date.now();
+    let index = 0;
+    let stopped = false;
+    emitter.once('stop', () => { stopped = true; resolve(index); });
+
+    const next = () => {
+      if (stopped) return;
+      while (index < entries.length) {
+        const due = speed > 0 ? (entries[index].time - base) / speed : 0;
+        const wait = due - (Date.now() - startedAt);
+        if (wait > 5) {
+          setTimeout(next, wait);
+          return;
+        }
+        try {
+          write(entries[index]);
+        } catch (err) {
+          emitter.emit('error', err);
+        }
+        emitter.emit('packet', entries[index]);
+        index++;
+      }
+      resolve(index);
+    };
+    next();
+  });
+}
+
+/**
+ * Serve a capture to game clients: every client that joins the returned
+ * server receives the recorded configuration packets (registries, tags...)
+ * followed by the play-state packets, with their original timing.
+ * @param {string} file - Capture file
+ * @param {object} [options]
+ * @param {number} [options.port] - Local port (0 picks a free one)
+ * @param {number} [options.speed] - Playback speed multiplier (0 = as fast as possible)
+ * @param {boolean} [options.upstream] - Replay what the server sent the bot instead of what the player received
+ * @returns {Promise<EventEmitter>} Emits 'listening' (port), 'join', 'packet', 'done', 'error'; call close()
+ */
+async function replayToClient(file, options = {}) {
+  const { meta, entries } = readCapture(file);
+  const direction = options.upstream ? 'server>proxy' : 'proxy>player';
+  const speed = options.speed ?? 1;
+  const wanted = entries.filter((e) => e.direction === direction);
+  const configPackets = wanted.filter((e) => e.state === 'configuration' && e.name !== 'finish_configuration');
+  const playPackets = wanted.filter((e) => e.state === 'play');
+
+  const emitter = new EventEmitter();
+  const server = mc.createServer({
+    'online-mode': false,
+    host: options.host || '127.0.0.1',
+    port: options.port ?? 25567,
+    version: meta.version,
+    keepAlive: false, // the recorded keep_alives are replayed instead
+    registryCodec: {}, // the recorded registry_data is replayed instead
+    motd: `Replay: ${path.basename(file)}`,
+  });
+
+  server.on('login', (client) => {
+    // Runs before mc-protocol's own handler, which then only sends finish_configuration
+    client.prependOnceListener('login_acknowledged', () => {
+      client.state = 'configuration';
+      for (const entry of configPackets) client.writeRaw(entry.data);
+    });
+  });
+
+  server.on('playerJoin', async (client) => {
+    emitter.emit('join', client);
+    const stop = () => emitter.emit('stop');
+    client.once('end', stop);
+    const count = await playEntries(playPackets, (entry) => client.writeRaw(entry.data), speed, emitter);
+    client.removeListener('end', stop);
+    emitter.emit('done', count);
+  });
+
+  emitter.close = () => {
+    emitter.emit('stop');
+    server.close();
+  };
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('listening', () => {
+      server.removeListener('error', reject);
+      resolve();
+    });
+  });
+  server.on('error', (err) => emitter.emit('error', err));
+  emitter.port = server.socketServer.address().port;
+  emitter.meta = meta;
+  emitter.counts = { configuration: configPackets.length, play: playPackets.length };
+  return emitter;
+}
+
+/**
+ * Connect to a server (typically the local proxy) and send the play-state
+ * packets the player sent during the recorded session.
+ * @param {string} file - Capture file
+ * @param {object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port]
+ * @param {string} [options.username]
+ * @param {number} [options.speed] - Playback speed multiplier (0 = as fast as possible)
+ * @returns {Promise<EventEmitter>} Emits 'packet', 'done', 'error', 'end'; call close()
+ */
+async function replayToServer(file, options = {}) {
+  const { meta, entries } = readCapture(file);
+  const playPackets = entries.filter((e) => e.direction === 'player>proxy' && e.state === 'play');
+  const speed = options.speed ?? 1;
+
+  const emitter = new EventEmitter();
+  const client = mc.createClient({
+    host: options.host || '127.0.0.1',
+    port: options.port ?? 25565,
+    username: options.username || 'Replay',
+    auth: 'offline',
+    version: meta.version,
+  });
+  emitter.client = client;
+  emitter.close = () => {
+    emitter.emit('stop');
+    client.end('Replay closed');
+  };
+  client.on('error', (err) => emitter.emit('error', err));
+  client.on('end', (reason) => {
+    emitter.emit('stop');
+    emitter.emit('end', reason);
+  });
+  client.once('login', async () => {
+    const count = await playEntries(playPackets, (entry) => client.writeRaw(entry.data), speed, emitter);
+    emitter.emit('done', count);
+  });
+  emitter.meta = meta;
+  emitter.counts = { play: playPackets.length };
+  return emitter;
+}
+
+module.exports = {
+  PacketCapture,
+  readCapture,
+  replayToClient,
+  replayToServer,
+  packetNames,
+  DIRECTIONS,
+};
+
+// ── Standalone mode ──────────────────────────────────────────────────────────
+if (require.main === module) {
+  const logger = require('./logger');
+  const [command, file] = process.argv.slice(2);
+  const flag = (name, fallback) => {
+    const idx = process.argv.indexOf(name);
+    return idx === -1 ? fallback : process.argv[idx + 1];
+  };
+  const usage = () => {
+    console.log('Usage:');
+    console.log('  node src/capture.js info <file>');
+    console.log('  node src/capture.js replay-client <file> [--port 25567] [--speed 1] [--upstream]');
+    console.log('  node src/capture.js replay-server <file> [--host 127.0.0.1] [--port 25565] [--speed 1]');
+    process.exit(1);
+  };
+  if (!file) usage();
+
+  const speed = Number(flag('--speed', 1));
+  const run = async () => {
+    switch (command) {
+      case 'info': {
+        const { meta, entries } = readCapture(file);
+        console.log(meta);
+        const counts = {};
+        for (const e of entries) {
+          const key = `${e.direction} ${e.state}.${e.name}`;
+          counts[key] = (counts[key] || 0) + 1;
+        }
+        console.log(`${entries.length} packets over ${((entries.at(-1)?.time || 0) / 1000).toFixed(1)}s`);
+        for (const [key, n] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+          console.log(`  ${String(n).padStart(6)}  ${key}`);
+        }
+        break;
+      }
+
+      case 'replay-client': {
+        const replay = await replayToClient(file, {
+          port: Number(flag('--port', 25567)),
+          speed,
+          upstream: process.argv.includes('--upstream'),
+        });
+        logger.info(`Replay server on 127.0.0.1:${replay.port} ` +
+          `(${replay.counts.configuration} configuration + ${replay.counts.play} play packets) - connect with Minecraft ${replay.meta.version}`);
+        replay.on('join', (client) => logger.info(`${client.username} joined, replaying...`));
+        replay.on('done', (n) => logger.info(`Replayed ${n} packets`));
+        replay.on('error', (err) => logger.error(err.message));
+        break;
+      }
+
+      case 'replay-server': {
+        const replay = await replayToServer(file, {
+          host: flag('--host', '127.0.0.1'),
+          port: Number(flag('--port', 25565)),
+          speed,
+        });
+        logger.info(`Replaying ${replay.counts.play} player packets...`);
+        replay.on('done', (n) => { logger.info(`Replayed ${n} packets`); replay.close(); });
+        replay.on('error', (err) => logger.error(err.message));
+        replay.on('end', (reason) => { logger.info(`Disconnected: ${reason}`); process.exit(0); });
+        break;
+      }
+
+      default:
+        usage();
+    }
+  };
+  run().catch((err) => {
+    logger.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,317 @@
+// src/chat-component.js - Minecraft chat component helpers
+// Shared by the proxy, the queue detectors, the chat log and the standalone
+// queue learner. Components arrive in several shapes depending on the
+// version and packet: legacy JSON strings, plain { text, extra } objects,
+// 1.20.3+ NBT compounds, and translate/with components. They are all
+// normalized to plain JSON components first, then flattened into styled
+// segments that the renderers turn into plain text, ANSI (terminal), sanitized
+// HTML (dashboard) or Discord markdown.
+
+const nbt = require('prismarine-nbt');
+
+const NBT_TYPES = new Set([
+  'compound', 'list', 'string', 'byte', 'short', 'int', 'long', 'float', 'double',
+  'byteArray', 'intArray', 'longArray', 'bool',
+]);
+
+/** Named colors: hex for HTML, SGR code for ANSI */
+const COLORS = {
+  black: ['#000000', 30],
+  dark_blue: ['#0000AA', 34],
+  dark_green: ['#00AA00', 32],
+  dark_aqua: ['#00AAAA', 36],
+  dark_red: ['#AA0000', 31],
+  dark_purple: ['#AA00AA', 35],
+  gold: ['#FFAA00', 33],
+  gray: ['#AAAAAA', 37],
+  dark_gray: ['#555555', 90],
+  blue: ['#5555FF', 94],
+  green: ['#55FF55', 92],
+  aqua: ['#55FFFF', 96],
+  red: ['#FF5555', 91],
+  light_purple: ['#FF55FF', 95],
+  yellow: ['#FFFF55', 93],
+  white: ['#FFFFFF', 97],
+};
+
+/** Legacy "§x" formatting codes */
+const LEGACY_COLORS = 'black dark_blue dark_green dark_aqua dark_red dark_purple gold gray dark_gray blue green aqua red light_purple yellow white'.split(' ');
+const LEGACY_FORMATS = { k: 'obfuscated', l: 'bold', m: 'strikethrough', n: 'underlined', o: 'italic' };
+
+const STYLE_KEYS = ['color', 'bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+/**
+ * English strings for translate keys servers commonly send untranslated.
+ * Unknown keys render as the key followed by their arguments.
+ */
+const TRANSLATIONS = {
+  'chat.type.text': '<%s> %s',
+  'chat.type.announcement': '[%s] %s',
+  'chat.type.emote': '* %s %s',
+  'chat.type.admin': '[%s: %s]',
+  'commands.message.display.incoming': '%s whispers to you: %s',
+  'commands.message.display.outgoing': 'You whisper to %s: %s',
+  'multiplayer.player.joined': '%s joined the game',
+  'multiplayer.player.left': '%s left the game',
+  'multiplayer.disconnect.duplicate_login': 'You logged in from another location',
+  'multiplayer.disconnect.banned': 'You are banned from this server.',
+  'multiplayer.disconnect.banned.reason': 'You are banned from this server.\nReason: %s',
+  'multiplayer.disconnect.idling': 'You have been idle for too long!',
+  'multiplayer.disconnect.server_shutdown': 'Server closed',
+  'multiplayer.disconnect.not_whitelisted': 'You are not white-listed on this server!',
+  'multiplayer.disconnect.unverified_username': 'Failed to verify username!',
+  'multiplayer.disconnect.authservers_down': 'Authentication servers are down. Please try again later, sorry!',
+  'disconnect.timeout': 'Timed out',
+  'disconnect.closed': 'Connection closed',
+};
+
+function isNbtTag(value) {
+  return value != null && typeof value === 'object' && NBT_TYPES.has(value.type) && 'value' in value;
+}
+
+/**
+ * Convert any supported component shape into a plain JSON component
+ * ({ text | translate, with, extra, color, bold, ..., hoverEvent, clickEvent }).
+ */
+function normalizeComponent(component) {
+  if (component == null) return { text: '' };
+  if (isNbtTag(component)) return normalizeComponent(nbt.simplify(component));
+  if (typeof component === 'string') {
+    // Could be a plain string or a JSON-encoded chat component
+    try {
+      const parsed = JSON.parse(component);
+      if (parsed !== null && typeof parsed === 'object') return normalizeComponent(parsed);
+    } catch {
+      // plain text
+    }
+    return { text: component };
+  }
+  if (Array.isArray(component)) return { text: '', extra: component.map(normalizeComponent) };
+  if (typeof component !== 'object') return { text: String(component) };
+
+  // Fields may still be individual NBT tags ({ text: { type: 'string', value } })
+  const out = {};
+  for (const [key, value] of Object.entries(component)) {
+    out[key] = isNbtTag(value) ? nbt.simplify(value) : value;
+  }
+  // NBT lists of mixed content wrap plain strings as { "": "text" }
+  if ('' in out && Object.keys(out).length === 1) return { text: String(out['']) };
+  if (out.extra != null) out.extra = [].concat(out.extra).map(normalizeComponent);
+  if (out.with != null) out.with = [].concat(out.with).map(normalizeComponent);
+  return out;
+}
+
+/** Internal: plain text of a hover event (show_text only) */
+function hoverText(component) {
+  const hover = component.hoverEvent || component.hover_event;
+  if (!hover || hover.action !== 'show_text') return undefined;
+  const contents = hover.contents ?? hover.value ?? hover.text;
+  return contents == null ? undefined : segmentsText(toSegments(contents));
+}
+
+/** Internal: URL of an open_url click event */
+function clickUrl(component) {
+  const click = component.clickEvent || component.click_event;
+  if (!click || click.action !== 'open_url') return undefined;
+  return click.url ?? click.value;
+}
+
+/** Internal: append text to the segment list, applying legacy "§" codes */
+function pushText(text, style, out) {
+  const str = String(text);
+  if (!str.includes('§')) {
+    if (str) out.push({ ...style, text: str });
+    return;
+  }
+  let current = { ...style };
+  const parts = str.split(/§([0-9a-fk-or])/i);
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 0) {
+      if (parts[i]) out.push({ ...current, text: parts[i] });
+      continue;
+    }
+    const code = parts[i].toLowerCase();
+    if (code === 'r') {
+      current = { ...style };
+    } else if (LEGACY_FORMATS[code]) {
+      current[LEGACY_FORMATS[code]] = true;
+    } else {
+      // A color code also resets formatting
+      current = { ...style, color: LEGACY_COLORS[parseInt(code, 16)] };
+      for (const key of Object.values(LEGACY_FORMATS)) delete current[key];
+    }
+  }
+}
+
+/** Internal: walk a normalized component, inheriting style from the parent */
+function walk(component, parentStyle, out) {
+  const style = { ...parentStyle };
+  for (const key of STYLE_KEYS) {
+    if (component[key] === undefined) continue;
+    style[key] = key === 'color' ? component[key] : !!component[key];
+  }
+  const hover = hoverText(component);
+  if (hover !== undefined) style.hover = hover;
+  const url = clickUrl(component);
+  if (url !== undefined) style.url = url;
+
+  if (component.text != null && component.text !== '') {
+    pushText(component.text, style, out);
+  } else if (component.translate) {
+    const args = component.with || [];
+    const format = TRANSLATIONS[component.translate] ?? component.fallback;
+    if (format == null) {
+      pushText(component.translate, style, out);
+      args.forEach((arg) => {
+        pushText(' ', style, out);
+        walk(arg, style, out);
+      });
+    } else {
+      let next = 0;
+      const pieces = format.split(/(%(?:\d+\$)?s|%%)/);
+      for (const piece of pieces) {
+        const slot = piece.match(/^%(?:(\d+)\$)?s$/);
+        if (slot) {
+          const arg = args[slot[1] ? parseInt(slot[1], 10) - 1 : next++];
+          if (arg) walk(arg, style, out);
+        } else {
+          pushText(piece === '%%' ? '%' : piece, style, out);
+        }
+      }
+    }
+  } else if (component.keybind || component.selector) {
+    pushText(component.keybind || component.selector, style, out);
+  }
+
+  for (const child of component.extra || []) walk(child, style, out);
+}
+
+/**
+ * Flatten a component into styled text runs.
+ * @returns {Array<{ text: string, color?: string, bold?: boolean, italic?: boolean,
+ *   underlined?: boolean, strikethrough?: boolean, obfuscated?: boolean, hover?: string, url?: string }>}
+ */
+function toSegments(component) {
+  const out = [];
+  walk(normalizeComponent(component), {}, out);
+  return out;
+}
+
+function segmentsText(segments) {
+  return segments.map((s) => s.text).join('');
+}
+
+/** Internal: "#RRGGBB" of a named or hex color, or null */
+function hexColor(color) {
+  if (!color) return null;
+  if (COLORS[color]) return COLORS[color][0];
+  return /^#[0-9a-f]{6}$/i.test(color) ? color : null;
+}
+
+/** Internal: only http(s) links are rendered as links */
+function safeUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/** Escape Discord markdown, for plain text (player names, chat) in messages */
+function escapeMarkdown(str) {
+  return String(str).replace(/([\\*_~`|>[\]])/g, '\\$1');
+}
+
+// ─── Renderers ──────────────────────────────────────────────────────────────
+
+/**
+ * Extract plain text from a Minecraft chat component (any format).
+ * Formatting codes are dropped and known translate keys are filled in.
+ */
+function extractChatText(component) {
+  return segmentsText(toSegments(component));
+}
+
+/** Render a component with ANSI colors for the terminal */
+function toAnsi(component) {
+  let out = '';
+  for (const seg of toSegments(component)) {
+    const codes = [];
+    if (seg.color) {
+      if (COLORS[seg.color]) {
+        codes.push(COLORS[seg.color][1]);
+      } else if (hexColor(seg.color)) {
+        const n = parseInt(seg.color.slice(1), 16);
+        codes.push(`38;2;${(n >> 16) & 255};${(n >> 8) & 255};${n & 255}`);
+      }
+    }
+    if (seg.bold) codes.push(1);
+    if (seg.italic) codes.push(3);
+    if (seg.underlined || safeUrl(seg.url)) codes.push(4);
+    if (seg.strikethrough) codes.push(9);
+    out += codes.length ? `\x1b[${codes.join(';')}m${seg.text}\x1b[0m` : seg.text;
+  }
+  return out;
+}
+
+/**
+ * Render a component as HTML. All text is escaped and only the markup built
+ * here (spans with inline colors, title tooltips, http(s) links) is emitted,
+ * so the result is safe to insert into the page.
+ */
+function toHtml(component) {
+  return toSegments(component).map((seg) => {
+    let html = escapeHtml(seg.text);
+    const css = [];
+    const color = hexColor(seg.color);
+    if (color) css.push(`color:${color}`);
+    if (seg.bold) css.push('font-weight:bold');
+    if (seg.italic) css.push('font-style:italic');
+    const lines = [seg.underlined && 'underline', seg.strikethrough && 'line-through'].filter(Boolean);
+    if (lines.length) css.push(`text-decoration:${lines.join(' ')}`);
+
+    const attrs = [];
+    if (css.length) attrs.push(`style="${css.join(';')}"`);
+    if (seg.hover) attrs.push(`title="${escapeHtml(seg.hover)}"`);
+    if (seg.obfuscated) attrs.push('class="mc-obfuscated"');
+    if (attrs.length) html = `<span ${attrs.join(' ')}>${html}</span>`;
+
+    const url = safeUrl(seg.url);
+    if (url) html = `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${html}</a>`;
+    return html;
+  }).join('');
+}
+
+/** Render a component as Discord markdown (colors can't be shown there) */
+function toMarkdown(component) {
+  return toSegments(component).map((seg) => {
+    const escaped = escapeMarkdown(seg.text);
+    // Markers must hug the text: keep surrounding whitespace outside them
+    const [, lead, core, trail] = escaped.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return escaped;
+    let md = core;
+    if (seg.bold) md = `**${md}**`;
+    if (seg.italic) md = `*${md}*`;
+    if (seg.underlined) md = `__${md}__`;
+    if (seg.strikethrough) md = `~~${md}~~`;
+    const url = safeUrl(seg.url);
+    if (url) md = `[${md}](${url.replace(/\)/g, '%29')})`;
+    return lead + md + trail;
+  }).join('');
+}
+
+module.exports = {
+  normalizeComponent,
+  toSegments,
+  extractChatText,
+  toAnsi,
+  toHtml,
+  toMarkdown,
+  escapeHtml,
+  escapeMarkdown,
+};
@@ -0,0 +1,126 @@
+// src/chat-history.js - Persisted, bounded chat log
+// Every chat line the bot receives (player chat, system messages, whispers)
+// is kept here so the dashboard can show what was said while nobody was
+// looking. The newest MAX_MESSAGES are stored per account in chat.json; saves
+// are batched because busy servers can produce several lines a second.
+
+const fs = require('fs');
+const path = require('path');
+const { extractChatText, toHtml, escapeHtml } = require('./chat-component');
+
+const MAX_MESSAGES = 500;
+const SAVE_DELAY = 2000;
+
+/** Internal: plain text plus rendered HTML of a message body */
+function body(component) {
+  return { text: extractChatText(component), html: toHtml(component) };
+}
+
+/**
+ * Turn a chat packet into a history entry.
+ * @param {string} name - Packet name
+ * @param {object} data - Parsed packet
+ * @returns {{ type: string, sender: string|null, text: string, html: string }|null}
+ */
+function chatEntry(name, data) {
+  switch (name) {
+    case 'system_chat':
+      if (data.isActionBar) return null;
+      return { type: 'system', sender: null, ...body(data.content) };
+    case 'profileless_chat':
+      return { type: 'chat', sender: extractChatText(data.name) || null, ...body(data.message) };
+    case 'player_chat': {
+      const sender = extractChatText(data.networkName) || null;
+      if (data.unsignedChatContent) return { type: 'chat', sender, ...body(data.unsignedChatContent) };
+      const text = String(data.plainMessage ?? '');
+      return { type: 'chat', sender, text, html: escapeHtml(text) };
+    }
+    case 'chat': // Pre-1.19 servers
+      return { type: 'chat', sender: null, ...body(data.message) };
+    default:
+      return null;
+  }
+}
+
+class ChatHistory {
+  /**
+   * @param {string} dataPath - File the history is persisted to
+   * @param {number} [limit] - Messages to keep
+   */
+  constructor(dataPath, limit = MAX_MESSAGES) {
+    this.dataPath = dataPath;
+    this.limit = limit;
+    this.messages = [];
+    this.nextId = 1;
+    this.saveTimer = null;
+    this._load();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      this.messages = Array.isArray(raw.messages) ? raw.messages.slice(-this.limit) : [];
+      this.nextId = this.messages.reduce((max, m) => Math.max(max, m.id), 0) + 1;
+    } catch {
+      this.messages = [];
+    }
+  }
+
+  /** Write pending changes now (call on shutdown) */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      fs.writeFileSync(this.dataPath, JSON.stringify({ messages: this.messages }), 'utf-8');
+    } catch {
+      // Losing a few chat lines isn't worth crashing over
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Store a message.
+   * @param {{ type: string, sender?: string|null, text: string, html?: string }} message
+   *   html is the colored rendering (chat-component toHtml), already sanitized
+   * @returns {object|null} The stored entry (with id and time), or null for empty text
+   */
+  add({ type, sender = null, text, html }) {
+    const clean = String(text || '').trim();
+    if (!clean) return null;
+    const entry = { id: this.nextId++, time: new Date().toISOString(), type, sender, text: clean };
+    if (html) entry.html = html;
+    this.messages.push(entry);
+    if (this.messages.length > this.limit) this.messages.splice(0, this.messages.length - this.limit);
+    this._scheduleSave();
+    return entry;
+  }
+
+  /**
+   * Stored messages, oldest first.
+   * @param {object} [options]
+   * @param {number} [options.limit] - Only the newest N
+   * @param {number} [options.after] - Only messages with a greater id
+   */
+  list({ limit, after } = {}) {
+    let messages = this.messages;
+    if (after != null) messages = messages.filter((m) => m.id > after);
+    if (limit > 0) messages = messages.slice(-limit);
+    return messages.slice();
+  }
+}
+
+ChatHistory.chatEntry = chatEntry;
+
+module.exports = ChatHistory;
@@ -0,0 +1,220 @@
+// src/chat-watcher.js - Keyword and mention alerts for public chat
+// Rules such as "our username", "our base coordinates" or "our clan name" are
+// persisted per account and checked against every chat line the bot receives
+// (see ChatHistory). A match is logged, raises a desktop notification and
+// emits 'chatAlert' (Discord and the dashboard listen).
+//
+// A rule is either a word/phrase (case-insensitive, whole words only) or a
+// regular expression (case-insensitive). "{username}" in a pattern stands for
+// the bot's current username. The optional sender filter lists names the
+// rule applies to; names starting with "!" are excluded instead. Each rule
+// has a cooldown so a busy chat doesn't flood the channels.
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = ['word', 'regex'];
+const DEFAULT_COOLDOWN = 60; // seconds
+
+/** Internal: escape a string for use inside a RegExp */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the matcher for a rule. Throws on an invalid regex.
+ * @param {{ type: string, pattern: string }} rule
+ * @param {string|null} [username] - Replaces "{username}"
+ */
+function compileRule({ type, pattern }, username) {
+  const name = username || '';
+  if (type === 'regex') {
+    // Unknown usernames would turn "{username}" into an empty alternative
+    if (pattern.includes('{username}') && !name) return null;
+    return new RegExp(pattern.replace(/\{username\}/g, escapeRegex(name)), 'i');
+  }
+  const phrase = pattern.replace(/\{username\}/g, name).trim();
+  if (!phrase) return null;
+  // Whole words: no word character directly before or after the phrase
+  return new RegExp(`(?<![\\w])${escapeRegex(phrase).replace(/\s+/g, '\\s+')}(?![\\w])`, 'i');
+}
+
+/** Internal: whether a sender passes a rule's filter */
+function senderAllowed(senders, sender) {
+  if (!senders || senders.length === 0) return true;
+  const name = String(sender || '').toLowerCase();
+  const excluded = senders.filter((s) => s.startsWith('!')).map((s) => s.slice(1).toLowerCase());
+  const included = senders.filter((s) => !s.startsWith('!')).map((s) => s.toLowerCase());
+  if (excluded.includes(name)) return false;
+  return included.length === 0 || included.includes(name);
+}
+
+/** Internal: "a, b" / ["a", "b"] -> ["a", "b"] */
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((s) => String(s).trim()).filter(Boolean);
+}
+
+class ChatWatcher {
+  /**
+   * @param {import('./proxy')} proxy - The proxy manager whose chat is watched
+   * @param {string} [dataPath] - Override the persisted rules file (useful for tests)
+   */
+  constructor(proxy, dataPath) {
+    this.proxy = proxy;
+    this.dataPath = dataPath || path.join(proxy.account.dataDir, 'chat-alerts.json');
+    this.rules = []; // { id, name, type, pattern, senders, cooldown, enabled }
+    this.lastFired = new Map(); // rule id -> time of the last alert
+    this._load();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      // The file may be edited by hand: fill in defaults, drop what can't be used
+      this.rules = [];
+      for (const entry of Array.isArray(raw.rules) ? raw.rules : []) {
+        try {
+          if (!entry || entry.id == null) throw new Error('No id');
+          if (this.rules.some((r) => r.id === String(entry.id))) throw new Error('Duplicate id');
+          this.rules.push(this._normalize(entry));
+        } catch (e) {
+          this.proxy._log(`Chat alerts: dropping invalid rule ${entry?.id} – ${e.message}`, 'warn');
+        }
+      }
+    } catch {
+      this.rules = [];
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      fs.writeFileSync(this.dataPath, JSON.stringify({ rules: this.rules }, null, 2), 'utf-8');
+    } catch (e) {
+      this.proxy._log(`Chat alerts: failed to save – ${e.message}`, 'warn');
+    }
+    this.proxy.emit('chatAlertRules', this.list());
+  }
+
+  /** Internal: a complete rule from loose fields (request body or file). Throws if invalid. */
+  _normalize({ id, name, type = 'word', pattern, senders, cooldown = DEFAULT_COOLDOWN, enabled = true }) {
+    const rule = {
+      id: String(id),
+      name: String(name || pattern || '').trim(),
+      type: String(type).toLowerCase(),
+      pattern: String(pattern || '').trim(),
+      senders: toList(senders),
+      cooldown: Number(cooldown),
+      enabled: enabled !== false,
+    };
+    this._validate(rule);
+    return rule;
+  }
+
+  /** Internal: throws when a rule can't be used */
+  _validate(rule) {
+    if (!TYPES.includes(rule.type)) throw new Error(`Type must be one of: ${TYPES.join(', ')}`);
+    if (!String(rule.pattern || '').trim()) throw new Error('Pattern is empty');
+    if (!(rule.cooldown >= 0)) throw new Error('Cooldown must be 0 or more seconds');
+    try {
+      compileRule(rule, 'username');
+    } catch (e) {
+      throw new Error(`Invalid regex: ${e.message}`);
+    }
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /** All rules */
+  list() {
+    return this.rules.map((rule) => ({ ...rule, senders: rule.senders.slice() }));
+  }
+
+  /**
+   * Add a rule. Throws on an unknown type, empty pattern or invalid regex.
+   * @param {{ name?: string, type?: string, pattern: string, senders?: string[]|string, cooldown?: number, enabled?: boolean }} rule
+   */
+  add(fields) {
+    const id = String(this.rules.reduce((max, r) => Math.max(max, parseInt(r.id, 10) || 0), 0) + 1);
+    const rule = this._normalize({ ...fields, id });
+    this.rules.push(rule);
+    this._save();
+    this.proxy._log(`Chat alert ${rule.id} added: ${rule.type} "${rule.pattern}"`);
+    return { ...rule };
+  }
+
+  /**
+   * Change fields of a rule. Returns the updated rule, or null if unknown.
+   * Throws if the result would be invalid.
+   */
+  update(id, changes = {}) {
+    const rule = this.rules.find((r) => r.id === String(id));
+    if (!rule) return null;
+    const next = { ...rule };
+    if (changes.name !== undefined) next.name = String(changes.name).trim() || rule.pattern;
+    if (changes.type !== undefined) next.type = String(changes.type).toLowerCase();
+    if (changes.pattern !== undefined) next.pattern = String(changes.pattern).trim();
+    if (changes.senders !== undefined) next.senders = toList(changes.senders);
+    if (changes.cooldown !== undefined) next.cooldown = Number(changes.cooldown);
+    if (changes.enabled !== undefined) next.enabled = !!changes.enabled;
+    this._validate(next);
+    Object.assign(rule, next);
+    this._save();
+    this.proxy._log(`Chat alert ${rule.id} updated`);
+    return { ...rule };
+  }
+
+  /** Remove a rule by id. Returns false if it doesn't exist. */
+  remove(id) {
+    const index = this.rules.findIndex((r) => r.id === String(id));
+    if (index === -1) return false;
+    this.rules.splice(index, 1);
+    this.lastFired.delete(String(id));
+    this._save();
+    this.proxy._log(`Chat alert ${id} removed`);
+    return true;
+  }
+
+  /**
+   * Check a chat line against the rules and alert on matches.
+   * @param {{ type: string, sender: string|null, text: string }} message - A ChatHistory entry
+   * @returns {object[]} Alerts raised
+   */
+  check(message, now = Date.now()) {
+    if (message.type === 'sent') return [];
+    const username = this.proxy.state.username;
+    // Our own chat echoed back shouldn't mention us
+    if (username && message.sender && message.sender.toLowerCase() === username.toLowerCase()) return [];
+
+    const alerts = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled || !senderAllowed(rule.senders, message.sender)) continue;
+      const last = this.lastFired.get(rule.id);
+      if (last !== undefined && now - last < rule.cooldown * 1000) continue;
+      const matcher = compileRule(rule, username);
+      if (!matcher || !matcher.test(message.text)) continue;
+
+      this.lastFired.set(rule.id, now);
+      const alert = {
+        rule: rule.id,
+        name: rule.name,
+        sender: message.sender,
+        text: message.text,
+        time: new Date(now).toISOString(),
+      };
+      const line = message.sender ? `<${message.sender}> ${message.text}` : message.text;
+      this.proxy._log(`Chat alert "${rule.name}": ${line}`, 'warn');
+      this.proxy._notify(`${rule.name}: ${line}`);
+      this.proxy.emit('chatAlert', alert);
+      alerts.push(alert);
+    }
+    return alerts;
+  }
+}
+
+ChatWatcher.TYPES = TYPES;
+
+module.exports = ChatWatcher;
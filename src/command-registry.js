@@ -0,0 +1,213 @@
+// src/command-registry.js - Commands shared by every interface
+// The terminal, Discord, the REST API, Socket.IO and in-game chat all run the
+// same commands through this registry. Each command declares its name,
+// aliases, argument schema and the permission it needs; its handler returns
+// structured output that every interface renders its own way, so a command
+// registered here shows up everywhere at once (see builtin-commands.js).
+//
+// Permissions are levels, each including the ones before it:
+//   read     look at status, stats, schedules...
+//   control  start/stop the queue, toggle features, chat through the bot
+//   admin    debugging tools and shutting the app down
+
+const PERMISSIONS = ['read', 'control', 'admin'];
+
+/** A command failed in a way the caller should see (bad args, no permission...) */
+class CommandError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status] - HTTP-style status for the REST adapter
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CommandError';
+    this.status = status;
+  }
+}
+
+/** Whether a caller with permission `have` may use something that needs `need` */
+function allows(have, need) {
+  return PERMISSIONS.indexOf(have) >= PERMISSIONS.indexOf(need || 'read');
+}
+
+/** Throw a 403 CommandError unless permission `have` includes `need` */
+function checkPermission(have, need) {
+  if (!allows(have, need)) {
+    throw new CommandError(`You need "${need}" permission for that`, 403);
+  }
+}
+
+/** Internal: "<time>" / "[time]" / "<message...>" for one argument */
+function argUsage(arg) {
+  const name = arg.type === 'text' ? `${arg.name}...` : arg.name;
+  return arg.required ? `<${name}>` : `[${name}]`;
+}
+
+class CommandRegistry {
+  /**
+   * @param {import('./accounts')} accounts - Registry of per-account proxy managers
+   * @param {object[]} [commands] - Definitions to register (see register)
+   */
+  constructor(accounts, commands = require('./builtin-commands')) {
+    this.accounts = accounts;
+    this.commands = new Map(); // name -> definition
+    this.aliases = new Map(); // alias -> name
+    commands.forEach((command) => this.register(command));
+  }
+
+  /**
+   * Add a command.
+   * @param {object} command
+   * @param {string} command.name
+   * @param {string[]} [command.aliases]
+   * @param {string} command.description - One line for help
+   * @param {Array<{ name: string, type?: 'string'|'number'|'text', required?: boolean, choices?: string[] }>} [command.args]
+   *   "text" takes the rest of the line and must come last
+   * @param {string} [command.usage] - Overrides the usage generated from args
+   * @param {'read'|'control'|'admin'} [command.permission] - Default: read
+   * @param {string[]} [command.sources] - Only these interfaces may run it
+   * @param {(ctx: object) => ({ title?: string, lines?: string[], data?: any }|void)} command.run
+   */
+  register(command) {
+    if (!command.name || typeof command.run !== 'function') {
+      throw new Error('A command needs a name and a run function');
+    }
+    const def = { aliases: [], args: [], permission: 'read', ...command };
+    def.usage = def.usage || [def.name, ...def.args.map(argUsage)].join(' ');
+    this.commands.set(def.name, def);
+    def.aliases.forEach((alias) => this.aliases.set(alias, def.name));
+    return def;
+  }
+
+  /** Look a command up by name or alias (case-insensitive) */
+  get(name) {
+    const key = String(name || '').toLowerCase();
+    return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+  }
+
+  /**
+   * Commands a caller can use, in registration order.
+   * @param {object} [filter]
+   * @param {string} [filter.permission]
+   * @param {string} [filter.source]
+   * @param {string[]} [filter.only] - Restrict to these command names
+   */
+  list({ permission = 'admin', source, only } = {}) {
+    return [...this.commands.values()].filter((c) =>
+      allows(permission, c.permission) &&
+      (!c.sources || !source || c.sources.includes(source)) &&
+      (!only || only.includes(c.name)));
+  }
+
+  /** Public description of a command (for help and GET /api/commands) */
+  describe(command) {
+    const { name, aliases, description, usage, permission, sources } = command;
+    return {
+      name,
+      aliases,
+      description,
+      usage,
+      permission,
+      sources: sources || null,
+      args: command.args.map(({ name: arg, type = 'string', required = false, choices }) =>
+        ({ name: arg, type, required, choices: choices || null })),
+    };
+  }
+
+  /**
+   * Run a typed command line, e.g. "deadline 19:00".
+   * @see run
+   */
+  runLine(line, ctx) {
+    const [name = '', ...tokens] = String(line || '').trim().split(/\s+/);
+    return this.run(name, tokens, ctx);
+  }
+
+  /**
+   * Run a command.
+   * @param {string} name - Name or alias
+   * @param {string[]|object} [input] - Positional tokens, or values keyed by argument name
+   * @param {object} [ctx]
+   * @param {import('./proxy')} [ctx.proxy] - Account to act on (default account otherwise)
+   * @param {'cli'|'discord'|'web'|'game'|'whisper'} [ctx.source]
+   * @param {'read'|'control'|'admin'} [ctx.permission] - What the caller may do
+   * @param {string[]} [ctx.only] - Only these commands (by name) may run
+   * @param {(id: string) => void} [ctx.select] - Switches the caller's account ("use")
+   * @returns {{ command: string, title: string, lines: string[], data: any, logs: string[] }}
+   *   logs holds what the proxy logged while the command ran
+   * @throws {CommandError}
+   */
+  run(name, input = [], ctx = {}) {
+    const command = this.get(name);
+    if (!command) {
+      throw new CommandError(`Unknown command: "${name}". Type "help" for available commands.`, 404);
+    }
+    const source = ctx.source || 'cli';
+    const permission = ctx.permission || 'read';
+    if (command.sources && !command.sources.includes(source)) {
+      throw new CommandError(`"${command.name}" isn't available here`);
+    }
+    if (ctx.only && !ctx.only.includes(command.name)) {
+      throw new CommandError(`"${command.name}" isn't allowed here`, 403);
+    }
+    const requirePermission = (level) => checkPermission(permission, level);
+    requirePermission(command.permission);
+
+    const args = this._parseArgs(command, input);
+    const proxy = ctx.proxy || this.accounts.get();
+    const logs = [];
+    const onLog = (entry) => logs.push(entry.message);
+    proxy.on('log', onLog);
+    let result;
+    try {
+      result = command.run({ ...ctx, source, permission, proxy, args, requirePermission, accounts: this.accounts, registry: this }) || {};
+    } finally {
+      proxy.off('log', onLog);
+    }
+    return {
+      command: command.name,
+      title: result.title || command.title || command.name,
+      lines: result.lines || [],
+      data: result.data ?? null,
+      logs,
+    };
+  }
+
+  /** Internal: validate and convert arguments against the command's schema */
+  _parseArgs(command, input) {
+    const tokens = Array.isArray(input) ? input.map(String).filter(Boolean) : null;
+    const values = {};
+    command.args.forEach((arg, i) => {
+      let value;
+      if (tokens) {
+        value = arg.type === 'text' ? tokens.slice(i).join(' ') : tokens[i];
+      } else {
+        value = input?.[arg.name];
+      }
+      if (value == null || String(value).trim() === '') {
+        if (arg.required) throw new CommandError(`Missing ${arg.name}. Usage: ${command.usage}`);
+        return;
+      }
+      value = String(value).trim();
+      if (arg.choices) {
+        value = value.toLowerCase();
+        if (!arg.choices.includes(value)) {
+          throw new CommandError(`${arg.name} must be one of: ${arg.choices.join(', ')}. Usage: ${command.usage}`);
+        }
+      }
+      if (arg.type === 'number') {
+        value = Number(value);
+        if (!Number.isFinite(value)) throw new CommandError(`${arg.name} must be a number`);
+      }
+      values[arg.name] = value;
+    });
+    return values;
+  }
+}
+
+CommandRegistry.PERMISSIONS = PERMISSIONS;
+CommandRegistry.CommandError = CommandError;
+CommandRegistry.allows = allows;
+CommandRegistry.checkPermission = checkPermission;
+
+module.exports = CommandRegistry;
@@ -1,14 +1,39 @@
 // src/commands.js - CLI command handler
+// Terminal and in-game front-end for the shared command registry (see
+// command-registry.js): a connected player typing the configured prefix
+// (e.g. "/2bt status") gets the output as chat messages, and trusted players
+// whispering the bot (see whisper-control.js) get it whispered back.
 const readline = require('readline');
-const logger = require('./logger');
+const config = require('./config');
+const CommandRegistry = require('./command-registry');
+
+const { CommandError } = CommandRegistry;
 
 class CommandHandler {
   /**
-   * @param {import('./proxy')} proxy - The proxy manager instance
+   * @param {import('./accounts')} accounts - Registry of per-account proxy managers
+   * @param {CommandRegistry} [registry] - Shared command set
    */
-  constructor(proxy) {
-    this.proxy = proxy;
+  constructor(accounts, registry = new CommandRegistry(accounts)) {
+    this.accounts = accounts;
+    this.registry = registry;
+    this.currentId = accounts.defaultId; // Account targeted by commands (see "use")
     this.rl = null;
+
+    // In-game commands act on the account the player is connected through
+    for (const proxy of accounts.all()) {
+      proxy.on('ingameCommand', ({ line, reply }) => {
+        this.execute(line, { proxy, print: reply, source: 'game', permission: config.ingameCommands.permission });
+      });
+      proxy.on('whisperCommand', ({ line, reply, commands }) => {
+        this.execute(line, { proxy, print: reply, source: 'whisper', permission: 'control', only: commands });
+      });
+    }
+  }
+
+  /** The proxy manager for the currently selected account */
+  get proxy() {
+    return this.accounts.get(this.currentId);
   }
 
   /** Start listening for CLI input */
@@ -23,82 +48,40 @@ class CommandHandler {
 
   /** Internal: show prompt and read input */
   _prompt() {
-    this.rl.question('> ', (cmd) => {
-      this._handleCommand(cmd.trim().toLowerCase());
+    const prompt = this.accounts.isMulti() ? `[${this.currentId}]> ` : '> ';
+    this.rl.question(prompt, (line) => {
+      this.execute(line);
       this._prompt();
     });
   }
 
-  /** Handle a command string */
-  _handleCommand(cmd) {
-    switch (cmd) {
-      case 'help':
-      case 'commands':
-        console.log(`
-  Available Commands:
-  ─────────────────────────────────────
-  start       Start queueing
-  stop        Stop queueing
-  update      Show current queue status
-  stats       Show health and hunger
-  antiafk     Toggle anti-AFK
-  restart     Toggle auto-restart
-  help        Show this help message
-  exit/quit   Exit the application
-  ─────────────────────────────────────
-`);
-        break;
-
-      case 'start':
-        this.proxy.start();
-        break;
-
-      case 'stop':
-        this.proxy.stop();
-        break;
-
-      case 'update': {
-        const state = this.proxy.getState();
-        console.log(`  Status: ${state.doing}`);
-        console.log(`  Position: ${state.queuePlace}`);
-        console.log(`  ETA: ${state.eta}`);
-        console.log(`  Anti-AFK: ${state.antiAfkActive ? 'Active' : 'Inactive'}`);
-        console.log(`  Auto-Restart: ${state.restartQueue ? 'On' : 'Off'}`);
-        break;
-      }
-
-      case 'stats': {
-        const stats = this.proxy.getPlayerStats();
-        if (stats && stats.health != null) {
-          const hp = Math.ceil(stats.health / 2);
-          const food = Math.floor(stats.food / 2);
-          console.log(`  Health: ${hp === 0 ? 'DEAD' : `${hp}/10`}`);
-          console.log(`  Hunger: ${food === 0 ? 'STARVING' : `${food}/10`}`);
-        } else {
-          console.log('  Not connected to server');
-        }
-        break;
-      }
-
-      case 'antiafk':
-        this.proxy.toggleAntiAfk();
-        break;
-
-      case 'restart':
-        this.proxy.toggleRestart();
-        break;
-
-      case 'exit':
-      case 'quit':
-        logger.info('Shutting down...');
-        // Trigger graceful shutdown via SIGINT handler in index.js
-        process.kill(process.pid, 'SIGINT');
-        break;
-
-      default:
-        if (cmd) {
-          console.log(`  Unknown command: "${cmd}". Type "help" for available commands.`);
-        }
+  /**
+   * Run one command line and print the result.
+   * @param {string} line - e.g. "deadline 19:00"
+   * @param {object} [ctx]
+   * @param {import('./proxy')} [ctx.proxy] - Account to act on (default: the one selected with "use")
+   * @param {(text: string) => void} [ctx.print] - Output, one call per line
+   * @param {'cli'|'game'|'whisper'} [ctx.source] - Where the command came from
+   * @param {string} [ctx.permission] - What the caller may do (the terminal may do anything)
+   * @param {string[]} [ctx.only] - Only these commands may run
+   */
+  execute(line, { proxy = this.proxy, print = console.log, source = 'cli', permission = 'admin', only } = {}) {
+    if (!String(line || '').trim()) return;
+    // The terminal indents output under the prompt; chat lines are prefixed already
+    const indent = source === 'cli' ? '  ' : '';
+    try {
+      const result = this.registry.runLine(line, {
+        proxy,
+        source,
+        permission,
+        only,
+        select: source === 'cli' ? (id) => { this.currentId = id; } : undefined,
+      });
+      // The terminal shows proxy logs as they happen; in-game they'd go unseen
+      const lines = source === 'cli' ? result.lines : [...result.logs, ...result.lines];
+      lines.forEach((text) => print(indent + text));
+    } catch (err) {
+      print(indent + (err instanceof CommandError ? err.message : `Error: ${err.message}`));
     }
   }
 
@@ -5,6 +5,59 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), override: t
 /** Parse an integer from a string, returning the fallback if NaN */
 const intOr = (str, fallback) => { const n = parseInt(str, 10); return Number.isNaN(n) ? fallback : n; };
 
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/** Environment variable of a per-account setting: ('alt-1', 'EMAIL') -> ACCOUNT_ALT_1_EMAIL */
+function accountEnvKey(id, key) {
+  return `ACCOUNT_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`;
+}
+
+/**
+ * Build the list of Minecraft accounts to queue.
+ *
+ * Without ACCOUNTS set, a single account is derived from the global MC_* /
+ * PROXY_* values and keeps the original data/ and auth folder layout.
+ * With ACCOUNTS=main,alt1,... every id reads its own ACCOUNT_<ID>_* values.
+ * Unset ones default to:
+ *   EMAIL             '' (no MC_EMAIL fallback - accounts can't share one)
+ *   AUTH_TYPE         MC_AUTH_TYPE
+ *   PROXY_PORT        PROXY_PORT + the account's index
+ *   OFFLINE_USERNAME  the account id
+ * Each one gets its own auth profile folder (AUTH_PROFILES_FOLDER/<id>) and
+ * data/accounts/<id>/ directory.
+ */
+function parseAccounts(base) {
+  const ids = (process.env.ACCOUNTS || '')
+    .split(',')
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (ids.length === 0) {
+    return [{
+      id: 'main',
+      email: base.mc.email,
+      authType: base.mc.authType,
+      profilesFolder: base.mc.profilesFolder,
+      proxyPort: base.proxy.port,
+      offlineUsername: base.proxy.offlineUsername,
+      dataDir: DATA_DIR,
+    }];
+  }
+
+  return [...new Set(ids)].map((id, i) => {
+    const env = (key) => process.env[accountEnvKey(id, key)];
+    return {
+      id,
+      email: env('EMAIL') || '',
+      authType: env('AUTH_TYPE') || base.mc.authType,
+      profilesFolder: path.join(base.mc.profilesFolder, id),
+      proxyPort: intOr(env('PROXY_PORT'), base.proxy.port + i),
+      offlineUsername: env('OFFLINE_USERNAME') || id,
+      dataDir: path.join(DATA_DIR, 'accounts', id),
+    };
+  });
+}
+
 const config = {
   // Minecraft Account
   mc: {
@@ -22,6 +75,15 @@ const config = {
     port: intOr(process.env.SERVER_PORT, 25565),
   },
 
+  // Queue detection (see queue-detectors.js)
+  queue: {
+    detector: (process.env.QUEUE_DETECTOR || '2b2t').toLowerCase(),
+    source: (process.env.QUEUE_SOURCE || 'tab').toLowerCase(),
+    positionRegex: process.env.QUEUE_POSITION_REGEX || 'position in queue:\\s*(\\d+)',
+    finishedRegex: process.env.QUEUE_FINISHED_REGEX || 'Connected to the server',
+    infoRegex: process.env.QUEUE_INFO_REGEX || '',
+  },
+
   // Local Proxy Server
   proxy: {
     port: intOr(process.env.PROXY_PORT, 25565),
@@ -37,6 +99,7 @@ const config = {
     bind: process.env.WEB_BIND || '0.0.0.0',
     password: process.env.WEB_PASSWORD || '',
     openBrowser: process.env.OPEN_BROWSER === 'true',
+    permission: (process.env.WEB_PERMISSION || 'admin').toLowerCase(), // see command-registry.js
   },
 
   // Discord Bot
@@ -46,6 +109,7 @@ const config = {
     chat: process.env.DISCORD_CHAT !== 'false',
     notify: process.env.DISCORD_NOTIFY === 'true',
     notifyPosition: intOr(process.env.DISCORD_NOTIFY_POSITION, 20),
+    permission: (process.env.DISCORD_PERMISSION || 'control').toLowerCase(),
   },
 
   // Anti-AFK
@@ -59,6 +123,104 @@ const config = {
     interval: intOr(process.env.ANTIAFK_INTERVAL, 15000),
   },
 
+  // Reconnect backoff (see reconnect-policy.js)
+  reconnect: {
+    baseDelay: intOr(process.env.RECONNECT_BASE_DELAY, 5) * 1000,
+    maxDelay: intOr(process.env.RECONNECT_MAX_DELAY, 600) * 1000,
+    multiplier: 2,
+    jitter: 0.2,
+    maxAttempts: intOr(process.env.RECONNECT_MAX_ATTEMPTS, 10),
+    cooldown: intOr(process.env.RECONNECT_COOLDOWN, 30) * 60 * 1000,
+  },
+
+  // Restart announcements (see restart-notice.js)
+  serverRestart: {
+    policy: (process.env.SERVER_RESTART_POLICY || 'requeue').toLowerCase(),
+    pollInterval: 10 * 1000, // How often to ping a restarting server
+  },
+
+  // Stuck-queue watchdog (see watchdog.js)
+  watchdog: {
+    stallMinutes: intOr(process.env.WATCHDOG_STALL_MINUTES, 15),
+    silenceSeconds: intOr(process.env.WATCHDOG_SILENCE_SECONDS, 120),
+    reconnect: process.env.WATCHDOG_RECONNECT === 'true',
+  },
+
+  // In-game commands typed by the connected player (see commands.js)
+  ingameCommands: {
+    enabled: process.env.INGAME_COMMANDS !== 'false',
+    prefix: (process.env.INGAME_COMMAND_PREFIX || '/2bt').trim().toLowerCase(),
+    permission: (process.env.INGAME_PERMISSION || 'control').toLowerCase(),
+  },
+
+  // Commands whispered to the bot by trusted players (see whisper-control.js)
+  whispers: {
+    enabled: process.env.WHISPER_CONTROL === 'true',
+    trusted: (process.env.WHISPER_TRUSTED || '').split(',').map((s) => s.trim()).filter(Boolean),
+    prefix: process.env.WHISPER_PREFIX || '!',
+    commands: (process.env.WHISPER_COMMANDS || 'help,status,stats,stop,say')
+      .split(',').map((s) => s.trim().toLowerCase()).filter(Boolean),
+    rejectReply: process.env.WHISPER_REJECT_REPLY !== 'false',
+    rateLimit: intOr(process.env.WHISPER_RATE_LIMIT, 3),
+    pattern: process.env.WHISPER_PATTERN || '',
+  },
+
+  // Whispers received while nobody is playing (see afk-inbox.js)
+  afkInbox: {
+    autoReply: process.env.AFK_REPLY === 'true',
+    message: process.env.AFK_REPLY_MESSAGE || "I'm AFK right now, I'll read this later.",
+    interval: intOr(process.env.AFK_REPLY_INTERVAL, 10) * 60 * 1000,
+    notify: process.env.AFK_WHISPER_NOTIFY !== 'false',
+  },
+
+  // Eating while nobody is playing (see auto-eat.js)
+  autoEat: {
+    enabled: process.env.AUTOEAT_ENABLED !== 'false',
+    hunger: intOr(process.env.AUTOEAT_HUNGER, 14),
+    banned: (process.env.AUTOEAT_BANNED ||
+      'rotten_flesh,spider_eye,poisonous_potato,pufferfish,chicken,suspicious_stew,chorus_fruit,golden_apple,enchanted_golden_apple')
+      .split(',').map((s) => s.trim().toLowerCase()).filter(Boolean),
+  },
+
+  // Bot position / world snapshot in the state (see world-status.js)
+  world: {
+    interval: intOr(process.env.WORLD_STATUS_INTERVAL, 5) * 1000,
+  },
+
+  // Players, hostile mobs and items near the bot (see radar.js)
+  radar: {
+    enabled: process.env.RADAR_ENABLED !== 'false',
+    range: intOr(process.env.RADAR_RANGE, 64),
+    interval: intOr(process.env.RADAR_INTERVAL, 1) * 1000,
+    notify: process.env.RADAR_NOTIFY !== 'false',
+  },
+
+  // Tab list tracker and join/leave log (see player-tracker.js)
+  players: {
+    enabled: process.env.PLAYER_TRACKER_ENABLED !== 'false',
+    watchlist: (process.env.PLAYER_WATCHLIST || '').split(',').map((s) => s.trim()).filter(Boolean),
+  },
+
+  // What the unattended bot does when it dies (see death-handler.js)
+  death: {
+    policy: (process.env.DEATH_POLICY || 'respawn').toLowerCase(),
+  },
+
+  // Panic disconnect when the unattended bot is in danger (see safety.js)
+  safety: {
+    enabled: process.env.SAFETY_ENABLED === 'true',
+    minHealth: intOr(process.env.SAFETY_MIN_HEALTH, 10),
+    onDamage: process.env.SAFETY_ON_DAMAGE !== 'false',
+    playerRadius: intOr(process.env.SAFETY_PLAYER_RADIUS, 32),
+    whitelist: (process.env.SAFETY_WHITELIST || '').split(',').map((s) => s.trim()).filter(Boolean),
+    explosionRadius: intOr(process.env.SAFETY_EXPLOSION_RADIUS, 16),
+  },
+
+  // Deadline scheduling ("be in-game by HH:MM")
+  deadline: {
+    marginMinutes: intOr(process.env.DEADLINE_MARGIN, 15),
+  },
+
   // Desktop Notifications
   notifications: {
     enabled: process.env.DESKTOP_NOTIFY !== 'false',
@@ -75,4 +237,8 @@ const config = {
   favicon: process.env.FAVICON || '',
 };
 
+// Accounts (one ProxyManager each)
+config.accounts = parseAccounts(config);
+config.accountEnvKey = accountEnvKey;
+
 module.exports = config;
@@ -0,0 +1,268 @@
+// src/deadline.js - "Be in-game by HH:MM" queue scheduling
+// Works backwards from a target time to decide when ProxyManager.start() must
+// be called. The expected wait blends the base exponential-decay model
+// (ProxyManager._getWaitTime) with the learned positions-per-hour for the hour
+// and weekday we would be starting at (ETALearner._getHistoricalRate). The
+// planned start is recalculated every minute until it fires, and the pending
+// deadline is persisted so it survives restarts.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const CHECK_INTERVAL = 60 * 1000; // Re-plan once a minute
+const RESCHEDULE_LOG_MINUTES = 5; // Only log plan shifts bigger than this
+
+/**
+ * Parse a deadline: "HH:MM" (next occurrence, local time) or anything Date can parse.
+ * @param {string} input
+ * @param {Date} [now]
+ * @returns {Date|null}
+ */
+function parseDeadline(input, now = new Date()) {
+  if (input == null) return null;
+  const str = String(input).trim();
+
+  const hm = str.match(/^(\d{1,2}):(\d{2})$/);
+  if (hm) {
+    const hours = parseInt(hm[1], 10);
+    const minutes = parseInt(hm[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date <= now) date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  const date = new Date(str.toUpperCase());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+class DeadlinePlanner {
+  /**
+   * @param {import('./proxy')} proxy - The proxy manager to start
+   * @param {string} [dataPath] - Override the persisted deadline file (useful for tests)
+   */
+  constructor(proxy, dataPath) {
+    this.proxy = proxy;
+    this.dataPath = dataPath || path.join(proxy.account.dataDir, 'deadline.json');
+    this.deadline = null; // Date | null
+    this.plan = null;     // { deadline, startAt, waitMinutes, queueLength }
+    this.timer = null;
+    this._load();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      const deadline = raw.deadline ? new Date(raw.deadline) : null;
+      if (deadline && !Number.isNaN(deadline.getTime())) {
+        if (deadline > new Date()) {
+          // Resume on the next tick so the rest of the app is wired up
+          // before a possibly overdue start fires
+          this.deadline = deadline;
+          this.timer = setTimeout(() => this._tick(), 1500);
+        } else {
+          this.proxy._log(`Dropping expired deadline ${deadline.toLocaleString()}`, 'warn');
+          this._save();
+        }
+      }
+    } catch {
+      this.deadline = null;
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      const data = { deadline: this.deadline ? this.deadline.toISOString() : null };
+      fs.writeFileSync(this.dataPath, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (e) {
+      this.proxy._log(`Deadline: failed to save – ${e.message}`, 'warn');
+    }
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Set (or replace) the deadline and start tracking it.
+   * @param {Date} deadline
+   * @returns {object|null} The computed plan (see getPlan)
+   */
+  set(deadline) {
+    if (!(deadline instanceof Date) || Number.isNaN(deadline.getTime())) {
+      throw new Error('Invalid deadline');
+    }
+    if (deadline <= new Date()) {
+      throw new Error('Deadline must be in the future');
+    }
+
+    this.deadline = deadline;
+    this.plan = null;
+    this._save();
+    this._tick();
+
+    if (this.plan) {
+      this.proxy._log(
+        `Deadline set: in-game by ${this._fmt(this.plan.deadline)}, ` +
+        `queue starts ~${this._fmt(this.plan.startAt)} (est. wait ${this._fmtMinutes(this.plan.waitMinutes)})`
+      );
+    }
+    return this.getPlan();
+  }
+
+  /** Cancel the pending deadline */
+  clear() {
+    if (!this.deadline) return false;
+    this.deadline = null;
+    this.plan = null;
+    this._stopTimer();
+    this._save();
+    this.proxy._updateState({ deadline: null });
+    this.proxy._log('Deadline cleared');
+    return true;
+  }
+
+  /**
+   * Current plan (ISO timestamps), or null if no deadline is pending.
+   * Also null right after set() when the queue had to start immediately.
+   */
+  getPlan() {
+    return this.plan ? this._serialize(this.plan) : null;
+  }
+
+  /** Stop the re-plan timer (the deadline itself stays persisted) */
+  shutdown() {
+    this._stopTimer();
+  }
+
+  // ─── Planning ──────────────────────────────────────────────────────────────
+
+  /**
+   * Expected queue length when joining. Uses the median start position of
+   * recent learned sessions, falling back to the base model's sample data.
+   */
+  _expectedQueueLength() {
+    const sessions = this.proxy.etaLearner.sessions.slice(-50);
+    if (sessions.length > 0) {
+      const sorted = sessions.map((s) => s.startPos).sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length / 2)];
+    }
+    const places = this.proxy.queueData.place;
+    return Math.round(places.reduce((sum, p) => sum + p, 0) / places.length);
+  }
+
+  /**
+   * Estimate how long a queue started at `startAt` takes, in minutes.
+   * Blends the base model with the historical rate for that hour/weekday,
+   * weighting history the same way ETALearner.estimateMinutes does.
+   */
+  estimateWaitMinutes(startAt, queueLength = this._expectedQueueLength()) {
+    const baseMinutes = this.proxy._getWaitTime(queueLength, 0) / 60;
+    const candidates = [{ minutes: baseMinutes, weight: 0.5 }];
+
+    const historical = this.proxy.etaLearner._getHistoricalRate(startAt);
+    if (historical && historical.rate > 0) {
+      candidates.push({
+        minutes: (queueLength / historical.rate) * 60,
+        weight: Math.min(0.5, historical.effectiveSessions * 0.04),
+      });
+    }
+
+    const totalWeight = candidates.reduce((s, c) => s + c.weight, 0);
+    return candidates.reduce((s, c) => s + c.minutes * (c.weight / totalWeight), 0);
+  }
+
+  /**
+   * Work backwards from the deadline. The wait depends on the hour we start
+   * at, so iterate a few times until the start time settles.
+   */
+  computePlan(deadline = this.deadline) {
+    const queueLength = this._expectedQueueLength();
+    const marginMs = config.deadline.marginMinutes * 60000;
+
+    let startAt = deadline;
+    let waitMinutes = 0;
+    for (let i = 0; i < 5; i++) {
+      waitMinutes = this.estimateWaitMinutes(startAt, queueLength);
+      const next = new Date(deadline.getTime() - waitMinutes * 60000 - marginMs);
+      if (Math.abs(next - startAt) < 60000) {
+        startAt = next;
+        break;
+      }
+      startAt = next;
+    }
+
+    return { deadline, startAt, waitMinutes: Math.round(waitMinutes), queueLength };
+  }
+
+  // ─── Timer ─────────────────────────────────────────────────────────────────
+
+  /** Re-plan and start the queue once the planned start time is reached */
+  _tick() {
+    this._stopTimer();
+    if (!this.deadline) return;
+
+    const previous = this.plan;
+    this.plan = this.computePlan();
+
+    if (previous && Math.abs(this.plan.startAt - previous.startAt) > RESCHEDULE_LOG_MINUTES * 60000) {
+      this.proxy._log(`Deadline: queue start moved to ~${this._fmt(this.plan.startAt)}`);
+    }
+
+    if (Date.now() >= this.plan.startAt.getTime()) {
+      this._fire();
+      return;
+    }
+
+    this.proxy._updateState({ deadline: this._serialize(this.plan) });
+    this.timer = setTimeout(() => this._tick(), CHECK_INTERVAL);
+  }
+
+  _fire() {
+    const { deadline } = this.plan;
+    this.deadline = null;
+    this.plan = null;
+    this._save();
+    this.proxy._updateState({ deadline: null });
+
+    if (this.proxy.state.isInQueue) {
+      this.proxy._log(`Deadline ${this._fmt(deadline)}: already queueing`);
+      return;
+    }
+    this.proxy._log(`Deadline ${this._fmt(deadline)}: starting queue now`);
+    this.proxy.start();
+  }
+
+  _stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ─── Formatting ────────────────────────────────────────────────────────────
+
+  _serialize(plan) {
+    return {
+      deadline: plan.deadline.toISOString(),
+      startAt: plan.startAt.toISOString(),
+      waitMinutes: plan.waitMinutes,
+      queueLength: plan.queueLength,
+    };
+  }
+
+  _fmt(date) {
+    return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  }
+
+  _fmtMinutes(minutes) {
+    return `${Math.floor(minutes / 60)}h ${Math.floor(minutes % 60)}m`;
+  }
+}
+
+DeadlinePlanner.parseDeadline = parseDeadline;
+
+module.exports = DeadlinePlanner;
@@ -0,0 +1,186 @@
+// src/death-handler.js - Death detection and respawn policy for the unattended bot
+// A bot that dies after the queue while nobody is playing would sit on the
+// death screen with anti-AFK pressing keys for a dead entity. The handler
+// notices the death (the death_combat_event packet carries the message, the
+// 'death' event covers servers that don't send it), records where and why,
+// pauses anti-AFK and applies the configured policy:
+//   respawn     respawn right away (anti-AFK resumes once alive)
+//   stay        stay on the death screen until a player connects and respawns
+//   disconnect  stop the queue and log off
+// Every death is logged, notified (desktop, Discord, dashboard via 'death')
+// and kept in deaths.json in the account's data folder.
+//
+// The bot is created with mineflayer's own auto-respawn off (see proxy.js),
+// so a connected player still gets their own death screen.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { extractChatText } = require('./chat-component');
+
+const POLICIES = ['respawn', 'stay', 'disconnect'];
+const MAX_DEATHS = 100;
+const MESSAGE_WINDOW = 5000; // A death message this close to the death belongs to it
+
+class DeathHandler {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot is watched
+   * @param {object} [options] - Defaults to config.death
+   * @param {'respawn'|'stay'|'disconnect'} [options.policy]
+   * @param {string} [dataPath] - Override the death log file (useful for tests)
+   */
+  constructor(proxy, options = config.death, dataPath) {
+    this.proxy = proxy;
+    this.options = { policy: 'respawn', ...options };
+    this.dataPath = dataPath || path.join(proxy.account.dataDir, 'deaths.json');
+    this.deaths = [];
+    this.bot = null;
+    this.current = null; // Entry for the death the bot hasn't respawned from yet
+    this.respawnPending = false; // Respawn once mineflayer has seen the death too
+    this._listeners = null;
+    this._load();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      this.deaths = Array.isArray(raw.deaths) ? raw.deaths : [];
+    } catch {
+      this.deaths = [];
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      fs.writeFileSync(this.dataPath, JSON.stringify({ deaths: this.deaths }, null, 2), 'utf-8');
+    } catch (e) {
+      this.proxy._log(`Death log: failed to save – ${e.message}`, 'warn');
+    }
+  }
+
+  // ─── Bot events ────────────────────────────────────────────────────────────
+
+  /** Start watching a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!bot) return;
+    this.bot = bot;
+    this.current = null;
+    this.respawnPending = false;
+    this._listeners = {
+      bot: {
+        death: () => this.handleDeath(null),
+        spawn: () => this.handleSpawn(),
+      },
+      client: {
+        death_combat_event: (packet) => {
+          if (bot.entity?.id == null || packet.playerId === bot.entity.id) this.handleDeath(packet.message);
+        },
+      },
+    };
+    for (const [event, fn] of Object.entries(this._listeners.bot)) bot.on(event, fn);
+    for (const [event, fn] of Object.entries(this._listeners.client)) bot._client?.on(event, fn);
+  }
+
+  /** Stop watching (disconnected or stopped) */
+  detach() {
+    if (!this.bot || !this._listeners) return;
+    for (const [event, fn] of Object.entries(this._listeners.bot)) this.bot.removeListener(event, fn);
+    for (const [event, fn] of Object.entries(this._listeners.client)) this.bot._client?.removeListener(event, fn);
+    this.bot = null;
+    this._listeners = null;
+  }
+
+  /**
+   * The bot died (or its death message arrived).
+   * @param {object|string|null} message - Death message component, if known
+   * @returns {object|null} The death entry, when this was a new death
+   */
+  handleDeath(message, now = Date.now()) {
+    const reason = message ? extractChatText(message).trim() || null : null;
+    if (this.current) {
+      // Second signal for the same death: fill in the message if it came late
+      if (reason && !this.current.reason && now - Date.parse(this.current.time) < MESSAGE_WINDOW) {
+        this.current.reason = reason;
+        this._save();
+      }
+      if (this.respawnPending) this._respawn();
+      return null;
+    }
+    // A linked player has their own death screen
+    if (!this.bot || this.proxy.proxyClient) return null;
+
+    const pos = this.bot.entity?.position;
+    const entry = {
+      time: new Date(now).toISOString(),
+      reason,
+      position: pos ? { x: Math.floor(pos.x), y: Math.floor(pos.y), z: Math.floor(pos.z) } : null,
+      dimension: this.bot.game?.dimension || null,
+      policy: this.options.policy,
+    };
+    this.current = entry;
+    this.deaths.push(entry);
+    if (this.deaths.length > MAX_DEATHS) this.deaths.shift();
+    this._save();
+
+    const where = entry.position ? ` at ${entry.position.x} ${entry.position.y} ${entry.position.z}` : '';
+    const dimension = entry.dimension ? ` (${entry.dimension.replace(/^minecraft:/, '')})` : '';
+    this.proxy._log(`Bot died${where}${dimension}: ${reason || 'unknown cause'}`, 'warn');
+    this.proxy._notify(`Bot died: ${reason || 'unknown cause'}`);
+    this.proxy.antiAfk?.pause('death');
+    this.proxy.emit('death', entry);
+    this._applyPolicy();
+    return entry;
+  }
+
+  /** Internal: respawn, stay dead or log off */
+  _applyPolicy() {
+    switch (this.options.policy) {
+      case 'stay':
+        this.proxy._log('Staying on the death screen (DEATH_POLICY=stay)');
+        break;
+      case 'disconnect':
+        this.proxy._log('Disconnecting after death (DEATH_POLICY=disconnect)');
+        this.proxy.stop();
+        break;
+      default:
+        this.respawnPending = true;
+        this._respawn();
+    }
+  }
+
+  /** Internal: respawn, unless mineflayer hasn't noticed the death yet (the message comes first) */
+  _respawn() {
+    if (!this.bot || this.bot.isAlive !== false) return;
+    this.respawnPending = false;
+    try {
+      this.bot.respawn();
+      this.proxy._log('Respawning');
+    } catch (err) {
+      this.proxy._log(`Respawn failed: ${err.message}`, 'warn');
+    }
+  }
+
+  /** The bot is alive again (after a respawn) */
+  handleSpawn() {
+    if (!this.current) return;
+    this.current = null;
+    this.respawnPending = false;
+    this.proxy.antiAfk?.resume('death');
+  }
+
+  /**
+   * Recorded deaths, newest first.
+   * @param {number} [limit]
+   */
+  list(limit = MAX_DEATHS) {
+    return this.deaths.slice(-limit).reverse().map((d) => ({ ...d }));
+  }
+}
+
+DeathHandler.POLICIES = POLICIES;
+
+module.exports = DeathHandler;
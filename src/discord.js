@@ -5,19 +5,29 @@ const logger = require('./logger');
 const fs = require('fs');
 const path = require('path');
 const { version: APP_VERSION } = require('../package.json');
+const CommandRegistry = require('./command-registry');
+const { escapeMarkdown } = require('./chat-component');
 
 const SAVE_PATH = path.join(__dirname, '..', 'data', 'saveid');
 
 class DiscordBot {
   /**
-   * @param {import('./proxy')} proxy - The proxy manager instance
+   * @param {import('./accounts')} accounts - Registry of per-account proxy managers
+   * @param {CommandRegistry} [registry] - Shared command set
    */
-  constructor(proxy) {
-    this.proxy = proxy;
+  constructor(accounts, registry = new CommandRegistry(accounts)) {
+    this.accounts = accounts;
+    this.registry = registry;
+    this.currentId = accounts.defaultId; // Account targeted by commands (see "use")
     this.client = null;
     this.dcUser = null;
     this.ready = false;
-    this.discordNotificationSent = false;
+    this.discordNotificationSent = new Set(); // account ids already alerted this queue
+  }
+
+  /** The proxy manager for the currently selected account */
+  get proxy() {
+    return this.accounts.get(this.currentId);
   }
 
   /** Initialize and connect the Discord bot */
@@ -68,125 +78,151 @@ class DiscordBot {
       this.dcUser = message.author;
     });
 
-    // Listen to proxy events
-    this.proxy.on('stateChange', (state) => {
+    // Listen to every account's proxy events
+    for (const proxy of this.accounts.all()) {
+      this._listenToProxy(proxy);
+    }
+
+    try {
+      await this.client.login(config.discord.token);
+    } catch (err) {
+      logger.warn(`Discord login failed: ${err.message}`);
+    }
+  }
+
+  /** Internal: subscribe to one account's proxy events */
+  _listenToProxy(proxy) {
+    const id = proxy.account.id;
+    // Only the selected account drives the bot's activity line
+    const isCurrent = () => id === this.currentId;
+    // Prefix notifications with the account when several are queued
+    const tag = (text) => (this.accounts.isMulti() ? `[${id}] ${text}` : text);
+
+    proxy.on('stateChange', (state) => {
       if (state.doing === 'auth') {
-        this.discordNotificationSent = false;
+        this.discordNotificationSent.delete(id);
       }
-      if (state.doing === 'queue' && state.queuePlace !== 'None') {
+      if (isCurrent() && state.doing === 'queue' && state.queuePlace !== 'None') {
         const name = config.showUsernameStatus ? ` - ${state.username || 'Unknown'}` : '';
         this._setActivity(`P: ${state.queuePlace} | E: ${state.eta}${name}`);
       }
     });
 
-    this.proxy.on('queueFinished', () => {
-      this._setActivity('Queue finished!');
+    proxy.on('queueFinished', () => {
+      if (isCurrent()) this._setActivity('Queue finished!');
       if (config.discord.notify && this.dcUser) {
-        this._sendEmbed(this.dcUser, 'Queue Complete', 'The queue is finished! Connect now!');
+        this._sendEmbed(this.dcUser, 'Queue Complete', tag('The queue is finished! Connect now!'));
       }
     });
 
-    this.proxy.on('queueUpdate', ({ position }) => {
+    proxy.on('queueUpdate', ({ position }) => {
       if (
         config.discord.notify &&
         position <= config.discord.notifyPosition &&
         this.dcUser &&
-        !this.discordNotificationSent
+        !this.discordNotificationSent.has(id)
       ) {
-        this.discordNotificationSent = true;
+        this.discordNotificationSent.add(id);
         this._sendEmbed(
           this.dcUser,
           'Queue Alert',
-          `Position: ${position}. Almost through the queue!`
+          tag(`Position: ${position}. Almost through the queue!`)
         );
       }
     });
 
-    this.proxy.on('stopped', () => {
-      this._setActivity('Queue stopped');
+    proxy.on('stopped', () => {
+      if (isCurrent()) this._setActivity('Queue stopped');
     });
 
-    try {
-      await this.client.login(config.discord.token);
-    } catch (err) {
-      logger.warn(`Discord login failed: ${err.message}`);
-    }
-  }
+    proxy.on('serverRestart', ({ minutes, first }) => {
+      if (first && config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, 'Server Restart', tag(`Server restarting in ${minutes} minute${minutes === 1 ? '' : 's'}`));
+      }
+    });
 
-  /** Handle incoming Discord commands */
-  _handleCommand(message) {
-    const cmd = message.content.toLowerCase().trim();
-
-    switch (cmd) {
-      case 'help':
-      case 'commands':
-        this._sendEmbed(message.channel, 'Commands', [
-          '**start** - Start queueing',
-          '**stop** - Stop queueing',
-          '**update** - Get current queue status',
-          '**stats** - Show health and hunger',
-          '**antiafk** - Toggle anti-AFK',
-          '**restart** - Toggle auto-restart on disconnect',
-          '**help** - Show this message',
-        ].join('\n'));
-        break;
-
-      case 'start':
-        this.proxy.start();
-        this._sendEmbed(message.channel, 'Queue', 'Starting queue...');
-        break;
-
-      case 'stop':
-        this.proxy.stop();
-        this._sendEmbed(message.channel, 'Queue', 'Queue **stopped**');
-        break;
-
-      case 'update': {
-        const state = this.proxy.getState();
-        this._sendEmbed(
-          message.channel,
-          'Status',
-          `Position: ${state.queuePlace}\nETA: ${state.eta}\nStatus: ${state.doing}`
-        );
-        break;
-      }
-
-      case 'stats': {
-        const stats = this.proxy.getPlayerStats();
-        if (stats && stats.health != null) {
-          this._sendEmbed(
-            message.channel,
-            'Player Stats',
-            `Health: ${Math.ceil(stats.health / 2)}/10\nHunger: ${Math.floor(stats.food / 2)}/10`
-          );
-        } else {
-          this._sendEmbed(message.channel, 'Player Stats', 'Not connected to server');
-        }
-        break;
+    proxy.on('queueStalled', ({ reason }) => {
+      if (config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, 'Queue Stuck', tag(`Queue looks stuck: ${reason}`));
       }
+    });
 
-      case 'antiafk':
-        this.proxy.toggleAntiAfk();
-        this._sendEmbed(
-          message.channel,
-          'Anti-AFK',
-          `Anti-AFK ${this.proxy.state.antiAfkActive ? 'enabled' : 'disabled'}`
-        );
-        break;
+    proxy.on('chatAlert', ({ name, sender, text }) => {
+      if (config.discord.notify && this.dcUser) {
+        const line = sender ? `**${escapeMarkdown(sender)}**: ${escapeMarkdown(text)}` : escapeMarkdown(text);
+        this._sendEmbed(this.dcUser, `Chat Alert: ${escapeMarkdown(name)}`, tag(line));
+      }
+    });
 
-      case 'restart':
-        this.proxy.toggleRestart();
-        this._sendEmbed(
-          message.channel,
-          'Auto-Restart',
-          `Auto-restart ${this.proxy.state.restartQueue ? 'enabled' : 'disabled'}`
-        );
-        break;
+    proxy.on('whisper', ({ sender, message }) => {
+      if (config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, `Whisper from ${escapeMarkdown(sender)}`, tag(escapeMarkdown(message)));
+      }
+    });
 
-      default:
-        if (cmd.length > 0 && cmd.length < 30) {
-          this._sendEmbed(message.channel, 'Error', `Unknown command: "${cmd}". Type **help** for commands.`);
-        }
+    proxy.on('playerEnter', ({ name, distance, direction }) => {
+      if (config.discord.notify && config.radar.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, 'Player Nearby', tag(`**${escapeMarkdown(name)}** is ${Math.round(distance)} blocks ${direction} of the bot`));
+      }
+    });
+
+    proxy.on('watchedPlayer', ({ name, online }) => {
+      if (config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, online ? 'Player Online' : 'Player Offline', tag(`**${escapeMarkdown(name)}** ${online ? 'logged in' : 'logged out'}`), online ? 0x00ff88 : 0x888888);
+      }
+    });
+
+    proxy.on('death', ({ reason, position, policy }) => {
+      if (config.discord.notify && this.dcUser) {
+        const where = position ? `\nAt ${position.x} ${position.y} ${position.z}` : '';
+        this._sendEmbed(this.dcUser, 'Bot Died', tag(`${reason ? escapeMarkdown(reason) : 'Unknown cause'}${where}\nPolicy: ${policy}`), 0xff4444);
+      }
+    });
+
+    proxy.on('noFood', ({ food }) => {
+      if (config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, 'Out of Food', tag(`The bot is hungry (${food}/20) and has no food left`));
+      }
+    });
+
+    // Always sent (not only with DISCORD_NOTIFY) - the bot is in danger
+    proxy.on('panic', ({ reason }) => {
+      if (this.dcUser) {
+        this._sendEmbed(this.dcUser, 'PANIC DISCONNECT', tag(`**${reason}**\nThe bot logged off and auto-restart is off.`), 0xff4444);
+      }
+    });
+
+    proxy.on('kicked', (kick) => {
+      if (kick.alert && config.discord.notify && this.dcUser) {
+        this._sendEmbed(this.dcUser, `Disconnected: ${kick.label}`, tag(kick.markdown || 'No reason given'));
+      }
+    });
+  }
+
+  /** Handle incoming Discord commands (see command-registry.js) */
+  _handleCommand(message) {
+    const line = message.content.trim();
+    const [cmd = ''] = line.split(/\s+/);
+    if (!this.registry.get(cmd)) {
+      // Only answer short messages - longer ones are probably just chat
+      if (cmd.length > 0 && line.length < 30) {
+        this._sendEmbed(message.channel, 'Error', `Unknown command: "${cmd}". Type **help** for commands.`);
+      }
+      return;
+    }
+
+    try {
+      const result = this.registry.runLine(line, {
+        proxy: this.proxy,
+        source: 'discord',
+        permission: config.discord.permission,
+        select: (id) => { this.currentId = id; },
+      });
+      const parts = [...result.logs];
+      if (result.lines.length) parts.push(`\`\`\`\n${result.lines.join('\n')}\n\`\`\``);
+      this._sendEmbed(message.channel, result.title, parts.join('\n') || 'Done');
+    } catch (err) {
+      this._sendEmbed(message.channel, 'Error', err.message);
     }
   }
 
@@ -200,12 +236,12 @@ class DiscordBot {
     }
   }
 
-  /** Send an embed message */
-  _sendEmbed(channel, title, content) {
+  /** Send an embed message (color defaults to green) */
+  _sendEmbed(channel, title, content, color = 0x00ff88) {
     if (!config.discord.chat) return;
 
     const embed = new EmbedBuilder()
-      .setColor(0x00ff88)
+      .setColor(color)
       .setTitle(title)
       .setDescription(content)
       .setTimestamp()
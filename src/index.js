@@ -4,9 +4,14 @@
 const config = require('./config');
 const logger = require('./logger');
 const ProxyManager = require('./proxy');
+const AccountManager = require('./accounts');
 const WebServer = require('./web/server');
 const DiscordBot = require('./discord');
 const CommandHandler = require('./commands');
+const CommandRegistry = require('./command-registry');
+const { createQueueDetector } = require('./queue-detectors');
+const { POLICIES: RESTART_POLICIES } = require('./restart-notice');
+const { POLICIES: DEATH_POLICIES } = require('./death-handler');
 
 // ASCII banner
 const chalk = require('chalk');
@@ -33,22 +38,66 @@ console.log(
 
 async function main() {
   // Validate config
-  if (!config.mc.email && config.proxy.onlineMode) {
-    logger.error('MC_EMAIL is required when PROXY_ONLINE_MODE is true');
-    logger.info('Set MC_EMAIL in your .env file or set PROXY_ONLINE_MODE=false');
+  for (const account of config.accounts) {
+    if (!account.email && config.proxy.onlineMode) {
+      // With ACCOUNTS set, even a single account reads its own variable
+      const key = /[^\s,]/.test(process.env.ACCOUNTS || '') ? config.accountEnvKey(account.id, 'EMAIL') : 'MC_EMAIL';
+      logger.error(`${key} is required when PROXY_ONLINE_MODE is true`);
+      logger.info(`Set ${key} in your .env file or set PROXY_ONLINE_MODE=false`);
+      process.exit(1);
+    }
+  }
+  try {
+    createQueueDetector();
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+  }
+  if (!RESTART_POLICIES.includes(config.serverRestart.policy)) {
+    logger.error(`Invalid SERVER_RESTART_POLICY "${config.serverRestart.policy}" (use ${RESTART_POLICIES.join(', ')})`);
+    process.exit(1);
+  }
+  if (!DEATH_POLICIES.includes(config.death.policy)) {
+    logger.error(`Invalid DEATH_POLICY "${config.death.policy}" (use ${DEATH_POLICIES.join(', ')})`);
+    process.exit(1);
+  }
+  for (const [key, permission] of [
+    ['WEB_PERMISSION', config.web.permission],
+    ['DISCORD_PERMISSION', config.discord.permission],
+    ['INGAME_PERMISSION', config.ingameCommands.permission],
+  ]) {
+    if (!CommandRegistry.PERMISSIONS.includes(permission)) {
+      logger.error(`Invalid ${key} "${permission}" (use ${CommandRegistry.PERMISSIONS.join(', ')})`);
+      process.exit(1);
+    }
+  }
+  try {
+    if (config.whispers.pattern) new RegExp(config.whispers.pattern, 'i');
+  } catch (err) {
+    logger.error(`Invalid WHISPER_PATTERN: ${err.message}`);
+    process.exit(1);
+  }
+  const ports = config.accounts.map((a) => a.proxyPort);
+  if (new Set(ports).size !== ports.length) {
+    logger.error(`Every account needs its own proxy port (got ${ports.join(', ')})`);
     process.exit(1);
   }
 
-  // Ensure auth directory exists
+  // Ensure auth directories exist
   const fs = require('fs');
-  try { fs.mkdirSync(config.mc.profilesFolder, { recursive: true }); } catch { /* ignore */ }
+  for (const account of config.accounts) {
+    try { fs.mkdirSync(account.profilesFolder, { recursive: true }); } catch { /* ignore */ }
+  }
+
+  // Initialize one proxy manager per account
+  const accounts = new AccountManager(config.accounts.map((account) => new ProxyManager(account)));
+  logger.info(`Proxy manager initialized (${accounts.ids().join(', ')})`);
 
-  // Initialize proxy manager
-  const proxy = new ProxyManager();
-  logger.info('Proxy manager initialized');
+  // One command set for the terminal, Discord, the API and in-game chat
+  const registry = new CommandRegistry(accounts);
 
   // Initialize web server
-  const webServer = new WebServer(proxy);
+  const webServer = new WebServer(accounts, registry);
   await webServer.start();
 
   // Open browser if configured
@@ -58,30 +107,39 @@ async function main() {
   }
 
   // Initialize Discord bot
-  const discord = new DiscordBot(proxy);
+  const discord = new DiscordBot(accounts, registry);
   await discord.init();
 
   // Start CLI command handler
-  const commands = new CommandHandler(proxy);
+  const commands = new CommandHandler(accounts, registry);
   commands.start();
 
   logger.info(`Server: ${config.server.host}:${config.server.port}`);
   logger.info(`MC Version: ${config.mc.version}`);
-  logger.info(`Proxy: ${config.proxy.bind}:${config.proxy.port}`);
-  logger.info(`Auth tokens: ${config.mc.profilesFolder}`);
+  for (const account of config.accounts) {
+    const label = accounts.isMulti() ? `[${account.id}] ` : '';
+    logger.info(`${label}Proxy: ${config.proxy.bind}:${account.proxyPort}`);
+    logger.info(`${label}Auth tokens: ${account.profilesFolder}`);
+  }
   logger.info(`Anti-AFK: ${config.antiAfk.enabled ? 'Enabled' : 'Disabled'}`);
   logger.info('Type "help" for available commands');
 
   // Auto-join if configured
   if (config.joinOnStart) {
     logger.info('Auto-joining queue (JOIN_ON_START=true)...');
-    setTimeout(() => proxy.start(), 1500);
+    // Stagger accounts so the server doesn't throttle back-to-back logins
+    accounts.all().forEach((proxy, i) => setTimeout(() => proxy.start(), 1500 + i * 5000));
   }
 
   // Graceful shutdown
   const shutdown = async () => {
     logger.info('Shutting down...');
-    proxy.stop();
+    accounts.all().forEach((proxy) => {
+      proxy.stop();
+      proxy.capture.stop(); // flush an open packet capture
+      proxy.chat.flush();
+      proxy.players.flush();
+    });
     commands.shutdown();
     await discord.shutdown();
     await webServer.shutdown();
@@ -0,0 +1,225 @@
+// src/inventory.js - What the bot carries, and a few remote inventory actions
+// The bot's inventory (mineflayer's player window) is summarised for the API
+// and the dashboard: every stack with its count, enchantments and
+// durability, the armor, the offhand and the held item. Slot changes are
+// emitted as 'inventory' (debounced, a single click moves several slots).
+//
+// Slots use the player window numbering, the same as mineflayer:
+//   5-8 armor (head, torso, legs, feet)   9-35 main inventory
+//   36-44 hotbar (quick bar slot 0-8)     45 offhand
+//
+// The remote actions (select a hotbar slot, equip armor, drop one item, toss
+// a stack, swap the offhand) only run while no player is linked - a player
+// has the real inventory in front of them. The "inventory" command guards
+// them with the admin permission (see builtin-commands.js), since a drop or
+// toss can't be undone.
+
+const ARMOR_SLOTS = { head: 5, torso: 6, legs: 7, feet: 8 };
+const OFFHAND_SLOT = 45;
+const QUICK_BAR_START = 36;
+const MAIN_START = 9;
+const EMIT_DELAY = 250;
+
+/** Internal: which armor slot an item goes in, or null */
+function armorSlotOf(name) {
+  if (/_helmet$|^carved_pumpkin$|_head$|_skull$/.test(name)) return 'head';
+  if (/_chestplate$|^elytra$/.test(name)) return 'torso';
+  if (/_leggings$/.test(name)) return 'legs';
+  if (/_boots$/.test(name)) return 'feet';
+  return null;
+}
+
+/** Internal: [{ name, level }] whatever shape the item's enchantments come in */
+function enchantsOf(item) {
+  try {
+    const list = item.enchants;
+    if (!Array.isArray(list)) return [];
+    return list.map((e) => ({ name: String(e.name ?? e.id).replace(/^minecraft:/, ''), level: e.lvl ?? e.level ?? 1 }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Plain description of a mineflayer Item.
+ * @param {object|null} item
+ * @returns {{ slot: number, name: string, displayName: string, count: number, enchants: object[], durability: { left: number, max: number }|null }|null}
+ */
+function describeItem(item) {
+  if (!item) return null;
+  let durability = null;
+  if (item.maxDurability) {
+    const used = item.durabilityUsed ?? 0;
+    durability = { left: item.maxDurability - used, max: item.maxDurability };
+  }
+  return {
+    slot: item.slot,
+    name: item.name,
+    displayName: item.displayName || item.name,
+    count: item.count,
+    enchants: enchantsOf(item),
+    durability,
+  };
+}
+
+class BotInventory {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot's inventory is shown
+   */
+  constructor(proxy) {
+    this.proxy = proxy;
+    this.bot = null;
+    this.timer = null;
+    this._onChange = () => this._scheduleEmit();
+  }
+
+  /** Start following a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!bot) return;
+    this.bot = bot;
+    bot.inventory?.on('updateSlot', this._onChange);
+    bot.on('heldItemChanged', this._onChange);
+    this.proxy.emit('inventory', this.status());
+  }
+
+  /** Stop following (disconnected or stopped) */
+  detach() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.bot) return;
+    this.bot.inventory?.removeListener('updateSlot', this._onChange);
+    this.bot.removeListener('heldItemChanged', this._onChange);
+    this.bot = null;
+    this.proxy.emit('inventory', this.status());
+  }
+
+  /** Internal: emit once the burst of slot updates is over */
+  _scheduleEmit() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.bot) this.proxy.emit('inventory', this.status());
+    }, EMIT_DELAY);
+  }
+
+  /** Everything the bot carries (for /api/inventory and the dashboard) */
+  status() {
+    const slots = this.bot?.inventory?.slots;
+    const linked = !!this.proxy.proxyClient;
+    if (!slots) return { active: false, linked, quickBarSlot: null, held: null, armor: {}, offhand: null, items: [] };
+    const armor = {};
+    for (const [part, slot] of Object.entries(ARMOR_SLOTS)) armor[part] = describeItem(slots[slot]);
+    const items = [];
+    for (let slot = MAIN_START; slot < OFFHAND_SLOT; slot++) {
+      if (slots[slot]) items.push(describeItem(slots[slot]));
+    }
+    return {
+      active: true,
+      linked,
+      quickBarSlot: this.bot.quickBarSlot ?? null,
+      held: describeItem(this.bot.heldItem),
+      armor,
+      offhand: describeItem(slots[OFFHAND_SLOT]),
+      items,
+    };
+  }
+
+  // ─── Remote actions ────────────────────────────────────────────────────────
+  // Each checks what it can right away (throws Error) and returns a promise
+  // for the part that talks to the server; that promise never rejects, it
+  // resolves to whether the action worked (failures are logged).
+
+  /** Internal: the bot, if remote actions are allowed now */
+  _ready() {
+    if (this.proxy.proxyClient) throw new Error('A player is connected, use the inventory in game');
+    if (!this.bot?.inventory) throw new Error('Not connected to the server');
+    return this.bot;
+  }
+
+  /** Internal: the item in a window slot */
+  _itemAt(slot) {
+    const bot = this._ready();
+    const n = Number(slot);
+    if (!Number.isInteger(n) || n < ARMOR_SLOTS.head || n > OFFHAND_SLOT) {
+      throw new Error(`Invalid slot: ${slot} (5-45)`);
+    }
+    const item = bot.inventory.slots[n];
+    if (!item) throw new Error(`Slot ${n} is empty`);
+    return item;
+  }
+
+  /** Internal: run an inventory action ("drop 1 Dirt"), log the outcome */
+  async _act(what, fn) {
+    try {
+      await fn();
+      this.proxy._log(`Inventory: ${what}`);
+      return true;
+    } catch (err) {
+      this.proxy._log(`Inventory: could not ${what} – ${err.message}`, 'warn');
+      return false;
+    }
+  }
+
+  /**
+   * Hold hotbar slot 0-8.
+   * @returns {Promise<boolean>}
+   */
+  selectSlot(index) {
+    const bot = this._ready();
+    const n = Number(index);
+    if (!Number.isInteger(n) || n < 0 || n > 8) throw new Error(`Invalid hotbar slot: ${index} (0-8)`);
+    return this._act(`select hotbar slot ${n}`, () => bot.setQuickBarSlot(n));
+  }
+
+  /**
+   * Put on the armor piece in a slot.
+   * @returns {Promise<boolean>}
+   */
+  equip(slot) {
+    const bot = this._ready();
+    const item = this._itemAt(slot);
+    const part = armorSlotOf(item.name);
+    if (!part) throw new Error(`${item.displayName || item.name} isn't armor`);
+    if (item.slot === ARMOR_SLOTS[part]) throw new Error(`${item.displayName || item.name} is already worn`);
+    return this._act(`equip ${item.displayName || item.name}`, () => bot.equip(item, part));
+  }
+
+  /**
+   * Drop one item from a slot.
+   * @returns {Promise<boolean>}
+   */
+  drop(slot) {
+    const bot = this._ready();
+    const item = this._itemAt(slot);
+    return this._act(`drop 1 ${item.displayName || item.name}`, () => bot.clickWindow(item.slot, 0, 4));
+  }
+
+  /**
+   * Throw out a whole stack.
+   * @returns {Promise<boolean>}
+   */
+  toss(slot) {
+    const bot = this._ready();
+    const item = this._itemAt(slot);
+    return this._act(`toss ${item.count} ${item.displayName || item.name}`, () => bot.tossStack(item));
+  }
+
+  /**
+   * Swap the held item and the offhand.
+   * @returns {Promise<boolean>}
+   */
+  swapOffhand() {
+    const bot = this._ready();
+    const hand = QUICK_BAR_START + bot.quickBarSlot;
+    if (!bot.inventory.slots[hand] && !bot.inventory.slots[OFFHAND_SLOT]) {
+      throw new Error('Nothing in the hand or the offhand');
+    }
+    return this._act('swap the offhand', () => bot.moveSlotItem(hand, OFFHAND_SLOT));
+  }
+}
+
+BotInventory.describeItem = describeItem;
+BotInventory.armorSlotOf = armorSlotOf;
+
+module.exports = BotInventory;
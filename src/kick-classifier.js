@@ -0,0 +1,98 @@
+// src/kick-classifier.js - Kick / disconnect reason classification
+// Turns the text of a kick packet or socket error into a category with a
+// reaction attached, so the proxy can tell "server is restarting, come back
+// later" apart from "this account is banned, stop trying".
+//
+// Reactions:
+//   retry    reconnect with the normal backoff
+//   backoff  reconnect, but start with a long delay (see reconnect-policy.js)
+//   stop     don't reconnect - retrying can't help
+// alert: true additionally notifies the user (desktop / Discord).
+
+const { extractChatText } = require('./chat-component');
+
+/**
+ * Checked in order, first match wins. Vanilla translation keys
+ * (multiplayer.disconnect.*) are matched too, for kicks sent untranslated.
+ */
+const CATEGORIES = [
+  {
+    category: 'banned',
+    label: 'Banned',
+    action: 'stop',
+    alert: true,
+    pattern: /\bbanned\b|blacklist|suspended|not whitelisted|not white-listed|disconnect\.(banned|not_whitelisted)/i,
+  },
+  {
+    // Mojang's side is down, the account itself is fine: wait it out
+    category: 'auth-outage',
+    label: 'Auth servers down',
+    action: 'backoff',
+    alert: false,
+    pattern: /authentication servers|authservers_down/i,
+  },
+  {
+    category: 'auth',
+    label: 'Authentication expired',
+    action: 'stop',
+    alert: true,
+    pattern: /invalid session|session expired|failed to (verify|authenticate)|invalid access token|not authenticated|authentication failed|unverified_username/i,
+  },
+  {
+    category: 'already-connected',
+    label: 'Already connected',
+    action: 'backoff',
+    alert: true,
+    pattern: /already (connected|logged in|online|playing)|logged in from another location|duplicate_login/i,
+  },
+  {
+    category: 'throttled',
+    label: 'Throttled',
+    action: 'backoff',
+    alert: false,
+    pattern: /throttl|wait before reconnecting|logging in too fast|too many (connections|logins)/i,
+  },
+  {
+    category: 'restart',
+    label: 'Server restart',
+    action: 'backoff',
+    alert: false,
+    pattern: /restart|server (is )?(closed|shutting down)|server_shutdown/i,
+  },
+  {
+    category: 'idle',
+    label: 'Idle kick',
+    action: 'retry',
+    alert: false,
+    pattern: /\bidle\b|idling|\bafk\b|inactiv/i,
+  },
+  {
+    category: 'network',
+    label: 'Network error',
+    action: 'retry',
+    alert: false,
+    pattern: /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|EHOSTUNREACH|ENETUNREACH|ENOTFOUND|EAI_AGAIN|timed out|timeout|socket (closed|hang up)|connection (reset|refused|lost)|not responding|keepalive/i,
+  },
+];
+
+const UNKNOWN = { category: 'unknown', label: 'Unknown', action: 'retry', alert: false };
+
+/**
+ * Classify a kick or disconnect reason.
+ * @param {string|object|Error} reason - Kick text, chat component or error
+ * @returns {{ category: string, label: string, action: 'retry'|'backoff'|'stop', alert: boolean, text: string }}
+ */
+function classifyKick(reason) {
+  const text = reason instanceof Error
+    ? [reason.code, reason.message].filter(Boolean).join(' ')
+    : extractChatText(reason).trim();
+
+  const match = CATEGORIES.find((c) => c.pattern.test(text)) || UNKNOWN;
+  const { category, label, action, alert } = match;
+  return { category, label, action, alert, text };
+}
+
+module.exports = {
+  CATEGORIES: CATEGORIES.map((c) => c.category).concat(UNKNOWN.category),
+  classifyKick,
+};
@@ -0,0 +1,167 @@
+// src/limbo.js - Local void world that holds players while the proxy is queueing
+// Instead of kicking a player who connects mid-queue (or whose upstream
+// connection dropped), the proxy parks them here: an empty End-style world in
+// spectator mode with a boss bar showing the live queue position and ETA.
+// When the queue finishes, ProxyManager reconfigures the client and hands it
+// over to the real session without the player ever reconnecting.
+const crypto = require('crypto');
+const nbt = require('prismarine-nbt');
+
+const LIMBO_WORLD = '2bored2tolerate:limbo';
+const LIMBO_ENTITY_ID = 1;
+const BOSS_BAR_COLOR = { queue: 4, waiting: 6 }; // yellow / white
+
+/** Build an NBT text component (1.21.4 chat format) */
+function text(str) {
+  return nbt.comp({ text: nbt.string(str) });
+}
+
+/**
+ * Find the dimension_type registry index for the End (dark void sky), falling
+ * back to the first entry. The login packet references dimension types by
+ * their position in the registry_data we sent during configuration.
+ */
+function dimensionIndex(registryCodec) {
+  const entries = registryCodec?.['minecraft:dimension_type']?.entries || [];
+  const idx = entries.findIndex((e) => e.key === 'minecraft:the_end');
+  return idx === -1 ? 0 : idx;
+}
+
+class Limbo {
+  constructor() {
+    this.client = null;
+    this.bossBarId = null;
+    this.lastTitle = null;
+  }
+
+  /** Whether the given client is currently held in limbo */
+  has(client) {
+    return client != null && this.client === client;
+  }
+
+  /**
+   * Spawn a freshly configured (PLAY state) client into the void world.
+   * @param {import('minecraft-protocol').ServerClient} client
+   * @param {object} registryCodec - The registry data the client was configured with
+   * @param {object} state - Current proxy state, for the initial boss bar
+   * @param {number|null} startPlace - Queue position the session started at
+   */
+  hold(client, registryCodec, state, startPlace) {
+    this.client = client;
+    this.bossBarId = crypto.randomUUID();
+    this.lastTitle = null;
+
+    client.write('login', {
+      entityId: LIMBO_ENTITY_ID,
+      isHardcore: false,
+      worldNames: [LIMBO_WORLD],
+      maxPlayers: 1,
+      viewDistance: 2,
+      simulationDistance: 2,
+      reducedDebugInfo: false,
+      enableRespawnScreen: false,
+      doLimitedCrafting: false,
+      worldState: {
+        dimension: dimensionIndex(registryCodec),
+        name: LIMBO_WORLD,
+        hashedSeed: [0, 0],
+        gamemode: 'spectator',
+        previousGamemode: 255,
+        isDebug: false,
+        isFlat: true,
+        death: undefined,
+        portalCooldown: 0,
+        seaLevel: 63,
+      },
+      enforcesSecureChat: false,
+    });
+
+    // Spectators skip the "Loading terrain" wait, so no chunks are needed
+    client.write('game_state_change', { reason: 'level_chunks_load_start', gameMode: 0 });
+    client.write('position', {
+      teleportId: 1,
+      x: 0.5,
+      y: 100,
+      z: 0.5,
+      dx: 0,
+      dy: 0,
+      dz: 0,
+      yaw: 0,
+      pitch: 0,
+      flags: {},
+    });
+
+    const title = this._title(state);
+    this.lastTitle = title;
+    client.write('boss_bar', {
+      entityUUID: this.bossBarId,
+      action: 0, // add
+      title: text(title),
+      health: this._progress(state, startPlace),
+      color: this._color(state),
+      dividers: 0,
+      flags: 0,
+    });
+
+    client.write('system_chat', {
+      content: text('§7You are in limbo while the proxy queues. You will be moved to the server automatically.'),
+      isActionBar: false,
+    });
+  }
+
+  /**
+   * Refresh the boss bar from the latest proxy state.
+   * @param {object} state - Current proxy state
+   * @param {number|null} startPlace - Queue position the session started at
+   */
+  update(state, startPlace) {
+    if (!this.client || !this.bossBarId) return;
+    const title = this._title(state);
+    try {
+      if (title !== this.lastTitle) {
+        this.lastTitle = title;
+        this.client.write('boss_bar', { entityUUID: this.bossBarId, action: 3, title: text(title) });
+        this.client.write('boss_bar', { entityUUID: this.bossBarId, action: 4, color: this._color(state), dividers: 0 });
+      }
+      this.client.write('boss_bar', { entityUUID: this.bossBarId, action: 2, health: this._progress(state, startPlace) });
+    } catch (e) {
+      // Client may have disconnected
+    }
+  }
+
+  /** Remove the boss bar and forget the client (does not disconnect it) */
+  release(client) {
+    if (!this.has(client)) return;
+    try {
+      this.client.write('boss_bar', { entityUUID: this.bossBarId, action: 1 }); // remove
+    } catch (e) {
+      // Client may have disconnected
+    }
+    this.client = null;
+    this.bossBarId = null;
+    this.lastTitle = null;
+  }
+
+  /** Internal: boss bar text for the current state */
+  _title(state) {
+    if (state.doing === 'queue' && typeof state.queuePlace === 'number') {
+      return `Position in queue: ${state.queuePlace} | ETA: ${state.eta}`;
+    }
+    if (state.doing === 'reconnecting') return 'Connection lost - reconnecting...';
+    if (state.doing === 'auth') return 'Logging in...';
+    return 'Waiting for the queue...';
+  }
+
+  /** Internal: boss bar fill (fraction of the queue already passed) */
+  _progress(state, startPlace) {
+    if (typeof state.queuePlace !== 'number' || !startPlace) return 0;
+    return Math.min(1, Math.max(0, 1 - state.queuePlace / startPlace));
+  }
+
+  /** Internal: boss bar color */
+  _color(state) {
+    return typeof state.queuePlace === 'number' ? BOSS_BAR_COLOR.queue : BOSS_BAR_COLOR.waiting;
+  }
+}
+
+module.exports = Limbo;
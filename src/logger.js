@@ -28,6 +28,7 @@ if (config.logging) {
   logger.add(
     new winston.transports.File({
       filename: path.join(__dirname, '..', '2bored2tolerate.log'),
+      format: winston.format.uncolorize(), // Chat text is logged with ANSI colors
       maxsize: 5242880, // 5MB
       maxFiles: 3,
     })
@@ -0,0 +1,377 @@
+// src/player-tracker.js - Tab list tracker and join/leave log
+// After the queue, the server's player_info / player_remove packets keep the
+// tab list: who is online, their ping and game mode. The tracker mirrors it
+// and records every join and leave in players.json in the account's data
+// folder, so "when was X last online?" can be answered later (the `seen`
+// command, the API and the dashboard's PLAYERS panel).
+//
+// The server sends the whole tab list right after the bot joins; players
+// listed in the first SETTLE_MS were already online and don't count as joins.
+// Saves are batched like the chat history - 2b2t has a join or leave every
+// few seconds.
+//
+// Watched players (PLAYER_WATCHLIST plus those added from the dashboard or
+// the `watch` command) are logged, notified and emitted as 'watchedPlayer'
+// when they log in or out.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const GAMEMODES = ['survival', 'creative', 'adventure', 'spectator'];
+const MAX_EVENTS = 2000;
+const MAX_PLAYERS = 10000;
+const SETTLE_MS = 5000;
+const SAVE_DELAY = 5000;
+const LIST_DELAY = 2000; // 'players' at most this often
+
+/** Internal: which changes a player_info packet carries (1.19.3+ bitflags or the older action id) */
+function infoActions(action) {
+  if (typeof action === 'number') {
+    return {
+      add: action === 0,
+      gamemode: action === 0 || action === 1,
+      latency: action === 0 || action === 2,
+      remove: action === 4,
+    };
+  }
+  return {
+    add: !!action?.add_player,
+    gamemode: !!action?.update_game_mode,
+    latency: !!action?.update_latency,
+    remove: false,
+  };
+}
+
+class PlayerTracker {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose tab list is tracked
+   * @param {object} [options] - Defaults to config.players
+   * @param {boolean} [options.enabled]
+   * @param {string[]} [options.watchlist] - Always watched
+   * @param {string} [dataPath] - Override the history file (useful for tests)
+   */
+  constructor(proxy, options = config.players, dataPath) {
+    this.proxy = proxy;
+    this.options = { enabled: true, watchlist: [], ...options };
+    this.dataPath = dataPath || path.join(proxy.account.dataDir, 'players.json');
+    this.online = new Map(); // uuid -> { uuid, name, ping, gamemode, since }
+    this.onlineByName = new Map(); // lower-case name -> the same entry as in online
+    this.known = {}; // lower-case name -> { name, uuid, firstSeen, lastJoin, lastSeen, joins }
+    this.events = []; // { time, type: 'join'|'leave', name }
+    this.watched = []; // Added at runtime (the watchlist comes from the config)
+    this.bot = null;
+    this.settleUntil = 0;
+    this.saveTimer = null;
+    this.listTimer = null;
+    this._listeners = null;
+    this._load();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      this.known = raw.players && typeof raw.players === 'object' ? raw.players : {};
+      this.events = Array.isArray(raw.events) ? raw.events.slice(-MAX_EVENTS) : [];
+      this.watched = Array.isArray(raw.watched) ? raw.watched : [];
+    } catch {
+      this.known = {};
+      this.events = [];
+      this.watched = [];
+    }
+  }
+
+  /** Write pending changes now (call on shutdown) */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      const data = { players: this.known, events: this.events, watched: this.watched };
+      fs.writeFileSync(this.dataPath, JSON.stringify(data), 'utf-8');
+    } catch (e) {
+      this.proxy._log(`Player tracker: failed to save – ${e.message}`, 'warn');
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+  }
+
+  // ─── Bot events ────────────────────────────────────────────────────────────
+
+  /** Start tracking the tab list of a bot that just got through the queue */
+  attach(bot, now = Date.now()) {
+    this.detach(now);
+    if (!this.options.enabled || !bot) return;
+    this.bot = bot;
+    this.settleUntil = now + SETTLE_MS;
+    // Whatever mineflayer already saw of the tab list
+    for (const player of Object.values(bot.players || {})) {
+      if (player.uuid && player.username) {
+        this._add(player.uuid, player.username, { ping: player.ping, gamemode: player.gamemode }, now);
+      }
+    }
+    this._listeners = {
+      player_info: (packet) => this.handlePlayerInfo(packet),
+      player_remove: (packet) => this.handlePlayerRemove(packet),
+      // A new login (server switch): the tab list starts over
+      login: () => {
+        this._reset(Date.now());
+        this._scheduleList();
+      },
+    };
+    for (const [event, fn] of Object.entries(this._listeners)) bot._client?.on(event, fn);
+    this._scheduleList();
+  }
+
+  /** Stop tracking (disconnected or stopped); everyone was seen until now */
+  detach(now = Date.now()) {
+    if (this.bot && this._listeners) {
+      for (const [event, fn] of Object.entries(this._listeners)) this.bot._client?.removeListener(event, fn);
+    }
+    this.bot = null;
+    this._listeners = null;
+    clearTimeout(this.listTimer);
+    this.listTimer = null;
+    if (this.online.size > 0) {
+      this._reset(now);
+      this.proxy.emit('players', this.status());
+    }
+    if (this.saveTimer) this.flush();
+  }
+
+  /** Internal: forget the tab list (keeping when everyone was last seen) */
+  _reset(now) {
+    for (const player of this.online.values()) this._record(player.name).lastSeen = new Date(now).toISOString();
+    this.online.clear();
+    this.onlineByName.clear();
+    this.settleUntil = now + SETTLE_MS;
+    this._scheduleSave();
+  }
+
+  /** @param {object} packet - player_info */
+  handlePlayerInfo(packet, now = Date.now()) {
+    const actions = infoActions(packet.action);
+    for (const entry of packet.data || []) {
+      if (actions.remove) {
+        this._remove(entry.uuid ?? entry.UUID, now);
+        continue;
+      }
+      const uuid = entry.uuid ?? entry.UUID;
+      const changes = {};
+      if (actions.gamemode && entry.gamemode != null) changes.gamemode = entry.gamemode;
+      if (actions.latency && (entry.latency ?? entry.ping) != null) changes.ping = entry.latency ?? entry.ping;
+      if (actions.add) {
+        const name = entry.player?.name ?? entry.name;
+        if (uuid && name) this._add(uuid, name, changes, now);
+      } else if (this.online.has(uuid)) {
+        Object.assign(this.online.get(uuid), changes);
+      }
+    }
+    this._scheduleList();
+  }
+
+  /** @param {object} packet - player_remove (1.19.3+) */
+  handlePlayerRemove(packet, now = Date.now()) {
+    for (const uuid of packet.players || []) this._remove(uuid, now);
+    this._scheduleList();
+  }
+
+  /** Internal: the stored record of a player, created on first sight */
+  _record(name, uuid) {
+    const key = name.toLowerCase();
+    if (!this.known[key]) {
+      this.known[key] = { name, uuid: uuid || null, firstSeen: null, lastJoin: null, lastSeen: null, joins: 0 };
+    }
+    const record = this.known[key];
+    record.name = name;
+    if (uuid) record.uuid = uuid;
+    return record;
+  }
+
+  /** Internal: a player is on the tab list */
+  _add(uuid, name, changes = {}, now = Date.now()) {
+    const existing = this.online.get(uuid);
+    if (existing) {
+      this.onlineByName.delete(existing.name.toLowerCase());
+      Object.assign(existing, { name, ...changes });
+      this.onlineByName.set(name.toLowerCase(), existing);
+      return;
+    }
+    const time = new Date(now).toISOString();
+    const joined = now >= this.settleUntil;
+    const player = { uuid, name, ping: null, gamemode: null, ...changes, since: joined ? time : null };
+    this.online.set(uuid, player);
+    this.onlineByName.set(name.toLowerCase(), player);
+    const record = this._record(name, uuid);
+    record.firstSeen = record.firstSeen || time;
+    record.lastSeen = time;
+    if (joined) {
+      record.lastJoin = time;
+      record.joins++;
+      this._event('join', name, time);
+    }
+    this._scheduleSave();
+  }
+
+  /** Internal: a player left the tab list */
+  _remove(uuid, now = Date.now()) {
+    const player = this.online.get(uuid);
+    if (!player) return;
+    this.online.delete(uuid);
+    this.onlineByName.delete(player.name.toLowerCase());
+    const time = new Date(now).toISOString();
+    this._record(player.name).lastSeen = time;
+    this._event('leave', player.name, time);
+    this._scheduleSave();
+  }
+
+  /** Internal: log a join/leave; watched players are announced */
+  _event(type, name, time) {
+    this.events.push({ time, type, name });
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+    this._prune();
+    if (!this.isWatched(name)) return;
+    const online = type === 'join';
+    this.proxy._log(`Watched player ${name} ${online ? 'logged in' : 'logged out'}`);
+    this.proxy._notify(`${name} ${online ? 'is online' : 'went offline'}`);
+    this.proxy.emit('watchedPlayer', { name, online, time });
+  }
+
+  /** Internal: past MAX_PLAYERS records, drop the least recently seen tenth */
+  _prune() {
+    const keys = Object.keys(this.known);
+    if (keys.length <= MAX_PLAYERS) return;
+    keys
+      .sort((a, b) => String(this.known[a].lastSeen).localeCompare(String(this.known[b].lastSeen)))
+      .slice(0, keys.length - Math.floor(MAX_PLAYERS * 0.9))
+      .forEach((key) => delete this.known[key]);
+  }
+
+  /** Internal: emit the tab list once a burst of packets is over */
+  _scheduleList() {
+    if (this.listTimer) return;
+    this.listTimer = setTimeout(() => {
+      this.listTimer = null;
+      if (this.bot) this.proxy.emit('players', this.status());
+    }, LIST_DELAY);
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /** The tab list, by name (for /api/players and the dashboard) */
+  status() {
+    const players = [...this.online.values()]
+      .map((p) => ({ ...p, gamemode: GAMEMODES[p.gamemode] ?? p.gamemode }))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    return { active: !!this.bot, count: players.length, players };
+  }
+
+  /**
+   * Known players whose name contains query: online ones by name, then the most recently seen.
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Array<{ name, uuid, firstSeen, lastJoin, lastSeen, joins, online: boolean, watched: boolean }>}
+   */
+  search(query, limit = 50) {
+    const q = String(query || '').trim().toLowerCase();
+    return Object.entries(this.known)
+      .filter(([key]) => key.includes(q))
+      .map(([, record]) => this._describe(record))
+      .sort((a, b) => (b.online - a.online) || (a.online
+        ? a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+        : String(b.lastSeen).localeCompare(String(a.lastSeen))))
+      .slice(0, limit);
+  }
+
+  /** Internal: a stored record plus whether the player is online / watched */
+  _describe(record) {
+    const online = this.onlineByName.get(record.name.toLowerCase());
+    return {
+      ...record,
+      lastSeen: online ? new Date().toISOString() : record.lastSeen,
+      online: !!online,
+      ping: online?.ping ?? null,
+      watched: this.isWatched(record.name),
+    };
+  }
+
+  /**
+   * What is known about one player (exact name, any case), or null.
+   * @param {string} name
+   */
+  get(name) {
+    const record = this.known[String(name || '').toLowerCase()];
+    return record ? this._describe(record) : null;
+  }
+
+  /**
+   * Join/leave log, newest first.
+   * @param {object} [options]
+   * @param {string} [options.name] - Only this player (any case)
+   * @param {number} [options.limit]
+   */
+  history({ name, limit = 100 } = {}) {
+    const key = name ? String(name).toLowerCase() : null;
+    const events = key ? this.events.filter((e) => e.name.toLowerCase() === key) : this.events;
+    return events.slice(-limit).reverse().map((e) => ({ ...e }));
+  }
+
+  // ─── Watch list ────────────────────────────────────────────────────────────
+
+  /** Watched names: the configured watchlist plus runtime additions */
+  watchlist() {
+    const names = [...this.options.watchlist];
+    for (const name of this.watched) {
+      if (!names.some((n) => n.toLowerCase() === name.toLowerCase())) names.push(name);
+    }
+    return names;
+  }
+
+  isWatched(name) {
+    const key = String(name).toLowerCase();
+    return this.watchlist().some((n) => n.toLowerCase() === key);
+  }
+
+  /**
+   * Announce a player's logins and logouts.
+   * @returns {boolean} false if already watched
+   */
+  watch(name) {
+    const clean = String(name || '').trim();
+    if (!/^\w{1,16}$/.test(clean)) throw new Error(`Invalid player name: "${clean}"`);
+    if (this.isWatched(clean)) return false;
+    this.watched.push(clean);
+    this.flush();
+    this.proxy.emit('watchlist', this.watchlist());
+    return true;
+  }
+
+  /**
+   * Stop announcing a player.
+   * @returns {boolean} false if the player wasn't watched
+   */
+  unwatch(name) {
+    const key = String(name || '').trim().toLowerCase();
+    if (this.options.watchlist.some((n) => n.toLowerCase() === key)) {
+      throw new Error(`${name} is in PLAYER_WATCHLIST, remove them there`);
+    }
+    const index = this.watched.findIndex((n) => n.toLowerCase() === key);
+    if (index === -1) return false;
+    this.watched.splice(index, 1);
+    this.flush();
+    this.proxy.emit('watchlist', this.watchlist());
+    return true;
+  }
+}
+
+PlayerTracker.GAMEMODES = GAMEMODES;
+
+module.exports = PlayerTracker;
@@ -13,14 +13,42 @@ const config = require('./config');
 const logger = require('./logger');
 const AntiAFK = require('./antiafk');
 const ETALearner = require('./eta-learner');
+const Limbo = require('./limbo');
+const DeadlinePlanner = require('./deadline');
+const Scheduler = require('./scheduler');
+const { extractChatText, toAnsi, toMarkdown } = require('./chat-component');
+const { createQueueDetector } = require('./queue-detectors');
+const { PacketCapture } = require('./capture');
+const ReconnectPolicy = require('./reconnect-policy');
+const { classifyKick } = require('./kick-classifier');
+const { parseRestartNotice } = require('./restart-notice');
+const QueueWatchdog = require('./watchdog');
+const ChatHistory = require('./chat-history');
+const WhisperControl = require('./whisper-control');
+const AfkInbox = require('./afk-inbox');
+const ChatWatcher = require('./chat-watcher');
+const SafetyGuard = require('./safety');
+const AutoEat = require('./auto-eat');
+const DeathHandler = require('./death-handler');
+const WorldStatus = require('./world-status');
+const Radar = require('./radar');
+const BotInventory = require('./inventory');
+const PlayerTracker = require('./player-tracker');
 
 const QUEUE_DATA_PATH = path.join(__dirname, '..', 'data', 'queue.json');
 const C = 150; // Constant for queue time estimation
+const RESTART_GRACE = 15 * 60 * 1000; // How long after an announced restart we still expect it
 
 class ProxyManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} [account] - Account entry from config.accounts (defaults to the first one)
+   */
+  constructor(account = config.accounts[0]) {
     super();
 
+    // Account this manager queues for (email, auth folder, local proxy port...)
+    this.account = account;
+
     // Connections
     this.conn = null;
     this.client = null;
@@ -28,6 +56,10 @@ class ProxyManager extends EventEmitter {
     this.proxyClient = null;
     this.antiAfk = null;
 
+    // Void world that holds players while the queue runs or reconnects
+    this.limbo = new Limbo();
+    this.queueDetector = createQueueDetector();
+
     // Real registry_data entries captured from 2b2t during the bot's own
     // CONFIGURATION handshake, keyed by registry id (e.g.
     // 'minecraft:enchantment'). minecraft-data's bundled snapshot is known
@@ -46,14 +78,18 @@ class ProxyManager extends EventEmitter {
     this.queueStartTime = null;
     this.notificationSent = false;
     this.reconnectTimer = null;
+    this.reconnectPolicy = new ReconnectPolicy();
     this.queueHistory = [];
+    this.kickHistory = []; // Classified disconnects, newest last
+    this.pendingRestart = null; // Announced server restart: { in, at }
+    this.forcedReconnect = false; // Set when we drop a stuck connection on purpose
     this.antiAfkPending = false; // User wants anti-AFK but not on server yet
 
     // Ensure data directories exist
     this._ensureDataDirs();
 
     // Smart ETA learner (loads historical data on construction)
-    this.etaLearner = new ETALearner();
+    this.etaLearner = new ETALearner(path.join(this.account.dataDir, 'eta-learn.json'));
 
     // Load queue data for ETA estimation
     try {
@@ -73,6 +109,7 @@ class ProxyManager extends EventEmitter {
 
     // Proxy state
     this.state = {
+      account: this.account.id,
       isInQueue: false,
       queuePlace: 'None',
       eta: 'None',
@@ -86,15 +123,59 @@ class ProxyManager extends EventEmitter {
       food: null,
       uptime: null,
       startTime: null,
+      inLimbo: false,
+      deadline: null,
+      capture: null,
+      reconnect: null,
+      lastKick: null,
+      serverRestart: null,
+      stall: null,
+      afkWhispers: 0, // Whispers waiting for the player (see afk-inbox.js)
+      panic: null, // Last panic disconnect (see safety.js)
+      world: null, // Bot position, dimension, time and weather (see world-status.js)
     };
 
     this._logs = [];
+
+    // "Be in-game by" scheduler (resumes a persisted deadline, so it needs state/_log above)
+    this.deadline = new DeadlinePlanner(this);
+    // Recurring cron-style start/stop rules
+    this.scheduler = new Scheduler(this);
+    // Opt-in packet recorder (started/stopped from the CLI or API)
+    this.capture = new PacketCapture(this);
+    // Flags a queue position that stopped moving
+    this.watchdog = new QueueWatchdog(this);
+    // Everything said in chat, for the dashboard console
+    this.chat = new ChatHistory(path.join(this.account.dataDir, 'chat.json'));
+    // Keyword / mention alerts on that chat
+    this.chatWatcher = new ChatWatcher(this);
+    // Commands whispered by trusted players while the bot is AFK
+    this.whispers = new WhisperControl(this);
+    // Whispers received while nobody is playing, kept for the player
+    this.inbox = new AfkInbox(this);
+    // Panic disconnect when the unattended bot is in danger
+    this.safety = new SafetyGuard(this);
+    // Eats when the unattended bot gets hungry
+    this.autoEat = new AutoEat(this);
+    // Death log and respawn policy
+    this.deaths = new DeathHandler(this);
+    // Where the bot is and what's around it
+    this.world = new WorldStatus(this);
+    // Players, hostile mobs and items nearby
+    this.radar = new Radar(this);
+    // What the bot carries, and remote inventory actions
+    this.inventory = new BotInventory(this);
+    // Tab list and join/leave log
+    this.players = new PlayerTracker(this);
+
+    // Keep the limbo boss bar in sync with queue position / status
+    this.on('stateChange', (state) => this.limbo.update(state, this.queueStartPlace));
   }
 
   /** Ensure data directories exist */
   _ensureDataDirs() {
-    const dataDir = path.join(__dirname, '..', 'data');
-    const authDir = config.mc.profilesFolder;
+    const dataDir = this.account.dataDir;
+    const authDir = this.account.profilesFolder;
     try {
       fs.mkdirSync(dataDir, { recursive: true });
       fs.mkdirSync(authDir, { recursive: true });
@@ -109,17 +190,23 @@ class ProxyManager extends EventEmitter {
     this.emit('stateChange', { ...this.state });
   }
 
-  /** Add a log entry and emit */
-  _log(message, level = 'info') {
+  /**
+   * Add a log entry and emit.
+   * @param {string} [ansi] - Colored variant for the terminal (rendered chat text)
+   */
+  _log(message, level = 'info', ansi) {
     const entry = {
       time: new Date().toISOString(),
+      account: this.account.id,
       message,
       level,
     };
     this._logs.push(entry);
     if (this._logs.length > 200) this._logs.shift();
     this.emit('log', entry);
-    logger[level](message);
+    // The terminal gets the colored version of chat text when there is one
+    const line = ansi || message;
+    logger[level](config.accounts.length > 1 ? `[${this.account.id}] ${line}` : line);
   }
 
   /** Get current state snapshot */
@@ -128,7 +215,8 @@ class ProxyManager extends EventEmitter {
       ...this.state,
       logs: this._logs.slice(-50),
       queueHistory: this.queueHistory.slice(), // full history for client-side timeframe filtering
-      proxyAddress: `localhost:${config.proxy.port}`,
+      kickHistory: this.kickHistory.slice(),
+      proxyAddress: `localhost:${this.account.proxyPort}`,
       version: APP_VERSION,
       etaLearnedSessions: this.etaLearner.sessions.length,
     };
@@ -153,19 +241,21 @@ class ProxyManager extends EventEmitter {
       doing: 'auth',
       isInQueue: true,
       startTime: Date.now(),
+      panic: null,
     });
 
     const options = {
       host: config.server.host,
       port: config.server.port,
       version: config.mc.version,
-      profilesFolder: config.mc.profilesFolder,
+      profilesFolder: this.account.profilesFolder,
+      respawn: false, // Respawning is up to the player or the death policy (see death-handler.js)
     };
 
     // Set auth options
-    if (config.mc.email) {
-      options.username = config.mc.email;
-      options.auth = config.mc.authType;
+    if (this.account.email) {
+      options.username = this.account.email;
+      options.auth = this.account.authType;
 
       // Microsoft auth device code flow: user needs to visit a URL to sign in
       options.onMsaCode = (data) => {
@@ -183,12 +273,13 @@ class ProxyManager extends EventEmitter {
         } catch { /* ignore if open not available */ }
       };
     } else {
-      options.username = config.proxy.offlineUsername;
+      options.username = this.account.offlineUsername;
     }
 
     try {
       this.conn = new mcproxy.Conn(options);
       this.client = this.conn.client || this.conn.bot._client;
+      this.capture.attach(this.client);
     } catch (err) {
       this._log(`Failed to create proxy connection: ${err.message}`, 'error');
       this._updateState({ doing: 'idle', isInQueue: false });
@@ -217,14 +308,18 @@ class ProxyManager extends EventEmitter {
       if (!this._queueHandlingSetup) {
         this._log(`Connection error: ${err.message}`, 'error');
         this._cleanup();
-        this._updateState({ doing: 'idle', isInQueue: false });
+        this._closeLocalServer();
+        this._updateState({ doing: 'idle', isInQueue: false, inLimbo: false });
       }
     });
 
     this._queueHandlingSetup = false;
     this._setupQueueHandling();
     this._queueHandlingSetup = true;
-    this._setupLocalServer();
+
+    // The local server outlives reconnects so a player held in limbo stays
+    // connected while we re-queue
+    if (!this.server) this._setupLocalServer();
   }
 
   /** Stop the queue and disconnect everything */
@@ -232,6 +327,9 @@ class ProxyManager extends EventEmitter {
     this.stoppedByPlayer = true;
     this.antiAfkPending = false;
     this._cleanup();
+    this._closeLocalServer();
+    this.reconnectPolicy.reset();
+    this.pendingRestart = null;
     this._updateState({
       isInQueue: false,
       queuePlace: 'None',
@@ -241,6 +339,9 @@ class ProxyManager extends EventEmitter {
       connected: false,
       health: null,
       food: null,
+      inLimbo: false,
+      reconnect: null,
+      serverRestart: null,
     });
     this._log('Queue stopped');
     this.emit('stopped');
@@ -277,12 +378,21 @@ class ProxyManager extends EventEmitter {
     }
   }
 
-  /** Internal: clean up all connections and timers */
+  /** Internal: clean up the upstream connection and timers (the local server is kept) */
   _cleanup() {
     this.finishedQueue = false;
     this.notificationSent = false;
     this.queueStartPlace = null;
     this.queueStartTime = null;
+    this.forcedReconnect = false;
+    this.watchdog.stop();
+    this.safety.detach();
+    this.autoEat.detach();
+    this.deaths.detach();
+    this.world.detach();
+    this.radar.detach();
+    this.inventory.detach();
+    this.players.detach();
 
     if (this.antiAfk) {
       this.antiAfk.stop();
@@ -299,6 +409,17 @@ class ProxyManager extends EventEmitter {
       this.client = null;
     }
 
+    this.conn = null;
+  }
+
+  /** Internal: disconnect local players (linked or in limbo) and close the local server */
+  _closeLocalServer() {
+    if (this.limbo.client) {
+      const held = this.limbo.client;
+      this.limbo.release(held);
+      try { held.end('Proxy stopped.'); } catch (e) { /* ignore */ }
+    }
+
     if (this.proxyClient) {
       try { this.proxyClient.end('Proxy stopped.'); } catch (e) { /* ignore */ }
       this.proxyClient = null;
@@ -308,26 +429,40 @@ class ProxyManager extends EventEmitter {
       try { this.server.close(); } catch (e) { /* ignore */ }
       this.server = null;
     }
-
-    this.conn = null;
   }
 
   /** Internal: set up queue packet handling */
   _setupQueueHandling() {
     let lastQueuePlace = 'None';
     let positionError = false;
+    this.watchdog.start();
 
+    this.queueDetector.reset();
     this._updateState({ doing: 'queue' });
     this._log('Waiting in queue...');
 
     // Listen for successful login (auth complete)
     this.client.on('session', (session) => {
-      const username = session?.selectedProfile?.name || config.mc.email;
+      const username = session?.selectedProfile?.name || this.account.email;
       this._log(`Authenticated as ${username}`);
       this._updateState({ username });
+      this.watchdog.arm();
     });
 
+    this.lastKickReason = null;
+
     this.client.on('packet', (data, meta) => {
+      this.watchdog.notePacket();
+
+      const chat = ChatHistory.chatEntry(meta.name, data);
+      if (chat) this._recordChat(chat);
+
+      // Remember why the server kicked us (play or configuration state) for
+      // the reconnect policy
+      if (meta.name === 'kick_disconnect' || (meta.name === 'disconnect' && meta.state === 'configuration')) {
+        this.lastKickReason = data.reason; // Chat component, rendered when logged
+      }
+
       // Capture 2b2t's real registry_data during the bot's own CONFIGURATION
       // handshake - this is the actual, correct data (right format, right
       // indices) as opposed to our curated/patched fallback. See comment on
@@ -344,126 +479,106 @@ class ProxyManager extends EventEmitter {
         return;
       }
 
-      switch (meta.name) {
-        case 'playerlist_header': {
-          if (this.finishedQueue) break;
-
-          let positionInQueue = 'None';
-          try {
-            // In MC 1.21.4, header is an NBT compound (structured chat component),
-            // not a plain string. We must recursively extract all text values.
-            const headerText = this._extractChatText(data.header);
-
-            // Extract position from "Position in queue: XXX"
-            const match = headerText.match(/position in queue:\s*(\d+)/i);
-            if (match) {
-              positionInQueue = parseInt(match[1], 10);
-            }
-          } catch (e) {
-            if (!positionError) {
-              this._log('Could not read queue position from tab header.', 'warn');
-              positionError = true;
-            }
-          }
+      // Restart countdowns are announced in chat, in the queue and in-game
+      if (meta.name === 'system_chat' && !data.isActionBar) {
+        const notice = parseRestartNotice(extractChatText(data.content));
+        if (notice) this._handleRestartNotice(notice);
+      }
 
-          // Fallback: if we were tracking a position but it disappeared from the
-          // tab header, the queue is likely done (server transferred us).
-          if (positionInQueue === 'None' && lastQueuePlace !== 'None') {
-            this._log('Queue position disappeared from tab header — assuming queue finished');
-            this._handleQueueFinished();
-            break;
-          }
+      if (this.finishedQueue) {
+        if (!this.whispers.handlePacket(meta.name, data)) this.inbox.handlePacket(meta.name, data);
+        return;
+      }
 
-          if (positionInQueue !== 'None') {
-            // Track queue start
-            if (lastQueuePlace === 'None') {
-              this.queueStartPlace = positionInQueue;
-              this.queueStartTime = DateTime.local();
-              this.etaLearner.beginSession(positionInQueue);
-              this._log(`ETA learner: ${this.etaLearner.summary()}`);
-            }
+      let event = null;
+      try {
+        event = this.queueDetector.handlePacket(meta.name, data);
+      } catch (e) {
+        if (!positionError) {
+          this._log(`Could not read queue state from ${meta.name}: ${e.message}`, 'warn');
+          positionError = true;
+        }
+      }
+      if (!event) return;
 
-            // Feed sample to live rate tracker
-            this.etaLearner.recordSample(positionInQueue);
+      switch (event.type) {
+        case 'info':
+          this._log(`Server: ${event.text}`, 'info', meta.name === 'system_chat' ? `Server: ${toAnsi(data.content)}` : undefined);
+          break;
 
-            if (lastQueuePlace !== positionInQueue) {
-              // Calculate base ETA from exponential decay model
-              const totalWait = this._getWaitTime(this.queueStartPlace, 0);
-              const elapsed = this._getWaitTime(this.queueStartPlace, positionInQueue);
-              const baseMinutes = (totalWait - elapsed) / 60;
+        case 'finished':
+          if (event.inferred) this._log(`${event.reason} — assuming queue finished`);
+          this._handleQueueFinished();
+          break;
 
-              // Blend with learned data
-              const etaMinutes = this.etaLearner.estimateMinutes(positionInQueue, baseMinutes);
+        case 'position': {
+          const positionInQueue = event.position;
+          this.watchdog.notePosition(positionInQueue);
+
+          // Track queue start
+          if (lastQueuePlace === 'None') {
+            this._reconnectSucceeded();
+            this.queueStartPlace = positionInQueue;
+            this.queueStartTime = DateTime.local();
+            this.etaLearner.beginSession(positionInQueue);
+            this._log(`ETA learner: ${this.etaLearner.summary()}`);
+          }
 
-              const eta = `${Math.floor(etaMinutes / 60)}h ${Math.floor(etaMinutes % 60)}m`;
-              const finTime = new Date(Date.now() + etaMinutes * 60000).toISOString();
+          // Feed sample to live rate tracker
+          this.etaLearner.recordSample(positionInQueue);
 
-              // Update MC server MOTD
-              if (this.server) {
-                try {
-                  this.server.motd = `Position: ${positionInQueue} | ETA: ${eta}`;
-                } catch (e) { /* ignore */ }
-              }
+          if (lastQueuePlace !== positionInQueue) {
+            // Calculate base ETA from exponential decay model
+            const totalWait = this._getWaitTime(this.queueStartPlace, 0);
+            const elapsed = this._getWaitTime(this.queueStartPlace, positionInQueue);
+            const baseMinutes = (totalWait - elapsed) / 60;
 
-              // Track history for chart (keep up to 720 data points ≈ 12h at 1/min)
-              this.queueHistory.push({
-                time: Date.now(),
-                position: positionInQueue,
-              });
-              if (this.queueHistory.length > 720) this.queueHistory.shift();
+            // Blend with learned data
+            const etaMinutes = this.etaLearner.estimateMinutes(positionInQueue, baseMinutes);
 
-              this._updateState({
-                queuePlace: positionInQueue,
-                eta,
-                finTime,
-              });
+            const eta = `${Math.floor(etaMinutes / 60)}h ${Math.floor(etaMinutes % 60)}m`;
+            const finTime = new Date(Date.now() + etaMinutes * 60000).toISOString();
 
-              this._log(`Queue position: ${positionInQueue} | ETA: ${eta}`);
-              this.emit('queueUpdate', { position: positionInQueue, eta, finTime });
-
-              // Desktop notification
-              if (
-                config.notifications.enabled &&
-                positionInQueue <= config.notifications.threshold &&
-                !this.notificationSent
-              ) {
-                notifier.notify({
-                  title: '2Bored2Tolerate',
-                  message: `Queue position: ${positionInQueue}! Almost there!`,
-                  sound: true,
-                  wait: true,
-                });
-                this.notificationSent = true;
-              }
+            // Update MC server MOTD
+            if (this.server) {
+              try {
+                this.server.motd = `Position: ${positionInQueue} | ETA: ${eta}`;
+              } catch (e) { /* ignore */ }
             }
 
-            lastQueuePlace = positionInQueue;
-          }
-
-          break;
-        }
-
-        case 'chat':
-        case 'system_chat':
-        case 'profileless_chat': {
-          if (this.finishedQueue) break;
-
-          let chatMessage = '';
-          try {
-            // In MC 1.21.4, content is an NBT compound, not a JSON string.
-            const raw = data.content || data.formattedMessage || data.message || '';
-            chatMessage = this._extractChatText(raw);
-          } catch {
-            chatMessage = '';
-          }
-
-          if (chatMessage.includes('Queued for server') || chatMessage.includes('already queued')) {
-            this._log(`Server: ${chatMessage}`);
+            // Track history for chart (keep up to 720 data points ≈ 12h at 1/min)
+            this.queueHistory.push({
+              time: Date.now(),
+              position: positionInQueue,
+            });
+            if (this.queueHistory.length > 720) this.queueHistory.shift();
+
+            this._updateState({
+              queuePlace: positionInQueue,
+              eta,
+              finTime,
+            });
+
+            this._log(`Queue position: ${positionInQueue} | ETA: ${eta}`);
+            this.emit('queueUpdate', { position: positionInQueue, eta, finTime });
+
+            // Desktop notification
+            if (
+              config.notifications.enabled &&
+              positionInQueue <= config.notifications.threshold &&
+              !this.notificationSent
+            ) {
+              notifier.notify({
+                title: '2Bored2Tolerate',
+                message: `Queue position: ${positionInQueue}! Almost there!`,
+                sound: true,
+                wait: true,
+              });
+              this.notificationSent = true;
+            }
           }
 
-          if (chatMessage.includes('Connected to the server')) {
-            this._handleQueueFinished();
-          }
+          lastQueuePlace = positionInQueue;
           break;
         }
       }
@@ -476,13 +591,37 @@ class ProxyManager extends EventEmitter {
       if (this.reconnectTimer) return;
 
       const msg = reason?.message || reason || 'Unknown reason';
-      this._log(`Disconnected: ${msg}`, 'warn');
-
+      const kickReason = this.lastKickReason;
+      this._log(
+        `Disconnected: ${kickReason ? `${extractChatText(kickReason)} (${msg})` : msg}`,
+        'warn',
+        kickReason ? `Disconnected: ${toAnsi(kickReason)} (${msg})` : undefined
+      );
+      const kick = this._recordKick(kickReason || (reason instanceof Error ? reason : msg));
+
+      const requeueAfterRestart = config.serverRestart.policy === 'requeue' &&
+        (this._restartPending() || kick.category === 'restart');
+      const forced = this.forcedReconnect;
+      this.forcedReconnect = false;
+      this.watchdog.stop();
+      const wantsReconnect = !this.stoppedByPlayer &&
+        (forced || requeueAfterRestart || (this.finishedQueue && this.state.restartQueue) || config.reconnectOnError);
+      const willReconnect = wantsReconnect && kick.action !== 'stop';
+
+      // Keep the player connected in limbo while we re-queue; otherwise kick
       if (this.proxyClient) {
-        try {
-          this.proxyClient.end('Connection reset by server. Reconnecting...');
-        } catch (e) { /* ignore */ }
+        const player = this.proxyClient;
         this.proxyClient = null;
+        if (willReconnect) {
+          this._moveToLimbo(player);
+        } else {
+          try { player.end('Connection reset by server.'); } catch (e) { /* ignore */ }
+        }
+      } else if (this.limbo.client && !willReconnect) {
+        const held = this.limbo.client;
+        this.limbo.release(held);
+        this._updateState({ inLimbo: false });
+        try { held.end('Connection to the server was lost.'); } catch (e) { /* ignore */ }
       }
 
       if (this.antiAfk) {
@@ -496,22 +635,26 @@ class ProxyManager extends EventEmitter {
         antiAfkActive: false,
       });
 
-      if (!this.stoppedByPlayer) {
+      if (willReconnect && requeueAfterRestart) {
+        // Poll until the server is back instead of backing off: the first
+        // ones in get the front of the new queue
+        this._log('Server is restarting, rejoining the queue as soon as it is back up...');
+        this._updateState({ doing: 'reconnecting' });
+        this.reconnectTimer = setTimeout(() => this._reconnect(), config.serverRestart.pollInterval);
+      } else if (willReconnect) {
         if (this.finishedQueue && this.state.restartQueue) {
           // Bot was on the server and auto-restart is enabled — rejoin the queue
-          this._log('Kicked from server, restarting queue in 5 seconds...');
-          this._updateState({ doing: 'reconnecting' });
-          this.reconnectTimer = setTimeout(() => this._reconnect(), 5000);
-        } else if (this.finishedQueue && config.reconnectOnError) {
+          this._log('Kicked from server, restarting queue...');
+        } else if (this.finishedQueue) {
           // Kicked from actual server but auto-restart is off — still reconnect per reconnectOnError
-          this._log('Kicked from 2b2t server (RESTART_QUEUE=false), rejoining queue in 30 seconds...');
-          this._updateState({ doing: 'reconnecting' });
-          this.reconnectTimer = setTimeout(() => this._reconnect(), 30000);
-        } else if (config.reconnectOnError) {
-          this._log('Disconnected during queue, reconnecting in 30 seconds...');
-          this._updateState({ doing: 'reconnecting' });
-          this.reconnectTimer = setTimeout(() => this._reconnect(), 30000);
+          this._log('Kicked from 2b2t server (RESTART_QUEUE=false), rejoining queue...');
+        } else {
+          this._log('Disconnected during queue, reconnecting...');
         }
+        this._scheduleReconnect(kickReason || msg);
+      } else if (wantsReconnect) {
+        this._log(`Not reconnecting: ${kick.label.toLowerCase()}. Fix the account, then start the queue again.`, 'error');
+        this._updateState({ doing: 'idle' });
       }
     };
 
@@ -522,6 +665,8 @@ class ProxyManager extends EventEmitter {
   /** Internal: handle queue completion */
   _handleQueueFinished() {
     this._log('Queue finished! Connected to server.');
+    this._reconnectSucceeded();
+    this.watchdog.stop();
 
     // Record this session so ETA estimates improve over time
     this.etaLearner.recordCompletedSession();
@@ -553,26 +698,36 @@ class ProxyManager extends EventEmitter {
           food: this.conn?.bot?.food ?? null,
         });
       });
+      this.safety.attach(this.conn.bot);
+      this.autoEat.attach(this.conn.bot);
+      this.deaths.attach(this.conn.bot);
+      this.world.attach(this.conn.bot);
+      this.radar.attach(this.conn.bot);
+      this.inventory.attach(this.conn.bot);
+      this.players.attach(this.conn.bot);
     }
 
-    // Start anti-AFK if no player is connected
-    this._tryStartAntiAfk();
+    if (this.limbo.client) {
+      // Hand the player waiting in limbo over to the real session
+      const player = this.limbo.client;
+      this.limbo.release(player);
+      this._updateState({ inLimbo: false });
+      this._log(`Moving ${player.username} from limbo to the server`);
+      this._reconfigure(player, () => this._placePlayer(player));
+    } else {
+      // Start anti-AFK if no player is connected
+      this._tryStartAntiAfk();
+    }
 
     this.emit('queueFinished');
   }
 
-  /** Internal: set up the local MC server */
-  _setupLocalServer() {
-    let faviconBase64 = config.favicon;
-    if (!faviconBase64) {
-      try {
-        const faviconPath = path.join(__dirname, '..', 'favicon.png');
-        faviconBase64 = fs.readFileSync(faviconPath).toString('base64');
-      } catch {
-        // No favicon available
-      }
-    }
-
+  /**
+   * Internal: build the registry_data sent to local clients during
+   * CONFIGURATION (curated minecraft-data fallback, overridden by the real
+   * registries captured from 2b2t wherever we have them).
+   */
+  _buildRegistryCodec() {
     // mc-protocol's default registryCodec fallback (minecraft-data's bundled
     // dimensionCodec snapshot) is stale/incomplete for several registries
     // (e.g. enchantment, most of worldgen/biome) and crashes real 1.21.4
@@ -619,16 +774,56 @@ class ProxyManager extends EventEmitter {
       registryCodec[id] = entry;
     }
 
+    return registryCodec;
+  }
+
+  /**
+   * Internal: send the biome tags our registry data depends on.
+   *
+   * wolf_variant's spawn conditions reference biome tags
+   * (is_badlands/is_jungle/is_savanna) that aren't bound by any
+   * registry_data entry - tags are a separate 'tags' packet that
+   * mc-protocol's default flow never sends at all. Inject one (with
+   * empty membership - just needs to exist) before finish_configuration.
+   * The client must already be in CONFIGURATION state.
+   */
+  _writeConfigTags(client) {
+    client.write('tags', {
+      tags: [
+        {
+          tagType: 'minecraft:worldgen/biome',
+          tags: [
+            { tagName: 'minecraft:is_badlands', entries: [] },
+            { tagName: 'minecraft:is_jungle', entries: [] },
+            { tagName: 'minecraft:is_savanna', entries: [] },
+          ],
+        },
+      ],
+    });
+  }
+
+  /** Internal: set up the local MC server */
+  _setupLocalServer() {
+    let faviconBase64 = config.favicon;
+    if (!faviconBase64) {
+      try {
+        const faviconPath = path.join(__dirname, '..', 'favicon.png');
+        faviconBase64 = fs.readFileSync(faviconPath).toString('base64');
+      } catch {
+        // No favicon available
+      }
+    }
+
     this.server = mc.createServer({
       'online-mode': config.proxy.onlineMode,
       encryption: true,
       host: config.proxy.bind,
-      port: config.proxy.port,
+      port: this.account.proxyPort,
       version: config.mc.version,
       'max-players': 1,
       motd: 'Waiting in queue...',
       favicon: faviconBase64 ? `data:image/png;base64,${faviconBase64}` : undefined,
-      registryCodec,
+      registryCodec: this._buildRegistryCodec(),
     });
 
     // MC 1.21.4 login/configuration flow:
@@ -648,19 +843,13 @@ class ProxyManager extends EventEmitter {
     // disconnect (packet 0x02 / anonymousNbt reason). No registry data is ever sent.
     this.server.on('login', (newProxyClient) => {
       this._log(`Player connecting: ${newProxyClient.username}`);
+      this.capture.attach(newProxyClient);
 
-      // Determine if this player should be kicked
+      // Determine if this player should be kicked. Players joining before the
+      // queue finishes are let in and held in limbo (see 'playerJoin').
       let kickReason = null;
 
-      if (!this.finishedQueue) {
-        const pos = this.state.queuePlace !== 'None' ? `#${this.state.queuePlace}` : '?';
-        const eta = this.state.eta !== 'None' ? this.state.eta : '?';
-        kickReason =
-          `§cStill waiting in the 2b2t queue!\n\n` +
-          `§7Position: §e${pos}\n` +
-          `§7ETA: §e${eta}\n\n` +
-          `§7Connect again after the queue finishes.`;
-      } else if (config.proxy.whitelist && this.client && this.client.uuid !== newProxyClient.uuid) {
+      if (config.proxy.whitelist && this.client && this.client.uuid !== newProxyClient.uuid) {
         kickReason = 'Not whitelisted! Use the same account as the proxy.';
       }
 
@@ -691,15 +880,11 @@ class ProxyManager extends EventEmitter {
       }
 
       // Allowed player — mc-protocol's login_acknowledged handler sends
-      // registry_data from the curated registryCodec built in
-      // _setupLocalServer (dimension_type/painting_variant/wolf_variant/a
-      // handful of biomes - see comments there) and then finish_configuration.
-      //
-      // wolf_variant's spawn conditions also reference biome tags
-      // (is_badlands/is_jungle/is_savanna) that aren't bound by any
-      // registry_data entry - tags are a separate 'tags' packet that
-      // mc-protocol's default flow never sends at all. Inject one (with
-      // empty membership - just needs to exist) before finish_configuration.
+      // registry_data from server.options.registryCodec and then
+      // finish_configuration. Rebuild it now so it includes whatever real
+      // registries the bot has captured since the server was created.
+      this.server.options.registryCodec = this._buildRegistryCodec();
+
       newProxyClient.prependOnceListener('login_acknowledged', () => {
         try {
           // We run before mc-protocol's own login_acknowledged handler (which
@@ -708,18 +893,7 @@ class ProxyManager extends EventEmitter {
           // serialized with the wrong protocol definition and corrupts the
           // stream (manifests downstream as garbled/truncated packets).
           newProxyClient.state = 'configuration';
-          newProxyClient.write('tags', {
-            tags: [
-              {
-                tagType: 'minecraft:worldgen/biome',
-                tags: [
-                  { tagName: 'minecraft:is_badlands', entries: [] },
-                  { tagName: 'minecraft:is_jungle', entries: [] },
-                  { tagName: 'minecraft:is_savanna', entries: [] },
-                ],
-              },
-            ],
-          });
+          this._writeConfigTags(newProxyClient);
         } catch (err) {
           this._log(`Error sending tags packet: ${err.message}`, 'error');
         }
@@ -730,47 +904,126 @@ class ProxyManager extends EventEmitter {
     });
 
     // 'playerJoin' fires after the full LOGIN → CONFIGURATION → PLAY handshake.
-    // Only used for linking allowed players — all kicks happen above in 'login'.
+    // Only used for allowed players — all kicks happen above in 'login'.
     this.server.on('playerJoin', (newProxyClient) => {
       this._log(`Player entered play state: ${newProxyClient.username}`);
 
-      // Forward player packets to server
-      newProxyClient.on('packet', (_, meta, rawData) => {
+      // Forward player packets to server (only while linked - not from limbo
+      // or mid-reconfiguration)
+      newProxyClient.on('packet', (data, meta, rawData) => {
+        // Proxy commands ("/2bt status") are answered locally, also from limbo
+        const line = this._ingameCommandLine(meta.name, data);
+        if (line !== null) {
+          this._handleIngameCommand(newProxyClient, line);
+          return;
+        }
+        if (this.proxyClient !== newProxyClient) return;
         this._filterAndSend(rawData, meta, this.client);
       });
 
       newProxyClient.on('end', () => {
         this._log('Player disconnected');
-        this.proxyClient = null;
-        this._updateState({ connected: false });
+        this.limbo.release(newProxyClient);
+        if (this.proxyClient === newProxyClient) this.proxyClient = null;
+        this._updateState({ connected: false, inLimbo: false });
         this._tryStartAntiAfk();
       });
 
-      // Stop anti-AFK when player connects
-      if (this.antiAfk) {
-        this.antiAfk.stop();
-        this._updateState({ antiAfkActive: false });
-      }
+      this._placePlayer(newProxyClient);
+    });
 
-      // Send cached packets and link
-      try {
-        this.conn.sendPackets(newProxyClient);
-        this.conn.link(newProxyClient);
-        this.proxyClient = newProxyClient;
+    this.server.on('error', (err) => {
+      this._log(`Local server error: ${err.message}`, 'error');
+    });
+  }
 
-        this._updateState({
-          connected: true,
-          username: newProxyClient.username,
+  /** Internal: route a PLAY-state player to the real session if it's ready, otherwise to limbo */
+  _placePlayer(player) {
+    if (this.finishedQueue && this.conn) {
+      this._linkPlayer(player);
+    } else {
+      this._enterLimbo(player);
+    }
+  }
+
+  /** Internal: link a PLAY-state player to the real session */
+  _linkPlayer(newProxyClient) {
+    // Stop anti-AFK when player connects
+    if (this.antiAfk) {
+      this.antiAfk.stop();
+      this._updateState({ antiAfkActive: false });
+    }
+
+    // Send cached packets and link
+    try {
+      this.conn.sendPackets(newProxyClient);
+      this.conn.link(newProxyClient);
+      this.proxyClient = newProxyClient;
+
+      this._updateState({
+        connected: true,
+        username: newProxyClient.username,
+      });
+      this.inbox.deliver(newProxyClient);
+    } catch (err) {
+      this._log(`Failed to link player: ${err.message}`, 'error');
+      newProxyClient.end('Failed to link connection.');
+    }
+  }
+
+  /** Internal: spawn a freshly configured player into the limbo world */
+  _enterLimbo(newProxyClient) {
+    try {
+      this.limbo.hold(newProxyClient, this.server?.options.registryCodec, this.state, this.queueStartPlace);
+      this._updateState({ inLimbo: true });
+      this._log(`${newProxyClient.username} is waiting in limbo until the queue finishes`);
+    } catch (err) {
+      this._log(`Failed to send player to limbo: ${err.message}`, 'error');
+      newProxyClient.end('Failed to enter limbo.');
+    }
+  }
+
+  /** Internal: pull a linked player off a dead session and into limbo */
+  _moveToLimbo(player) {
+    try { this.conn?.detach?.(player); } catch (e) { /* ignore */ }
+    this._log(`Holding ${player.username} in limbo while reconnecting`);
+    // Always limbo here: finishedQueue/conn still describe the dead session
+    // until _reconnect() starts a new one
+    this._reconfigure(player, () => this._enterLimbo(player));
+  }
+
+  /**
+   * Internal: send a PLAY-state client back through CONFIGURATION with fresh
+   * registry data, so it can join a different world (limbo ⇄ real server)
+   * without reconnecting. Calls done() once the client is back in PLAY.
+   */
+  _reconfigure(client, done) {
+    const registryCodec = this._buildRegistryCodec();
+    if (this.server) this.server.options.registryCodec = registryCodec;
+
+    client.once('configuration_acknowledged', () => {
+      try {
+        client.state = 'configuration';
+        for (const entry of Object.values(registryCodec)) {
+          client.write('registry_data', entry);
+        }
+        this._writeConfigTags(client);
+        client.once('finish_configuration', () => {
+          client.state = 'play';
+          done();
         });
+        client.write('finish_configuration', {});
       } catch (err) {
-        this._log(`Failed to link player: ${err.message}`, 'error');
-        newProxyClient.end('Failed to link connection.');
+        this._log(`Failed to reconfigure ${client.username}: ${err.message}`, 'error');
+        client.end('Failed to switch worlds.');
       }
     });
 
-    this.server.on('error', (err) => {
-      this._log(`Local server error: ${err.message}`, 'error');
-    });
+    try {
+      client.write('start_configuration', {});
+    } catch (err) {
+      this._log(`Failed to reconfigure ${client.username}: ${err.message}`, 'error');
+    }
   }
 
   /** Internal: attempt to start anti-AFK (only when bot is on server and no player is connected) */
@@ -792,6 +1045,194 @@ class ProxyManager extends EventEmitter {
     }
   }
 
+  /**
+   * Internal: wait out the reconnect policy's delay for this disconnect
+   * reason, then try to reconnect.
+   */
+  _scheduleReconnect(reason) {
+    const plan = this.reconnectPolicy.next(reason);
+    const wait = plan.delay >= 60000
+      ? `${Math.floor(plan.delay / 60000)}m ${Math.round((plan.delay % 60000) / 1000)}s`
+      : `${Math.round(plan.delay / 1000)}s`;
+
+    if (plan.circuit === 'open') {
+      this._log(`Reconnect failed ${plan.maxAttempts} times in a row, pausing reconnects for ${wait}`, 'warn');
+    } else {
+      const of = plan.maxAttempts > 0 ? `/${plan.maxAttempts}` : '';
+      const kind = plan.kind !== 'default' ? `, ${plan.kind}` : '';
+      this._log(`Reconnecting in ${wait} (attempt ${plan.attempt}${of}${kind})`);
+    }
+
+    this._updateState({ doing: 'reconnecting', reconnect: this.reconnectPolicy.status() });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectPolicy.fire();
+      this._updateState({ reconnect: this.reconnectPolicy.status() });
+      this._reconnect();
+    }, plan.delay);
+  }
+
+  /**
+   * Internal: classify a disconnect, remember it and let listeners react.
+   * @param {string|object|Error} reason - Kick text/component or socket error
+   * @returns {object} The kick entry (see kick-classifier.js)
+   */
+  _recordKick(reason) {
+    const kick = { ...classifyKick(reason), time: new Date().toISOString() };
+    kick.markdown = reason instanceof Error ? kick.text : toMarkdown(reason); // For Discord
+    this.kickHistory.push(kick);
+    if (this.kickHistory.length > 50) this.kickHistory.shift();
+
+    this._log(`Disconnect reason: ${kick.label} -> ${kick.action}`, kick.alert ? 'warn' : 'info');
+    this._updateState({ lastKick: kick });
+    this.emit('kicked', kick);
+
+    if (kick.alert) this._notify(`${kick.label}: ${kick.text || 'disconnected'}`);
+    return kick;
+  }
+
+  /** Internal: a (re)connection made it into the queue - reset the backoff */
+  _reconnectSucceeded() {
+    if (this.reconnectPolicy.status()) {
+      this.reconnectPolicy.reset();
+      this._updateState({ reconnect: null });
+    }
+    // Back in after the announced restart
+    if (this.pendingRestart && Date.now() >= this.pendingRestart.at) {
+      this.pendingRestart = null;
+      this._updateState({ serverRestart: null });
+    }
+  }
+
+  /**
+   * Internal: a "Server restarting in N minutes" countdown was seen. Notify,
+   * and with the stop policy give up the queue spot right away if nobody is
+   * playing - the restart empties the queue anyway.
+   * @param {{ in: number, at: number }} notice - See restart-notice.js
+   */
+  _handleRestartNotice(notice) {
+    const first = !this._restartPending();
+    const { policy } = config.serverRestart;
+    this.pendingRestart = notice;
+
+    const minutes = Math.ceil(notice.in / 60000);
+    const restart = { at: new Date(notice.at).toISOString(), minutes, policy };
+    this._updateState({ serverRestart: restart });
+    this._log(`Server restart announced in ${minutes} minute${minutes === 1 ? '' : 's'} (policy: ${policy})`, 'warn');
+    this.emit('serverRestart', { ...restart, first });
+
+    if (first) this._notify(`Server restarting in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+
+    if (policy === 'stop' && !this.proxyClient && !this.limbo.client) {
+      this._log('No player connected, stopping the queue before the restart');
+      this.stop();
+    }
+  }
+
+  /**
+   * Internal: drop the upstream connection on purpose (e.g. a stuck queue)
+   * and reconnect through the usual disconnect handling, even if
+   * RECONNECT_ON_ERROR is off.
+   */
+  _forceReconnect(reason) {
+    if (!this.client) return;
+    this._log(`${reason} — forcing a reconnect`, 'warn');
+    this.forcedReconnect = true;
+    this.lastKickReason = reason;
+    try { this.client.end(reason); } catch (e) { /* ignore */ }
+  }
+
+  /** Internal: desktop notification (when DESKTOP_NOTIFY is on) */
+  _notify(message) {
+    if (!config.notifications.enabled) return;
+    notifier.notify({ title: '2Bored2Tolerate', message, sound: true });
+  }
+
+  /**
+   * Send a chat message or /command through the bot. Only while no player is
+   * linked - a connected player chats from the game.
+   * @param {string} message
+   */
+  sendChat(message) {
+    const text = String(message || '').trim();
+    if (!text) throw new Error('Message is empty');
+    if (text.length > 256) throw new Error('Message is too long (max 256 characters)');
+    if (this.proxyClient) throw new Error('A player is connected, chat from the game instead');
+    const bot = this.conn?.bot;
+    if (!bot || !this.client) throw new Error('Not connected to the server');
+
+    bot.chat(text); // mineflayer sends "/..." as a command
+    this._recordChat({ type: 'sent', sender: this.state.username, text });
+  }
+
+  /**
+   * Internal: the command text if a player packet is a proxy command
+   * ("/2bt stop" -> "stop"), else null. A "/" prefix is matched against typed
+   * commands, any other prefix against chat messages.
+   */
+  _ingameCommandLine(name, data) {
+    const { enabled, prefix } = config.ingameCommands;
+    if (!enabled || !prefix) return null;
+    let typed;
+    if (prefix.startsWith('/')) {
+      if (name !== 'chat_command' && name !== 'chat_command_signed') return null;
+      typed = `/${data.command}`;
+    } else {
+      if (name !== 'chat_message') return null;
+      typed = String(data.message);
+    }
+    const line = typed.trim();
+    const lower = line.toLowerCase();
+    if (lower !== prefix && !lower.startsWith(`${prefix} `)) return null;
+    return line.slice(prefix.length).trim() || 'help';
+  }
+
+  /**
+   * Internal: hand a player's proxy command to the command handler, which
+   * answers through reply (sent back as chat messages).
+   */
+  _handleIngameCommand(player, line) {
+    this._log(`${player.username} ran in-game command: ${line}`);
+    const reply = (text) => this._tell(player, text);
+    if (this.listenerCount('ingameCommand') === 0) {
+      reply('Proxy commands are not available');
+      return;
+    }
+    try {
+      this.emit('ingameCommand', { line, player: player.username, reply });
+    } catch (err) {
+      reply(`Error: ${err.message}`);
+    }
+  }
+
+  /** Internal: show proxy output in a player's chat (never sent upstream) */
+  _tell(player, text) {
+    for (const line of String(text).split('\n')) {
+      const clean = line.trim();
+      if (!clean) continue;
+      try {
+        player.write('system_chat', {
+          content: nbt.comp({ text: nbt.string(`§7[2bt] §f${clean}`) }),
+          isActionBar: false,
+        });
+      } catch {
+        // Player left mid-reply
+      }
+    }
+  }
+
+  /** Internal: store a chat line and stream it to listeners */
+  _recordChat(message) {
+    const entry = this.chat.add(message);
+    if (!entry) return;
+    this.emit('chat', { ...entry, account: this.account.id });
+    this.chatWatcher.check(entry);
+  }
+
+  /** Internal: whether an announced restart is due or happened recently */
+  _restartPending() {
+    return !!this.pendingRestart && Date.now() < this.pendingRestart.at + RESTART_GRACE;
+  }
+
   /** Internal: reconnect to the server */
   _reconnect() {
     if (this.stoppedByPlayer) {
@@ -810,9 +1251,12 @@ class ProxyManager extends EventEmitter {
       (err) => {
         // User may have called stop() while the ping was in flight – respect that
         if (this.stoppedByPlayer) return;
-        if (err) {
-          this._log('Server not responding, retrying in 3s...', 'warn');
-          this.reconnectTimer = setTimeout(() => this._reconnect(), 3000);
+        if (err && this._restartPending() && config.serverRestart.policy === 'requeue') {
+          this._log('Server still restarting...');
+          this.reconnectTimer = setTimeout(() => this._reconnect(), config.serverRestart.pollInterval);
+        } else if (err) {
+          this._log('Server not responding', 'warn');
+          this._scheduleReconnect('Server not responding');
         } else {
           this._log('Server is up, starting queue...');
           this.start();
@@ -835,11 +1279,11 @@ class ProxyManager extends EventEmitter {
 
   /** Check for cached Microsoft auth tokens and log status */
   _checkCachedAuth() {
-    if (!config.mc.email || config.mc.authType !== 'microsoft') return;
+    if (!this.account.email || this.account.authType !== 'microsoft') return;
     try {
-      const files = fs.readdirSync(config.mc.profilesFolder).filter((f) => f.endsWith('.json'));
+      const files = fs.readdirSync(this.account.profilesFolder).filter((f) => f.endsWith('.json'));
       if (files.length > 0) {
-        this._log(`Found cached auth in ${config.mc.profilesFolder} – attempting token reuse (no sign-in needed unless expired)`);
+        this._log(`Found cached auth in ${this.account.profilesFolder} – attempting token reuse (no sign-in needed unless expired)`);
       } else {
         this._log('No cached auth tokens found – Microsoft device-code sign-in will be required');
       }
@@ -864,86 +1308,9 @@ class ProxyManager extends EventEmitter {
     };
   }
 
-  /**
-   * Extract plain text from a Minecraft chat component.
-   * In MC 1.21.4+, chat components are NBT compounds like:
-   *   { type: "compound", value: { text: { type: "string", value: "..." }, extra: { type: "list", value: { type: "compound", value: [...] } } } }
-   * In older versions, they may be JSON strings or simple { text: "..." } objects.
-   * This method handles all formats recursively.
-   */
+  /** Extract plain text from a Minecraft chat component (see chat-component.js) */
   _extractChatText(component) {
-    if (component == null) return '';
-    if (typeof component === 'string') {
-      // Could be a plain string or a JSON-encoded chat component
-      try {
-        const parsed = JSON.parse(component);
-        return this._extractChatText(parsed);
-      } catch {
-        return component;
-      }
-    }
-    if (typeof component !== 'object') return String(component);
-
-    let result = '';
-
-    // NBT compound: { type: "compound", value: { text: {...}, extra: {...} } }
-    if (component.type === 'compound' && component.value) {
-      return this._extractChatText(component.value);
-    }
-
-    // NBT string: { type: "string", value: "hello" }
-    if (component.type === 'string' && typeof component.value === 'string') {
-      return component.value;
-    }
-
-    // NBT list: { type: "list", value: { type: "compound", value: [...] } }
-    if (component.type === 'list' && component.value) {
-      const inner = component.value;
-      if (Array.isArray(inner)) {
-        return inner.map(item => this._extractChatText(item)).join('');
-      }
-      // Nested: { type: "compound", value: [...array of items...] }
-      if (inner.value && Array.isArray(inner.value)) {
-        return inner.value.map(item => this._extractChatText(item)).join('');
-      }
-      return this._extractChatText(inner);
-    }
-
-    // Standard chat component: { text: "...", extra: [...] }
-    // Also handles NBT unwrapped objects like { text: { type: "string", value: "..." }, extra: { type: "list", ... } }
-    if ('text' in component) {
-      result += this._extractChatText(component.text);
-    }
-
-    // Handle translate key (translation components may contain the string directly)
-    if (component.translate && !('text' in component)) {
-      result += this._extractChatText(component.translate);
-    }
-
-    // Process 'extra' array (child components)
-    if (component.extra) {
-      if (Array.isArray(component.extra)) {
-        for (const child of component.extra) {
-          result += this._extractChatText(child);
-        }
-      } else {
-        // NBT list wrapper
-        result += this._extractChatText(component.extra);
-      }
-    }
-
-    // Process 'with' array (translation arguments, used in some chat packets)
-    if (component.with) {
-      if (Array.isArray(component.with)) {
-        for (const child of component.with) {
-          result += this._extractChatText(child);
-        }
-      } else {
-        result += this._extractChatText(component.with);
-      }
-    }
-
-    return result;
+    return extractChatText(component);
   }
 }
 
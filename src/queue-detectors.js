@@ -0,0 +1,173 @@
+// src/queue-detectors.js - Queue position / completion detection
+// A detector turns raw play-state packets from the queue server into queue
+// events. The 2b2t detector reads "Position in queue: N" from the tab-list
+// header and finishes on "Connected to the server". The generic detector is
+// configured through QUEUE_* settings so other queue-based servers can be
+// tracked from the tab header, boss bar, action bar, title, chat or sidebar.
+//
+// handlePacket(name, data) returns one of:
+//   { type: 'position', position }   queue position seen
+//   { type: 'finished', reason }     queue completed (inferred: true when
+//                                    deduced from the position vanishing)
+//   { type: 'info', text }           message worth logging
+//   null                             nothing relevant
+
+const config = require('./config');
+const { extractChatText } = require('./chat-component');
+
+const SOURCES = ['tab', 'bossbar', 'actionbar', 'title', 'chat', 'scoreboard'];
+
+/**
+ * Map a packet to the text it displays and the source it belongs to.
+ * @returns {{ source: string, text: string, removed?: boolean }|null}
+ */
+function packetText(name, data) {
+  switch (name) {
+    case 'playerlist_header':
+      return { source: 'tab', text: extractChatText(data.header) };
+    case 'boss_bar':
+      if (data.action === 1) return { source: 'bossbar', text: '', removed: true, id: data.entityUUID };
+      if (data.action !== 0 && data.action !== 3) return null;
+      return { source: 'bossbar', text: extractChatText(data.title), id: data.entityUUID };
+    case 'action_bar':
+      return { source: 'actionbar', text: extractChatText(data.text) };
+    case 'set_title_text':
+    case 'set_title_subtitle':
+      return { source: 'title', text: extractChatText(data.text) };
+    case 'system_chat':
+      return { source: data.isActionBar ? 'actionbar' : 'chat', text: extractChatText(data.content) };
+    case 'chat':
+    case 'profileless_chat':
+    case 'player_chat':
+      return { source: 'chat', text: extractChatText(data.content || data.formattedMessage || data.message || data.plainMessage || '') };
+    case 'scoreboard_score': {
+      const label = data.display_name ? extractChatText(data.display_name) : data.itemName;
+      return { source: 'scoreboard', text: `${label} ${data.value}` };
+    }
+    case 'scoreboard_objective':
+      return data.displayText ? { source: 'scoreboard', text: extractChatText(data.displayText) } : null;
+    default:
+      return null;
+  }
+}
+
+/** Internal: compile a regex option (strings are case-insensitive) */
+function toRegex(value, option) {
+  if (!value) return null;
+  if (value instanceof RegExp) return value;
+  try {
+    return new RegExp(value, 'i');
+  } catch (e) {
+    throw new Error(`Invalid ${option}: ${e.message}`);
+  }
+}
+
+class GenericQueueDetector {
+  /**
+   * @param {object} options
+   * @param {string} [options.source] - Where the position is shown (see SOURCES)
+   * @param {string|RegExp} options.positionRegex - First capture group is the position
+   * @param {string|RegExp} [options.finishedRegex] - Text that means the queue is done
+   * @param {string[]} [options.finishedSources] - Sources checked for finishedRegex (default: all)
+   * @param {string|RegExp} [options.infoRegex] - Text worth logging while queueing
+   */
+  constructor(options) {
+    this.name = 'generic';
+    this.source = options.source || 'tab';
+    if (!SOURCES.includes(this.source)) {
+      throw new Error(`Invalid queue source "${this.source}" (use ${SOURCES.join(', ')})`);
+    }
+    this.positionRegex = toRegex(options.positionRegex, 'QUEUE_POSITION_REGEX');
+    if (!this.positionRegex) throw new Error('QUEUE_POSITION_REGEX is required for the generic detector');
+    this.finishedRegex = toRegex(options.finishedRegex, 'QUEUE_FINISHED_REGEX');
+    this.finishedSources = options.finishedSources || SOURCES;
+    this.infoRegex = toRegex(options.infoRegex, 'QUEUE_INFO_REGEX');
+    this.reset();
+  }
+
+  /** Forget per-session state (call before each queue session) */
+  reset() {
+    this.lastPosition = null;
+    this.positionBarId = null;
+  }
+
+  /**
+   * Inspect a play-state packet from the queue server.
+   * @param {string} name - Packet name
+   * @param {object} data - Parsed packet
+   * @returns {object|null} Queue event (see module header)
+   */
+  handlePacket(name, data) {
+    const shown = packetText(name, data);
+    if (!shown) return null;
+    const { source, text } = shown;
+
+    if (this.finishedRegex && this.finishedSources.includes(source) && this.finishedRegex.test(text)) {
+      return { type: 'finished', reason: text };
+    }
+
+    if (source === this.source) {
+      // Persistent displays: the position vanishing means we left the queue
+      if (shown.removed) {
+        if (this.lastPosition !== null && shown.id === this.positionBarId) {
+          return { type: 'finished', reason: 'Queue boss bar removed', inferred: true };
+        }
+        return null;
+      }
+
+      const match = text.match(this.positionRegex);
+      if (match) {
+        const position = parseInt(String(match[1] ?? match[0]).replace(/[^\d]/g, ''), 10);
+        if (!Number.isNaN(position)) {
+          this.lastPosition = position;
+          if (source === 'bossbar') this.positionBarId = shown.id;
+          return { type: 'position', position };
+        }
+      } else if (source === 'tab' && this.lastPosition !== null) {
+        return { type: 'finished', reason: 'Queue position disappeared from tab header', inferred: true };
+      }
+    }
+
+    if (this.infoRegex && source === 'chat' && this.infoRegex.test(text)) {
+      return { type: 'info', text };
+    }
+    return null;
+  }
+}
+
+/** 2b2t.org: tab header position, chat completion message */
+class TwoBTwoTQueueDetector extends GenericQueueDetector {
+  constructor() {
+    super({
+      source: 'tab',
+      positionRegex: /position in queue:\s*(\d+)/i,
+      finishedRegex: /Connected to the server/,
+      finishedSources: ['chat'],
+      infoRegex: /Queued for server|already queued/,
+    });
+    this.name = '2b2t';
+  }
+}
+
+/**
+ * Build the detector selected by QUEUE_DETECTOR. Throws on invalid settings.
+ * @param {object} [options] - Defaults to config.queue
+ */
+function createQueueDetector(options = config.queue) {
+  switch (options.detector || '2b2t') {
+    case '2b2t':
+      return new TwoBTwoTQueueDetector();
+    case 'generic':
+      return new GenericQueueDetector(options);
+    default:
+      throw new Error(`Unknown QUEUE_DETECTOR "${options.detector}" (use 2b2t or generic)`);
+  }
+}
+
+module.exports = {
+  SOURCES,
+  packetText,
+  GenericQueueDetector,
+  TwoBTwoTQueueDetector,
+  createQueueDetector,
+};
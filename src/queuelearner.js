@@ -17,6 +17,8 @@ const mc         = require('minecraft-protocol');
 const config     = require('./config');
 const logger     = require('./logger');
 const ETALearner = require('./eta-learner');
+const { createQueueDetector } = require('./queue-detectors');
+const { classifyKick } = require('./kick-classifier');
 
 // ── CLI flags ────────────────────────────────────────────────────────────────
 function getFlag(name, fallback) {
@@ -32,6 +34,7 @@ const STATUS_INTERVAL = 30_000;   // ms between [STATUS] lines
 const RUN_DURATION_MS = MAX_DAYS * 24 * 60 * 60 * 1000;
 
 const learner = new ETALearner(); // constructor calls _load() automatically
+const detector = createQueueDetector(); // QUEUE_DETECTOR / QUEUE_* settings
 
 // ── Session state ─────────────────────────────────────────────────────────────
 let client          = null;
@@ -106,35 +109,6 @@ function stopStatusTicker() {
   if (statusTimer) { clearInterval(statusTimer); statusTimer = null; }
 }
 
-// Recursively extract plain text from MC 1.21+ NBT chat components (mirrors proxy.js)
-function extractChatText(component) {
-  if (component == null) return '';
-  if (typeof component === 'string') {
-    try { return extractChatText(JSON.parse(component)); } catch { return component; }
-  }
-  if (typeof component !== 'object') return String(component);
-  if (component.type === 'compound' && component.value) return extractChatText(component.value);
-  if (component.type === 'string' && typeof component.value === 'string') return component.value;
-  if (component.type === 'list' && component.value) {
-    const inner = component.value;
-    if (Array.isArray(inner)) return inner.map(extractChatText).join('');
-    if (inner.value && Array.isArray(inner.value)) return inner.value.map(extractChatText).join('');
-    return extractChatText(inner);
-  }
-  let result = '';
-  if ('text' in component) result += extractChatText(component.text);
-  if (component.translate && !('text' in component)) result += extractChatText(component.translate);
-  if (component.extra) {
-    if (Array.isArray(component.extra)) { for (const c of component.extra) result += extractChatText(c); }
-    else result += extractChatText(component.extra);
-  }
-  if (component.with) {
-    if (Array.isArray(component.with)) { for (const c of component.with) result += extractChatText(c); }
-    else result += extractChatText(component.with);
-  }
-  return result;
-}
-
 function saveSession(entryMs, entryPos, exitPos) {
   const exitMs = Date.now();
   const durationMs = exitMs - entryMs;
@@ -177,16 +151,16 @@ function connectToQueue() {
     logger.info('Logged in — waiting for queue position ...');
   });
 
-  client.on('packet', (data, meta) => {
-    // ── Tab-list header: contains "Position in queue: N" ──────────────────────
-    if (meta.name === 'playerlist_header') {
-      let headerText = '';
-      try { headerText = extractChatText(data.header); } catch (_) {}
+  detector.reset();
 
-      const match = headerText.match(/position in queue:\s*(\d+)/i);
-      if (!match) return;
+  client.on('packet', (data, meta) => {
+    let event = null;
+    try { event = detector.handlePacket(meta.name, data); } catch (_) {}
+    if (!event) return;
 
-      const pos = parseInt(match[1], 10);
+    // ── Queue position ───────────────────────────────────────────────────────
+    if (event.type === 'position') {
+      const pos = event.position;
       currentPos = pos;
 
       if (sessionEntryPos === null) {
@@ -220,21 +194,17 @@ function connectToQueue() {
         sessionEntryMs  = null;
         client.end();
       }
-      return; // end playerlist_header
+      return;
     }
 
-    // ── Chat messages ───────────────────────────────────────────────────────
-    if (meta.name === 'chat' || meta.name === 'system_chat' || meta.name === 'profileless_chat') {
-      let text = '';
-      try { text = extractChatText(data.content || data.formattedMessage || data.message || ''); } catch (_) {}
-      if (text.includes('Connected to the server')) {
-        logger.info('Connected to the server — session done (position 0).');
-        saveSession(sessionEntryMs, sessionEntryPos, 0);
-        stopStatusTicker();
-        sessionEntryPos = null;
-        sessionEntryMs  = null;
-        client.end();
-      }
+    // ── Queue finished ───────────────────────────────────────────────────────
+    if (event.type === 'finished') {
+      logger.info(event.reason + ' — session done (position 0).');
+      saveSession(sessionEntryMs, sessionEntryPos, 0);
+      stopStatusTicker();
+      sessionEntryPos = null;
+      sessionEntryMs  = null;
+      client.end();
     }
   });
 
@@ -248,19 +218,19 @@ function connectToQueue() {
   });
 
   client.on('kick_disconnect', (packet) => {
-    let reason = packet.reason;
-    try { reason = JSON.parse(reason).text || reason; } catch (_) {}
-    logger.warn('Kicked: ' + reason);
-    onDisconnect({ message: 'kicked: ' + reason });
+    const kick = classifyKick(packet.reason);
+    logger.warn('Kicked (' + kick.label + '): ' + kick.text);
+    onDisconnect({ message: 'kicked: ' + kick.text }, kick);
   });
 }
 
-function onDisconnect(reason) {
+function onDisconnect(reason, kick) {
   if (!client) return;  // guard double-fire
   client = null;
   stopStatusTicker();
   const msg = (reason && reason.message) || String(reason) || 'Unknown reason';
   logger.warn('Disconnected: ' + msg);
+  kick = kick || classifyKick(reason instanceof Error ? reason : msg);
 
   // Save partial session data if meaningful progress was made
   if (sessionEntryPos !== null && currentPos !== null && currentPos < sessionEntryPos) {
@@ -278,8 +248,15 @@ function onDisconnect(reason) {
     return;
   }
 
-  const delay = 30_000;
-  logger.info('Re-connecting in 30s ...');
+  if (kick.action === 'stop') {
+    logger.error('Not re-connecting: ' + kick.label.toLowerCase() + ' — exiting.');
+    shutdown();
+    return;
+  }
+
+  // Throttle / restart / duplicate-login kicks need a longer wait
+  const delay = kick.action === 'backoff' ? 120_000 : 30_000;
+  logger.info('Re-connecting in ' + delay / 1000 + 's ...');
   reconnectTimer = setTimeout(connectToQueue, delay);
 }
 
@@ -0,0 +1,161 @@
+// src/radar.js - Players, hostile mobs and dropped items around the bot
+// Every `interval` ms the bot's entity list is scanned for contacts within
+// `range` blocks: players, hostile mobs and dropped items, each with its
+// distance and compass bearing (0 = north, clockwise). A changed picture is
+// emitted as 'radar' (the dashboard plots it top-down), and players coming
+// into or leaving range raise 'playerEnter' / 'playerLeave' so the log,
+// Discord and others can react.
+//
+// The radar runs for the whole session after the queue - while anti-AFK
+// holds the bot and while someone plays through the proxy (the bot's
+// position follows the player's).
+
+const config = require('./config');
+
+const DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/** Internal: one decimal */
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** Internal: which radar kind an entity is, or null if it isn't tracked */
+function kindOf(entity) {
+  if (entity.type === 'player') return 'player';
+  if (entity.type === 'hostile' || entity.kind === 'Hostile mobs') return 'hostile';
+  if (entity.name === 'item') return 'item';
+  return null;
+}
+
+/** Internal: what to call a contact */
+function labelOf(entity, kind) {
+  if (kind === 'player') return entity.username || 'unknown';
+  if (kind === 'item') {
+    try {
+      const item = entity.getDroppedItem?.();
+      if (item) return `${item.name}${item.count > 1 ? ` x${item.count}` : ''}`;
+    } catch { /* metadata not there yet */ }
+    return 'item';
+  }
+  return entity.name || entity.displayName || 'unknown';
+}
+
+/**
+ * Contacts within range of the bot, nearest first.
+ * @param {import('mineflayer').Bot} bot
+ * @param {number} range - Blocks
+ * @returns {Array<{ id: number, kind: string, name: string, distance: number, bearing: number, direction: string, dx: number, dy: number, dz: number }>}
+ */
+function scan(bot, range) {
+  const self = bot?.entity;
+  if (!self?.position) return [];
+  const origin = self.position;
+  const contacts = [];
+  for (const entity of Object.values(bot.entities || {})) {
+    if (entity === self || !entity.position) continue;
+    const kind = kindOf(entity);
+    if (!kind || (kind === 'player' && entity.username === bot.username)) continue;
+    const dx = entity.position.x - origin.x;
+    const dy = entity.position.y - origin.y;
+    const dz = entity.position.z - origin.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (distance > range) continue;
+    // North is -z, east is +x
+    const bearing = ((Math.atan2(dx, -dz) * 180) / Math.PI + 360) % 360;
+    contacts.push({
+      id: entity.id,
+      kind,
+      name: labelOf(entity, kind),
+      distance: round1(distance),
+      bearing: Math.round(bearing) % 360,
+      direction: DIRECTIONS[Math.round(bearing / 45) % 8],
+      dx: round1(dx),
+      dy: round1(dy),
+      dz: round1(dz),
+    });
+  }
+  return contacts.sort((a, b) => a.distance - b.distance);
+}
+
+class Radar {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot is scanning
+   * @param {object} [options] - Defaults to config.radar
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.range] - Blocks
+   * @param {number} [options.interval] - Scan interval (ms)
+   */
+  constructor(proxy, options = config.radar) {
+    this.proxy = proxy;
+    this.options = { enabled: true, range: 64, interval: 1000, ...options };
+    this.bot = null;
+    this.timer = null;
+    this.contacts = [];
+    this.players = new Map(); // name -> contact, players currently in range
+    this._last = null; // JSON of the last emitted picture
+  }
+
+  /** Start scanning around a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!this.options.enabled || !bot) return;
+    this.bot = bot;
+    this.update();
+    this.timer = setInterval(() => this.update(), this.options.interval);
+  }
+
+  /** Stop scanning (disconnected or stopped) */
+  detach() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.bot = null;
+    this.contacts = [];
+    this.players.clear();
+    if (this._last) {
+      this._last = null;
+      this.proxy.emit('radar', this.status());
+    }
+  }
+
+  /** Scan once; emit 'radar' if the picture changed and enter/leave events for players */
+  update() {
+    if (!this.bot) return [];
+    this.contacts = scan(this.bot, this.options.range);
+
+    const inRange = new Map(this.contacts.filter((c) => c.kind === 'player').map((c) => [c.name, c]));
+    for (const [name, contact] of inRange) {
+      if (this.players.has(name)) continue;
+      this.proxy._log(`Radar: ${name} entered range (${Math.round(contact.distance)} blocks ${contact.direction})`);
+      this.proxy.emit('playerEnter', { name, distance: contact.distance, bearing: contact.bearing, direction: contact.direction });
+    }
+    for (const name of this.players.keys()) {
+      if (inRange.has(name)) continue;
+      this.proxy._log(`Radar: ${name} left range`);
+      this.proxy.emit('playerLeave', { name });
+    }
+    this.players = inRange;
+
+    const picture = JSON.stringify(this.contacts);
+    if (picture !== this._last) {
+      this._last = picture;
+      this.proxy.emit('radar', this.status());
+    }
+    return this.contacts;
+  }
+
+  /** Current contacts and the bot's heading (for /api/radar and the dashboard) */
+  status() {
+    const yaw = this.bot?.entity?.yaw;
+    return {
+      active: !!this.bot,
+      range: this.options.range,
+      // Compass heading of the bot (mineflayer yaw 0 looks north, counter-clockwise)
+      heading: yaw != null ? Math.round(((-yaw * 180) / Math.PI % 360 + 360) % 360) : null,
+      contacts: this.contacts.slice(),
+    };
+  }
+}
+
+Radar.scan = scan;
+
+module.exports = Radar;
@@ -0,0 +1,123 @@
+// src/reconnect-policy.js - Reconnect delays with backoff and a circuit breaker
+// Each consecutive failed reconnect doubles the delay (plus random jitter so
+// several accounts don't retry in lockstep), capped at maxDelay. After
+// maxAttempts failures in a row the circuit opens and reconnects pause for the
+// cool-off period; the next attempt after that is a single probe
+// ("half-open") that either closes the circuit or re-opens it.
+// Delays depend on why we were disconnected (see kick-classifier.js): being
+// throttled or kicked for a server restart needs a much longer first wait
+// than a dropped socket.
+
+const config = require('./config');
+const { classifyKick } = require('./kick-classifier');
+
+/** Base delay overrides per kick category (ms) */
+const KIND_BASE_DELAYS = {
+  throttled: 60 * 1000, // "Connection throttled! Please wait before reconnecting."
+  restart: 2 * 60 * 1000, // Server restart: it will be down for a few minutes
+  'already-connected': 30 * 1000, // Give the old session time to drop
+  'auth-outage': 2 * 60 * 1000, // "Authentication servers are down", rarely back within a minute
+};
+
+/**
+ * Disconnect kind from the kick/disconnect text: a kick category with its
+ * own base delay, or 'default'.
+ * @param {string} reason
+ * @returns {string}
+ */
+function reasonKind(reason) {
+  const { category } = classifyKick(reason || '');
+  return KIND_BASE_DELAYS[category] ? category : 'default';
+}
+
+class ReconnectPolicy {
+  /**
+   * @param {object} [options] - Defaults to config.reconnect
+   * @param {number} [options.baseDelay] - First retry delay (ms)
+   * @param {number} [options.maxDelay] - Upper bound for a single delay (ms)
+   * @param {number} [options.multiplier] - Backoff factor per attempt
+   * @param {number} [options.jitter] - Random spread, as a fraction of the delay (0-1)
+   * @param {number} [options.maxAttempts] - Failures before the circuit opens (0 = never)
+   * @param {number} [options.cooldown] - How long the circuit stays open (ms)
+   * @param {() => number} [options.random] - Random source (useful for tests)
+   */
+  constructor(options = config.reconnect) {
+    this.options = {
+      baseDelay: 5000,
+      maxDelay: 10 * 60 * 1000,
+      multiplier: 2,
+      jitter: 0.2,
+      maxAttempts: 10,
+      cooldown: 30 * 60 * 1000,
+      random: Math.random,
+      ...options,
+    };
+    this.reset();
+  }
+
+  /** Forget failures (call once a connection got into the queue) */
+  reset() {
+    this.attempt = 0;
+    this.circuit = 'closed'; // closed | open | half-open
+    this.plan = null; // Pending reconnect, cleared once it fires
+    this.kind = null;
+  }
+
+  /**
+   * Plan the next reconnect after a disconnect or failed attempt.
+   * @param {string} [reason] - Kick/disconnect text, used to pick the base delay
+   * @param {number} [now]
+   * @returns {{ attempt: number, maxAttempts: number, delay: number, nextAt: number, kind: string, circuit: string }}
+   */
+  next(reason, now = Date.now()) {
+    const { baseDelay, maxDelay, multiplier, jitter, maxAttempts, cooldown, random } = this.options;
+    const kind = reasonKind(reason);
+    this.kind = kind;
+
+    // A failed probe re-opens the circuit right away
+    if (this.circuit === 'half-open' || (maxAttempts > 0 && this.attempt >= maxAttempts)) {
+      this.circuit = 'open';
+      this.attempt = maxAttempts;
+      this.plan = { attempt: this.attempt, maxAttempts, delay: cooldown, nextAt: now + cooldown, kind, circuit: 'open' };
+      return this.plan;
+    }
+
+    this.attempt++;
+    const base = Math.max(baseDelay, KIND_BASE_DELAYS[kind] || 0);
+    const exp = Math.min(maxDelay, base * Math.pow(multiplier, this.attempt - 1));
+    const spread = exp * jitter * (random() * 2 - 1);
+    const delay = Math.round(Math.max(1000, Math.min(maxDelay, exp + spread)));
+
+    this.plan = { attempt: this.attempt, maxAttempts, delay, nextAt: now + delay, kind, circuit: this.circuit };
+    return this.plan;
+  }
+
+  /**
+   * Called when a planned reconnect actually fires. Coming out of an open
+   * circuit, the attempt is a single probe.
+   */
+  fire() {
+    if (this.circuit === 'open') this.circuit = 'half-open';
+    this.plan = null;
+  }
+
+  /**
+   * Serializable status for getState(): null while there are no failures,
+   * otherwise the attempt count and, while one is pending, the next retry time.
+   */
+  status() {
+    if (this.attempt === 0 && this.circuit === 'closed') return null;
+    return {
+      attempt: this.attempt,
+      maxAttempts: this.options.maxAttempts,
+      circuit: this.circuit,
+      kind: this.kind,
+      delay: this.plan ? this.plan.delay : null,
+      nextAt: this.plan ? new Date(this.plan.nextAt).toISOString() : null,
+    };
+  }
+}
+
+ReconnectPolicy.reasonKind = reasonKind;
+
+module.exports = ReconnectPolicy;
@@ -0,0 +1,33 @@
+// src/restart-notice.js - Server restart announcement parsing
+// 2b2t counts down to a restart in chat ("[SERVER] Server restarting in 15
+// minutes...") before dropping everyone. Spotting the countdown lets the proxy
+// plan ahead instead of finding out when the connection dies.
+//
+// Policies (SERVER_RESTART_POLICY):
+//   notify   only tell the user; the disconnect is handled as usual
+//   requeue  rejoin the queue as soon as the server answers again
+//   stop     stop queueing right away when no player is connected
+
+const POLICIES = ['notify', 'requeue', 'stop'];
+
+/** Milliseconds per unit, keyed by the unit's first letter */
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const NOTICE = /\brestart(?:ing)?\s+in\s+(\d+)\s*(seconds?|secs?|s|minutes?|mins?|m|hours?|h)\b/i;
+
+/**
+ * Recognize a restart countdown in a chat line.
+ * @param {string} text - Plain chat text
+ * @param {number} [now]
+ * @returns {{ in: number, at: number }|null} Milliseconds until the restart and its expected time
+ */
+function parseRestartNotice(text, now = Date.now()) {
+  const line = String(text || '').trim();
+  if (line.startsWith('<')) return null; // Player chat ("<name> restarting in 5 min?")
+  const match = NOTICE.exec(line);
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * UNITS[match[2][0].toLowerCase()];
+  return { in: ms, at: now + ms };
+}
+
+module.exports = { POLICIES, parseRestartNotice };
@@ -0,0 +1,145 @@
+// src/safety.js - Panic disconnect when the unattended bot is in danger
+// After the queue the bot often idles on the server alone with anti-AFK
+// running. The guard watches the mineflayer bot for signs of trouble and
+// logs it off at once:
+//   health     health fell below minHealth (out of 20)
+//   damage     any health lost (attacks, lava, fall damage...)
+//   player     a player not on the whitelist came within playerRadius blocks
+//   explosion  something exploded within explosionRadius blocks
+// A panic stops the queue, turns auto-restart off so the bot doesn't walk
+// straight back into the same spot, and raises a 'panic' event (Discord,
+// dashboard) plus a desktop notification. While a player is connected the
+// guard stays quiet - they can see for themselves.
+
+const config = require('./config');
+
+/** Internal: distance between two { x, y, z } points */
+function distance(a, b) {
+  return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + (a.z - b.z) ** 2);
+}
+
+class SafetyGuard {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot is guarded
+   * @param {object} [options] - Defaults to config.safety
+   * @param {boolean} [options.enabled]
+   * @param {number} [options.minHealth] - Panic below this health, out of 20 (0 = off)
+   * @param {boolean} [options.onDamage] - Panic on any damage taken
+   * @param {number} [options.playerRadius] - Panic when a stranger comes this close, in blocks (0 = off)
+   * @param {string[]} [options.whitelist] - Players allowed near the bot
+   * @param {number} [options.explosionRadius] - Panic on explosions this close, in blocks (0 = off)
+   */
+  constructor(proxy, options = config.safety) {
+    this.proxy = proxy;
+    this.options = {
+      enabled: false,
+      minHealth: 10,
+      onDamage: true,
+      playerRadius: 32,
+      whitelist: [],
+      explosionRadius: 16,
+      ...options,
+    };
+    this.bot = null;
+    this.lastHealth = null;
+    this.tripped = null; // { trigger, reason, time } once this session panicked
+    this._listeners = null;
+  }
+
+  /** Start guarding a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!this.options.enabled || !bot) return;
+    this.bot = bot;
+    this.lastHealth = bot.health ?? null;
+    this.tripped = null;
+
+    const onEntity = (entity) => this.checkPlayer(entity);
+    this._listeners = {
+      bot: {
+        health: () => this.checkHealth(bot.health),
+        entitySpawn: onEntity,
+        entityMoved: onEntity,
+      },
+      client: {
+        explosion: (packet) => this.checkExplosion(packet),
+      },
+    };
+    for (const [event, fn] of Object.entries(this._listeners.bot)) bot.on(event, fn);
+    for (const [event, fn] of Object.entries(this._listeners.client)) bot._client?.on(event, fn);
+
+    // Someone may already be standing next to us
+    Object.values(bot.entities || {}).forEach(onEntity);
+  }
+
+  /** Stop guarding (disconnected or stopped) */
+  detach() {
+    if (!this.bot || !this._listeners) return;
+    for (const [event, fn] of Object.entries(this._listeners.bot)) this.bot.removeListener(event, fn);
+    for (const [event, fn] of Object.entries(this._listeners.client)) this.bot._client?.removeListener(event, fn);
+    this.bot = null;
+    this._listeners = null;
+  }
+
+  /** Internal: whether danger should be ignored right now */
+  _quiet() {
+    return !this.bot || !!this.tripped || !!this.proxy.proxyClient;
+  }
+
+  /** The bot's health changed */
+  checkHealth(health) {
+    const previous = this.lastHealth;
+    this.lastHealth = health;
+    if (this._quiet() || health == null) return false;
+    const { minHealth, onDamage } = this.options;
+    if (minHealth > 0 && health < minHealth) {
+      return this.trigger('health', `health dropped to ${Math.round(health)}/20`);
+    }
+    if (onDamage && previous != null && health < previous) {
+      return this.trigger('damage', `took ${Math.round((previous - health) * 10) / 10} damage (health ${Math.round(health)}/20)`);
+    }
+    return false;
+  }
+
+  /** An entity appeared or moved */
+  checkPlayer(entity) {
+    const radius = this.options.playerRadius;
+    if (this._quiet() || radius <= 0 || !entity || entity.type !== 'player') return false;
+    const self = this.bot.entity;
+    if (!self?.position || !entity.position || entity === self || entity.username === this.bot.username) return false;
+    const name = String(entity.username || '');
+    if (this.options.whitelist.some((w) => w.toLowerCase() === name.toLowerCase())) return false;
+    const dist = distance(entity.position, self.position);
+    if (dist > radius) return false;
+    return this.trigger('player', `${name || 'unknown player'} came within ${Math.round(dist)} blocks`);
+  }
+
+  /** An explosion packet arrived */
+  checkExplosion(packet) {
+    const radius = this.options.explosionRadius;
+    const self = this.bot?.entity;
+    if (this._quiet() || radius <= 0 || !self?.position) return false;
+    const dist = distance(packet, self.position);
+    if (dist > radius) return false;
+    return this.trigger('explosion', `explosion ${Math.round(dist)} blocks away`);
+  }
+
+  /**
+   * Log off right away and raise the alarm.
+   * @param {'health'|'damage'|'player'|'explosion'} trigger
+   * @param {string} reason - Human-readable detail
+   * @returns {boolean} true
+   */
+  trigger(trigger, reason) {
+    const panic = { trigger, reason, time: new Date().toISOString() };
+    this.tripped = panic;
+    this.proxy.stop();
+    this.proxy._updateState({ restartQueue: false, panic });
+    this.proxy._log(`Panic disconnect: ${reason}. Auto-restart disabled.`, 'error');
+    this.proxy._notify(`Panic disconnect: ${reason}`);
+    this.proxy.emit('panic', panic);
+    return true;
+  }
+}
+
+module.exports = SafetyGuard;
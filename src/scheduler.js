@@ -0,0 +1,285 @@
+// src/scheduler.js - Recurring cron-style start/stop rules
+// Rules such as "start at 16:30 on weekdays" (`30 16 * * 1-5`) or "stop at
+// 02:00 every night" (`0 2 * * *`) are persisted per account and checked once
+// a minute against ProxyManager.start() / stop(). Expressions use the classic
+// five fields: minute hour day-of-month month day-of-week.
+
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = ['start', 'stop'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+/** Internal: parse one cron field into the set of values it matches */
+function parseField(str, field) {
+  const values = new Set();
+  const toNumber = (token) => {
+    const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+    if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(token)) throw new Error(`Invalid ${field.name}: "${token}"`);
+    const n = parseInt(token, 10);
+    if (n < field.min || n > field.max) throw new Error(`${field.name} out of range: ${n}`);
+    return n;
+  };
+
+  for (const part of str.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+    if (!(step > 0)) throw new Error(`Invalid step in ${field.name}: "${part}"`);
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(toNumber);
+      if (lo > hi) throw new Error(`Invalid range in ${field.name}: "${range}"`);
+    } else {
+      lo = toNumber(range);
+      hi = stepStr === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+
+  // Sunday may be written as 0 or 7
+  if (field.name === 'day of week' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression. Throws on invalid input.
+ * @param {string} expr
+ * @returns {{ matches: (date: Date) => boolean, minutes: Set<number>, hours: Set<number>,
+ *   months: Set<number>, dayMatches: (date: Date) => boolean }}
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  const anyDay = parts[2] === '*';
+  const anyWeekday = parts[4] === '*';
+
+  const dayMatches = (date) => {
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    // Standard cron: when both day fields are restricted, either may match
+    if (!anyDay && !anyWeekday) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+  };
+
+  return {
+    minutes,
+    hours,
+    months,
+    dayMatches,
+    matches(date) {
+      if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+        return false;
+      }
+      return dayMatches(date);
+    },
+  };
+}
+
+/**
+ * Next time (minute resolution) a cron expression matches, within a year.
+ * Skips whole months, days and hours that can't match, so even a rule that
+ * never fires ("0 0 31 2 *") only takes a few hundred steps.
+ * @param {string} expr
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+function nextRun(expr, from = new Date()) {
+  const cron = parseCron(expr);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const until = new Date(date);
+  until.setDate(until.getDate() + 366);
+
+  while (date < until) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!cron.dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      const minute = [...cron.minutes].sort((a, b) => a - b).find((m) => m > date.getMinutes());
+      if (minute === undefined) date.setHours(date.getHours() + 1, 0);
+      else date.setMinutes(minute);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+class Scheduler {
+  /**
+   * @param {import('./proxy')} proxy - The proxy manager the rules act on
+   * @param {string} [dataPath] - Override the persisted schedule file (useful for tests)
+   */
+  constructor(proxy, dataPath) {
+    this.proxy = proxy;
+    this.dataPath = dataPath || path.join(proxy.account.dataDir, 'schedules.json');
+    this.rules = []; // { id, action, cron, enabled }
+    this.timer = null;
+    this.lastCheck = null; // Minute key of the last evaluation, avoids double-firing
+    this._load();
+    if (this.rules.length > 0) this._startTimer();
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  _load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.dataPath, 'utf-8'));
+      this.rules = (raw.rules || []).filter((rule) => {
+        try {
+          parseCron(rule.cron);
+          return ACTIONS.includes(rule.action);
+        } catch (e) {
+          this.proxy._log(`Schedule: dropping invalid rule ${rule.id} – ${e.message}`, 'warn');
+          return false;
+        }
+      });
+    } catch {
+      this.rules = [];
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+      fs.writeFileSync(this.dataPath, JSON.stringify({ rules: this.rules }, null, 2), 'utf-8');
+    } catch (e) {
+      this.proxy._log(`Schedule: failed to save – ${e.message}`, 'warn');
+    }
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /** All rules with their next run time */
+  list() {
+    return this.rules.map((rule) => {
+      const next = rule.enabled ? nextRun(rule.cron) : null;
+      return { ...rule, nextRun: next ? next.toISOString() : null };
+    });
+  }
+
+  /**
+   * Add a rule. Throws on an unknown action or invalid cron expression.
+   * @param {{ action: string, cron: string, enabled?: boolean }} rule
+   */
+  add({ action, cron, enabled = true }) {
+    if (!ACTIONS.includes(action)) throw new Error(`Action must be one of: ${ACTIONS.join(', ')}`);
+    const expr = String(cron || '').trim().split(/\s+/).join(' ');
+    parseCron(expr);
+
+    const id = String(this.rules.reduce((max, r) => Math.max(max, parseInt(r.id, 10) || 0), 0) + 1);
+    const rule = { id, action, cron: expr, enabled: enabled !== false };
+    this.rules.push(rule);
+    this._save();
+    this._startTimer();
+    this.proxy._log(`Schedule ${id} added: ${action} at "${expr}"`);
+    return this.list().find((r) => r.id === id);
+  }
+
+  /** Remove a rule by id. Returns false if it doesn't exist. */
+  remove(id) {
+    const index = this.rules.findIndex((r) => r.id === String(id));
+    if (index === -1) return false;
+    this.rules.splice(index, 1);
+    this._save();
+    if (this.rules.length === 0) this.shutdown();
+    this.proxy._log(`Schedule ${id} removed`);
+    return true;
+  }
+
+  /** Enable or disable a rule. Returns the updated rule, or null if unknown. */
+  setEnabled(id, enabled) {
+    const rule = this.rules.find((r) => r.id === String(id));
+    if (!rule) return null;
+    rule.enabled = !!enabled;
+    this._save();
+    this.proxy._log(`Schedule ${id} ${rule.enabled ? 'enabled' : 'disabled'}`);
+    return this.list().find((r) => r.id === rule.id);
+  }
+
+  /** Stop the evaluation timer (rules stay persisted) */
+  shutdown() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ─── Evaluation ────────────────────────────────────────────────────────────
+
+  /**
+   * Fire every enabled rule matching the given minute.
+   * @param {Date} [now]
+   */
+  check(now = new Date()) {
+    const key = Math.floor(now.getTime() / 60000);
+    if (key === this.lastCheck) return;
+    this.lastCheck = key;
+
+    for (const rule of this.rules) {
+      if (rule.enabled && parseCron(rule.cron).matches(now)) this._fire(rule);
+    }
+  }
+
+  _fire(rule) {
+    const { state } = this.proxy;
+    if (rule.action === 'start') {
+      if (state.isInQueue) {
+        this.proxy._log(`Schedule ${rule.id} (start, "${rule.cron}"): already queueing`);
+        return;
+      }
+      this.proxy._log(`Schedule ${rule.id} (start, "${rule.cron}"): starting queue`);
+      this.proxy.start();
+    } else {
+      // Only idle counts as stopped: between a disconnect and the reconnect
+      // nothing is queued or connected, but the reconnect is still pending
+      if (state.doing === 'idle') {
+        this.proxy._log(`Schedule ${rule.id} (stop, "${rule.cron}"): already stopped`);
+        return;
+      }
+      this.proxy._log(`Schedule ${rule.id} (stop, "${rule.cron}"): stopping queue`);
+      this.proxy.stop();
+    }
+  }
+
+  /** Internal: evaluate at the start of every minute */
+  _startTimer() {
+    if (this.timer) return;
+    const tick = () => {
+      this.check();
+      const now = Date.now();
+      this.timer = setTimeout(tick, 60000 - (now % 60000) + 50);
+    };
+    this.timer = setTimeout(tick, 60000 - (Date.now() % 60000) + 50);
+  }
+}
+
+Scheduler.parseCron = parseCron;
+Scheduler.nextRun = nextRun;
+
+module.exports = Scheduler;
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// src/simulator.js - Simulated 2b2t-style queue server for offline development
+//
+// A local minecraft-protocol server (offline mode) that puts every client in a
+// fake queue: the tab-list header counts "Position in queue: N" down at a
+// configurable rate, then the queue finishes with a "Connected to the server"
+// chat message or a play-state login packet (server transfer). Kicks and
+// restart announcements can be injected on demand, so SERVER_HOST=localhost
+// exercises the whole proxy flow without touching 2b2t.
+//
+// Usage:
+//   npm run simulate                           # port 25566, 30 in queue, 1 step/s
+//   node src/simulator.js --port 25570 --start 200 --interval 500 --finish transfer
+//
+// While running, type: pos <n>, finish, kick [reason], restart [minutes], status
+
+const EventEmitter = require('events');
+const mc = require('minecraft-protocol');
+const nbt = require('prismarine-nbt');
+const config = require('./config');
+
+const QUEUE_WORLD = 'minecraft:the_end';
+const SERVER_WORLD = 'minecraft:overworld';
+
+/** Build an NBT text component (1.21.4 chat format) */
+function text(str) {
+  return nbt.comp({ text: nbt.string(str) });
+}
+
+class QueueSimulator extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port] - Port to listen on (0 picks a free one)
+   * @param {string} [options.host] - Bind address
+   * @param {string} [options.version] - Minecraft version
+   * @param {number} [options.startPosition] - Queue position new clients start at
+   * @param {number} [options.interval] - Milliseconds between position updates
+   * @param {number} [options.step] - Positions moved per update
+   * @param {'chat'|'transfer'} [options.finish] - How the queue completes
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      port: 25566,
+      host: '127.0.0.1',
+      version: config.mc.version,
+      startPosition: 30,
+      interval: 1000,
+      step: 1,
+      finish: 'chat',
+      ...options,
+    };
+    if (!['chat', 'transfer'].includes(this.options.finish)) {
+      throw new Error(`Invalid finish mode "${this.options.finish}" (use chat or transfer)`);
+    }
+    this.server = null;
+    this.sessions = new Map(); // client -> { position, timer, finished }
+  }
+
+  /** Start listening. Resolves with the bound port. */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = mc.createServer({
+        'online-mode': false,
+        host: this.options.host,
+        port: this.options.port,
+        version: this.options.version,
+        motd: '2Bored2Tolerate queue simulator',
+        maxPlayers: 100,
+      });
+      this.server.once('error', reject);
+      this.server.once('listening', () => {
+        this.server.removeListener('error', reject);
+        this.port = this.server.socketServer.address().port;
+        resolve(this.port);
+      });
+      this.server.on('playerJoin', (client) => this._onJoin(client));
+    });
+  }
+
+  /** Kick everyone and stop listening */
+  close() {
+    for (const client of this.sessions.keys()) this._end(client, 'Simulator shutting down');
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  // ─── On-demand events ──────────────────────────────────────────────────────
+
+  /** Jump every queued client to a position */
+  setPosition(position) {
+    for (const [client, session] of this.sessions) {
+      if (session.finished) continue;
+      session.position = Math.max(0, position);
+      this._sendPosition(client, session);
+    }
+  }
+
+  /** Finish the queue for every queued client right away */
+  finish() {
+    for (const [client, session] of this.sessions) {
+      if (!session.finished) this._finish(client, session);
+    }
+  }
+
+  /** Disconnect every client with a kick reason */
+  kick(reason = 'You have been kicked') {
+    for (const client of this.sessions.keys()) this._end(client, reason);
+  }
+
+  /**
+   * Announce a server restart in chat (2b2t style). With minutes = 0 the
+   * restart happens immediately: everyone is kicked with "Server restarting".
+   */
+  restart(minutes = 0) {
+    if (minutes > 0) {
+      const unit = minutes === 1 ? 'minute' : 'minutes';
+      this._broadcast(`[SERVER] Server restarting in ${minutes} ${unit}...`);
+      return;
+    }
+    this._broadcast('[SERVER] Server restarting...');
+    this.kick('Server restarting');
+  }
+
+  /** Summary of connected clients */
+  status() {
+    return [...this.sessions].map(([client, session]) => ({
+      username: client.username,
+      position: session.position,
+      finished: session.finished,
+    }));
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  _onJoin(client) {
+    const session = { position: this.options.startPosition, timer: null, finished: false };
+    this.sessions.set(client, session);
+    client.on('end', () => this._forget(client));
+    client.on('error', () => this._forget(client));
+
+    this._writeLogin(client, QUEUE_WORLD, 'spectator', 1);
+    client.write('system_chat', { content: text('2b2t is full'), isActionBar: false });
+    this._sendPosition(client, session);
+    this.emit('join', client);
+
+    session.timer = setInterval(() => {
+      session.position = Math.max(0, session.position - this.options.step);
+      if (session.position === 0) {
+        this._finish(client, session);
+      } else {
+        this._sendPosition(client, session);
+      }
+    }, this.options.interval);
+  }
+
+  _writeLogin(client, world, gamemode, entityId) {
+    client.write('login', {
+      entityId,
+      isHardcore: false,
+      worldNames: [world],
+      maxPlayers: 100,
+      viewDistance: 2,
+      simulationDistance: 2,
+      reducedDebugInfo: false,
+      enableRespawnScreen: true,
+      doLimitedCrafting: false,
+      worldState: {
+        dimension: 0,
+        name: world,
+        hashedSeed: [0, 0],
+        gamemode,
+        previousGamemode: 255,
+        isDebug: false,
+        isFlat: true,
+        death: undefined,
+        portalCooldown: 0,
+        seaLevel: 63,
+      },
+      enforcesSecureChat: false,
+    });
+    client.write('position', {
+      teleportId: entityId,
+      x: 0.5,
+      y: 100,
+      z: 0.5,
+      dx: 0,
+      dy: 0,
+      dz: 0,
+      yaw: 0,
+      pitch: 0,
+      flags: {},
+    });
+    client.write('update_health', { health: 20, food: 20, foodSaturation: 5 });
+  }
+
+  _sendPosition(client, session) {
+    client.write('playerlist_header', {
+      header: text(`\n2b2t is full\nPosition in queue: ${session.position}\n`),
+      footer: text('\nThis is a simulated queue\n'),
+    });
+    this.emit('position', client, session.position);
+  }
+
+  _finish(client, session) {
+    clearInterval(session.timer);
+    session.timer = null;
+    session.position = 0;
+    session.finished = true;
+
+    if (this.options.finish === 'transfer') {
+      this._writeLogin(client, SERVER_WORLD, 'survival', 2);
+    } else {
+      client.write('system_chat', { content: text('Connected to the server.'), isActionBar: false });
+    }
+    client.write('playerlist_header', { header: text('\n2b2t.org\n'), footer: text('') });
+    this.emit('finished', client);
+  }
+
+  _broadcast(message) {
+    for (const client of this.sessions.keys()) {
+      try {
+        client.write('system_chat', { content: text(message), isActionBar: false });
+      } catch (e) {
+        // Client may have disconnected
+      }
+    }
+  }
+
+  _end(client, reason) {
+    this._forget(client);
+    try { client.end(reason); } catch (e) { /* ignore */ }
+  }
+
+  _forget(client) {
+    const session = this.sessions.get(client);
+    if (!session) return;
+    clearInterval(session.timer);
+    this.sessions.delete(client);
+    this.emit('leave', client);
+  }
+}
+
+module.exports = QueueSimulator;
+
+// ── Standalone mode ──────────────────────────────────────────────────────────
+if (require.main === module) {
+  const readline = require('readline');
+  const logger = require('./logger');
+
+  const flag = (name, fallback) => {
+    const idx = process.argv.indexOf(name);
+    return idx === -1 ? fallback : process.argv[idx + 1];
+  };
+  const num = (name, fallback) => {
+    const val = Number(flag(name, fallback));
+    return Number.isNaN(val) ? fallback : val;
+  };
+
+  const sim = new QueueSimulator({
+    port: num('--port', 25566),
+    host: flag('--host', '127.0.0.1'),
+    startPosition: num('--start', 30),
+    interval: num('--interval', 1000),
+    step: num('--step', 1),
+    finish: flag('--finish', 'chat'),
+  });
+
+  sim.on('join', (client) => logger.info(`${client.username} joined the queue`));
+  sim.on('finished', (client) => logger.info(`${client.username} finished the queue`));
+  sim.on('leave', (client) => logger.info(`${client.username} left`));
+
+  sim.listen().then((port) => {
+    logger.info(`Queue simulator listening on ${sim.options.host}:${port}`);
+    logger.info(`Point the proxy at it with SERVER_HOST=localhost SERVER_PORT=${port}`);
+    logger.info('Commands: pos <n>, finish, kick [reason], restart [minutes], status, exit');
+  }).catch((err) => {
+    logger.error(`Simulator failed to start: ${err.message}`);
+    process.exit(1);
+  });
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('line', (line) => {
+    const [cmd, ...args] = line.trim().split(/\s+/);
+    switch (cmd) {
+      case 'pos': sim.setPosition(parseInt(args[0], 10) || 0); break;
+      case 'finish': sim.finish(); break;
+      case 'kick': sim.kick(args.join(' ') || undefined); break;
+      case 'restart': sim.restart(parseInt(args[0], 10) || 0); break;
+      case 'status': console.log(sim.status()); break;
+      case 'exit':
+      case 'quit': sim.close(); process.exit(0); break;
+      default: if (cmd) console.log('  Commands: pos <n>, finish, kick [reason], restart [minutes], status, exit');
+    }
+  });
+
+  const shutdown = () => { sim.close(); process.exit(0); };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,155 @@
+// src/watchdog.js - Stuck-queue detection
+// Sometimes the queue server keeps the socket open but the position in the
+// tab header stops moving, or nothing arrives at all. The watchdog remembers
+// when the position last changed and when the last packet of any kind came
+// in, and flags a stall when either gap is abnormal.
+//
+// "Abnormal" depends on how fast the queue usually moves at this hour: with
+// the learned positions-per-hour from ETALearner, a position is expected to
+// change every 60/rate minutes, and a stall is STALL_FACTOR times that (but
+// never less than stallMinutes, so a fast queue doesn't cause false alarms).
+//
+// The clocks only start once the connection is up (signed in, or the first
+// packet arrived): a device-code sign-in can take minutes and is not a stall.
+
+const config = require('./config');
+
+const STALL_FACTOR = 10;
+
+/** Format a duration as "1h 5m" / "4m" / "30s" */
+function fmtDuration(ms) {
+  const secs = Math.round(ms / 1000);
+  if (secs < 60) return `${secs}s`;
+  const mins = Math.floor(secs / 60);
+  return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+}
+
+class QueueWatchdog {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager being watched
+   * @param {object} [options] - Defaults to config.watchdog
+   * @param {number} [options.stallMinutes] - Minimum time without a position change before it counts as a stall
+   * @param {number} [options.silenceSeconds] - Time without any packet before it counts as a stall
+   * @param {boolean} [options.reconnect] - Force a reconnect when a stall is detected
+   * @param {number} [options.interval] - Check interval (ms)
+   */
+  constructor(proxy, options = config.watchdog) {
+    this.proxy = proxy;
+    this.options = {
+      stallMinutes: 15,
+      silenceSeconds: 120,
+      reconnect: false,
+      interval: 30 * 1000,
+      ...options,
+    };
+    this.timer = null;
+    this._reset(Date.now());
+  }
+
+  /** Internal: start both clocks at `now` (null = not armed yet) */
+  _reset(now) {
+    this.lastPacketAt = now;
+    this.lastChangeAt = now;
+    this.lastPosition = null;
+    this.stall = null;
+  }
+
+  /** Start watching a new queue connection (checks wait for arm()) */
+  start() {
+    this.stop();
+    this._reset(null);
+    this.timer = setInterval(() => this.check(), this.options.interval);
+  }
+
+  /** The connection is up (signed in or first packet): start the clocks */
+  arm(now = Date.now()) {
+    if (this.lastPacketAt === null) this._reset(now);
+  }
+
+  /** Stop watching (queue finished, disconnected or stopped) */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.stall) {
+      this.stall = null;
+      this.proxy._updateState({ stall: null });
+    }
+  }
+
+  /** Any packet arrived from the queue server */
+  notePacket(now = Date.now()) {
+    this.arm(now);
+    this.lastPacketAt = now;
+  }
+
+  /** A queue position was read (it may be the same as the last one) */
+  notePosition(position, now = Date.now()) {
+    if (position !== this.lastPosition) {
+      this.lastPosition = position;
+      this.lastChangeAt = now;
+    }
+  }
+
+  /**
+   * How long the position may stay put at this time of day before it counts
+   * as a stall (ms). Uses the learned rate, else the live session rate.
+   */
+  thresholdMs(now = Date.now()) {
+    const learner = this.proxy.etaLearner;
+    const rate = learner._getHistoricalRate(new Date(now))?.rate || learner._getLiveRate();
+    const minimum = this.options.stallMinutes * 60 * 1000;
+    if (!rate || rate <= 0) return minimum;
+    return Math.max(minimum, STALL_FACTOR * (3600 * 1000) / rate);
+  }
+
+  /**
+   * Evaluate the gaps. Logs, notifies and optionally forces a reconnect when
+   * a stall starts; clears the stall once things move again.
+   * @returns {object|null} Current stall (see status) or null
+   */
+  check(now = Date.now()) {
+    if (this.lastPacketAt === null) return null;
+    const silentMs = now - this.lastPacketAt;
+    const frozenMs = now - this.lastChangeAt;
+    const thresholdMs = this.thresholdMs(now);
+
+    let reason = null;
+    if (silentMs >= this.options.silenceSeconds * 1000) {
+      reason = `no packets from the server for ${fmtDuration(silentMs)}`;
+    } else if (this.lastPosition !== null && frozenMs >= thresholdMs) {
+      reason = `position ${this.lastPosition} unchanged for ${fmtDuration(frozenMs)}`;
+    }
+
+    if (!reason) {
+      if (this.stall) {
+        this.proxy._log('Queue is moving again');
+        this.stall = null;
+        this.proxy._updateState({ stall: null });
+      }
+      return null;
+    }
+
+    const first = !this.stall;
+    this.stall = {
+      reason,
+      since: this.stall ? this.stall.since : new Date(now).toISOString(),
+      position: this.lastPosition,
+      frozenMinutes: Math.floor(frozenMs / 60000),
+      silentSeconds: Math.floor(silentMs / 1000),
+      thresholdMinutes: Math.round(thresholdMs / 60000),
+    };
+    this.proxy._updateState({ stall: this.stall });
+
+    if (first) {
+      this.proxy._log(`Queue looks stuck: ${reason} (expected a change within ${fmtDuration(thresholdMs)})`, 'warn');
+      this.proxy._notify(`Queue looks stuck: ${reason}`);
+      this.proxy.emit('queueStalled', this.stall);
+      if (this.options.reconnect) this.proxy._forceReconnect(`Queue stalled: ${reason}`);
+    }
+    return this.stall;
+  }
+}
+
+module.exports = QueueWatchdog;
@@ -7,6 +7,23 @@ let socket        = null;
 let currentState  = {};
 let currentPassword = '';
 let logsPopulated = false;
+let chatPopulated = false;
+let alertsPopulated = false;
+let deathsPopulated = false;
+let radarPopulated = false;
+let inventoryPopulated = false;
+let playersPopulated = false;
+let currentAccount  = null; // account id whose state is shown (null until the server tells us)
+let webPermission   = 'admin'; // WEB_PERMISSION, sent on connect
+let accountList     = [];
+let reconnectState  = null; // state.reconnect of the shown account (drives the countdown)
+
+// Inventory
+let inventory    = null; // last 'inventory' of the shown account
+let selectedSlot = null; // window slot picked for an action
+
+// Players
+let searchTimer = null;
 
 // Chart
 let chartTimeframe = 'all';
@@ -25,7 +42,9 @@ const loginPassword = $('loginPassword');
 const loginError    = $('loginError');
 const app           = $('app');
 const wsDot         = $('wsDot');
+const accountSelect = $('accountSelect');
 const statusChip    = $('statusChip');
+const reconnectInfo = $('reconnectInfo');
 const queuePosition = $('queuePosition');
 const etaValue      = $('etaValue');
 const etaFinish     = $('etaFinish');
@@ -33,6 +52,9 @@ const startBtn      = $('startBtn');
 const stopBtn       = $('stopBtn');
 const antiAfkToggle = $('antiAfkToggle');
 const restartToggle = $('restartToggle');
+const deadlineInput = $('deadlineInput');
+const deadlineClear = $('deadlineClear');
+const deadlineInfo  = $('deadlineInfo');
 const playerCol     = $('playerCol');
 const healthBar     = $('healthBar');
 const hungerBar     = $('hungerBar');
@@ -41,6 +63,20 @@ const hungerValue   = $('hungerValue');
 const chartSection  = $('chartSection');
 const chartTimespan = $('chartTimespan');
 const logContainer  = $('logContainer');
+const chatContainer = $('chatContainer');
+const chatInput     = $('chatInput');
+const alertList     = $('alertList');
+const alertType     = $('alertType');
+const alertPattern  = $('alertPattern');
+const alertSenders  = $('alertSenders');
+const alertCooldown = $('alertCooldown');
+const deathList     = $('deathList');
+const worldSection  = $('worldSection');
+const radarSection  = $('radarSection');
+const radarList     = $('radarList');
+const inventorySection = $('inventorySection');
+const playerQuery   = $('playerQuery');
+const playerList    = $('playerList');
 const stopDialog    = $('stopDialog');
 const toastContainer = $('toastContainer');
 
@@ -89,6 +125,13 @@ function connect() {
     wsDot.classList.add('connected');
     wsDot.title = 'Connected';
     logsPopulated = false;
+    chatPopulated = false;
+    alertsPopulated = false;
+    deathsPopulated = false;
+    radarPopulated = false;
+    inventoryPopulated = false;
+    playersPopulated = false;
+    if (currentAccount !== null) socket.emit('getState', currentAccount);
     showApp();
   });
 
@@ -106,27 +149,144 @@ function connect() {
     }
   });
 
+  socket.on('accounts', renderAccounts);
+
+  socket.on('permission', (level) => {
+    webPermission = level;
+    renderInventoryActions();
+  });
+
   socket.on('state', (state) => {
+    if (currentAccount === null) currentAccount = state.account;
+    if (state.account !== currentAccount) return;
     currentState = state;
     renderState(state);
   });
 
-  socket.on('log', addLogEntry);
+  socket.on('log', (entry) => {
+    if (entry.account === currentAccount) addLogEntry(entry);
+  });
+
+  socket.on('chat', (entry) => {
+    if (entry.account === currentAccount) addChatLine(entry);
+  });
+
+  socket.on('chatHistory', ({ account, messages }) => {
+    if (account !== currentAccount) return;
+    chatContainer.replaceChildren();
+    if (messages.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'log-empty';
+      empty.textContent = 'No chat yet.';
+      chatContainer.appendChild(empty);
+    }
+    messages.forEach((entry) => addChatLine(entry, false));
+    chatContainer.scrollTop = chatContainer.scrollHeight;
+  });
 
-  socket.on('queueFinished', () => showToast('Queue finished — connect to play!', 'success'));
-  socket.on('stopped',       () => showToast('Queue stopped', 'warning'));
+  socket.on('notice', ({ message, level }) => showToast(message, level || 'info'));
+
+  socket.on('chatAlerts', ({ account, rules }) => {
+    if (account === currentAccount) renderChatAlerts(rules);
+  });
+  socket.on('chatAlert', ({ account, name, sender, text }) => {
+    showToast(`${accountLabel(account)}${name}: ${sender ? `<${sender}> ` : ''}${text}`, 'warning');
+  });
+
+  socket.on('queueFinished', ({ account } = {}) => showToast(accountLabel(account) + 'Queue finished — connect to play!', 'success'));
+  socket.on('stopped',       ({ account } = {}) => showToast(accountLabel(account) + 'Queue stopped', 'warning'));
+  socket.on('deaths', ({ account, deaths }) => {
+    if (account === currentAccount) renderDeaths(deaths);
+  });
+  socket.on('death', ({ account, reason }) => {
+    showToast(`${accountLabel(account)}Bot died: ${reason || 'unknown cause'}`, 'error');
+    if (account === currentAccount) socket.emit('getDeaths', currentAccount);
+  });
+  socket.on('radar', ({ account, ...radar }) => {
+    if (account === currentAccount) renderRadar(radar);
+  });
+  socket.on('playerEnter',   ({ account, name, distance, direction }) => showToast(`${accountLabel(account)}${name} is ${Math.round(distance)} blocks ${direction}`, 'info'));
+  socket.on('inventory', ({ account, ...inv }) => {
+    if (account === currentAccount) renderInventory(inv);
+  });
+  socket.on('players', ({ account, active, count }) => {
+    if (account === currentAccount) $('playersOnline').textContent = active ? `${count} online` : '';
+  });
+  socket.on('playerSearch', ({ account, query, results }) => {
+    if (account === currentAccount && query === playerQuery.value.trim()) renderPlayers(results);
+  });
+  socket.on('watchlist', ({ account, names }) => {
+    if (account !== currentAccount) return;
+    renderWatchlist(names);
+    searchPlayers();
+  });
+  socket.on('watchedPlayer', ({ account, name, online }) => {
+    showToast(`${accountLabel(account)}${name} ${online ? 'logged in' : 'logged out'}`, 'info');
+    if (account === currentAccount) searchPlayers();
+  });
+  socket.on('noFood',        ({ account, food }) => showToast(`${accountLabel(account)}Out of food (hunger ${food}/20)`, 'warning'));
+  socket.on('panic',         ({ account, reason }) => showToast(`${accountLabel(account)}Panic disconnect: ${reason}`, 'error'));
+  socket.on('whisper',       ({ account, sender, message }) => showToast(`${accountLabel(account)}${sender} whispers: ${message}`, 'info'));
 }
 
+// ============================================================
+// Accounts
+// ============================================================
+function accountLabel(id) {
+  return accountList.length > 1 && id ? `[${id}] ` : '';
+}
+
+function renderAccounts(list) {
+  accountList = list;
+  accountSelect.hidden = list.length < 2;
+
+  const ids = list.map((a) => a.id).join(',');
+  if (accountSelect.dataset.ids !== ids) {
+    accountSelect.dataset.ids = ids;
+    accountSelect.replaceChildren(...list.map((a) => {
+      const opt = document.createElement('option');
+      opt.value = a.id;
+      return opt;
+    }));
+  }
+
+  // Keep the option labels current (status / position per account)
+  list.forEach((a, i) => {
+    const place = a.queuePlace !== 'None' && a.queuePlace != null ? ` #${a.queuePlace}` : '';
+    accountSelect.options[i].textContent = `${a.id} · ${a.doing}${place}`;
+  });
+  if (currentAccount !== null) accountSelect.value = currentAccount;
+}
+
+accountSelect.addEventListener('change', () => {
+  currentAccount = accountSelect.value;
+  logsPopulated  = false;
+  chatPopulated  = false;
+  alertsPopulated = false;
+  deathsPopulated = false;
+  radarPopulated = false;
+  inventoryPopulated = false;
+  playersPopulated = false;
+  inventory = null;
+  selectedSlot = null;
+  logContainer.replaceChildren();
+  socket?.emit('getState', currentAccount);
+});
+
 // ============================================================
 // Render state
 // ============================================================
 function renderState(state) {
   renderStatus(state.doing);
+  renderReconnect(state);
   renderPosition(state);
   renderETA(state);
   renderButtons(state);
   renderToggles(state);
+  renderDeadline(state);
   renderPlayerStats(state);
+  renderWorld(state.world);
+  renderInventoryActions();
   renderChart(state);
 
   if (state.version) {
@@ -143,6 +303,36 @@ function renderState(state) {
     logsPopulated = true;
     state.logs.forEach((entry) => addLogEntry(entry, false));
   }
+
+  if (!chatPopulated) {
+    chatPopulated = true;
+    socket?.emit('getChat', currentAccount);
+  }
+
+  if (!alertsPopulated) {
+    alertsPopulated = true;
+    socket?.emit('getChatAlerts', currentAccount);
+  }
+
+  if (!deathsPopulated) {
+    deathsPopulated = true;
+    socket?.emit('getDeaths', currentAccount);
+  }
+
+  if (!radarPopulated) {
+    radarPopulated = true;
+    socket?.emit('getRadar', currentAccount);
+  }
+
+  if (!inventoryPopulated) {
+    inventoryPopulated = true;
+    socket?.emit('getInventory', currentAccount);
+  }
+
+  if (!playersPopulated) {
+    playersPopulated = true;
+    socket?.emit('getPlayers', currentAccount);
+  }
 }
 
 function renderStatus(doing) {
@@ -158,6 +348,33 @@ function renderStatus(doing) {
   statusChip.dataset.status = s.key;
 }
 
+function renderReconnect(state) {
+  reconnectState = state.reconnect || null;
+  updateReconnectCountdown();
+}
+
+// Ticks every second while a retry is pending
+function updateReconnectCountdown() {
+  const r = reconnectState;
+  if (!r) {
+    reconnectInfo.hidden = true;
+    return;
+  }
+  const attempt = r.maxAttempts > 0 ? `attempt ${r.attempt}/${r.maxAttempts}` : `attempt ${r.attempt}`;
+  let text = attempt;
+  if (r.nextAt) {
+    const secs = Math.max(0, Math.round((new Date(r.nextAt) - Date.now()) / 1000));
+    const wait = secs >= 60 ? `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}` : `${secs}s`;
+    text = r.circuit === 'open'
+      ? `too many failures · paused, retry in ${wait}`
+      : `retry in ${wait} · ${attempt}${r.kind && r.kind !== 'default' ? ` (${r.kind})` : ''}`;
+  }
+  reconnectInfo.textContent = text;
+  reconnectInfo.classList.toggle('is-open', r.circuit === 'open');
+  reconnectInfo.hidden = false;
+}
+setInterval(updateReconnectCountdown, 1000);
+
 function renderPosition(state) {
   const pos = state.queuePlace;
   let text = '—';
@@ -201,6 +418,19 @@ function renderToggles(state) {
   restartToggle.checked = state.restartQueue   || false;
 }
 
+function renderDeadline(state) {
+  const plan = state.deadline;
+  deadlineClear.hidden = !plan;
+  if (!plan) {
+    deadlineInfo.textContent = 'queue starts automatically in time';
+    return;
+  }
+  const fmt = (t) => new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const h   = Math.floor(plan.waitMinutes / 60);
+  const m   = plan.waitMinutes % 60;
+  deadlineInfo.textContent = `for ${fmt(plan.deadline)} · starts ~${fmt(plan.startAt)} (est. ${h}h ${m}m wait)`;
+}
+
 function renderPlayerStats(state) {
   if (state.connected && state.health != null) {
     const hp = Math.ceil(state.health / 2);
@@ -215,6 +445,22 @@ function renderPlayerStats(state) {
   }
 }
 
+function renderWorld(world) {
+  if (!world) {
+    worldSection.hidden = true;
+    return;
+  }
+  const { x, y, z } = world.position;
+  $('worldPosition').textContent = `${x} ${y} ${z}`;
+  $('worldDimension').textContent = (world.dimension || '—').replace(/^minecraft:/, '');
+  $('worldFacing').textContent = `${world.facing} ${world.yaw}° / ${world.pitch}°`;
+  $('worldGround').textContent = `${world.standingOn || '—'} · ${(world.biome || '—').replace(/^minecraft:/, '')}`;
+  $('worldTime').textContent = world.clock ? `${world.clock}${world.day != null ? ` · day ${world.day}` : ''}` : '—';
+  $('worldWeather').textContent = world.weather;
+  $('worldDrift').textContent = world.drift ? `${world.drift.blocks} blocks` : '—';
+  worldSection.hidden = false;
+}
+
 function renderChart(state) {
   if (!state.queueHistory || state.queueHistory.length < 2) return;
   chartSection.hidden = false;
@@ -231,10 +477,23 @@ function sendCommand(cmd) {
     showToast('Not connected to server', 'error');
     return;
   }
-  socket.emit(cmd);
+  socket.emit(cmd, currentAccount);
 }
 window.sendCommand = sendCommand;
 
+function setDeadline() {
+  if (!deadlineInput.value) {
+    showToast('Pick a time first', 'warning');
+    return;
+  }
+  if (!socket?.connected) {
+    showToast('Not connected to server', 'error');
+    return;
+  }
+  socket.emit('setDeadline', deadlineInput.value, currentAccount);
+}
+window.setDeadline = setDeadline;
+
 function handleStop() {
   stopDialog.hidden = false;
 }
@@ -295,6 +554,462 @@ function clearLogs() {
 }
 window.clearLogs = clearLogs;
 
+// ============================================================
+// Chat
+// ============================================================
+function addChatLine(entry, scroll = true) {
+  const empty = chatContainer.querySelector('.log-empty');
+  if (empty) empty.remove();
+
+  const row = document.createElement('div');
+  row.className = `log-line chat-${entry.type}`;
+
+  const ts = document.createElement('span');
+  ts.className = 'log-ts';
+  ts.textContent = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  const msg = document.createElement('span');
+  msg.className = 'log-msg';
+  if (entry.sender) {
+    const sender = document.createElement('span');
+    sender.className = 'chat-sender';
+    sender.textContent = entry.type === 'sent' ? `> ${entry.sender}` : `<${entry.sender}>`;
+    msg.appendChild(sender);
+  }
+  // entry.html is rendered and sanitized server-side (chat-component toHtml)
+  if (entry.html) msg.insertAdjacentHTML('beforeend', entry.html);
+  else msg.append(entry.text);
+
+  row.append(ts, msg);
+  chatContainer.appendChild(row);
+
+  while (chatContainer.children.length > 200) {
+    chatContainer.removeChild(chatContainer.firstChild);
+  }
+
+  if (scroll) chatContainer.scrollTop = chatContainer.scrollHeight;
+}
+
+function sendChat(e) {
+  e.preventDefault();
+  const message = chatInput.value.trim();
+  if (!message) return false;
+  if (!socket?.connected) {
+    showToast('Not connected to server', 'error');
+    return false;
+  }
+  socket.emit('sendChat', message, currentAccount);
+  chatInput.value = '';
+  return false;
+}
+window.sendChat = sendChat;
+
+// ============================================================
+// Chat alerts
+// ============================================================
+function renderChatAlerts(rules) {
+  if (rules.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'log-empty';
+    empty.textContent = 'No alert rules yet.';
+    alertList.replaceChildren(empty);
+    return;
+  }
+  alertList.replaceChildren(...rules.map((rule) => {
+    const row = document.createElement('div');
+    row.className = `alert-rule${rule.enabled ? '' : ' is-disabled'}`;
+
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.checked = rule.enabled;
+    toggle.title = rule.enabled ? 'disable' : 'enable';
+    toggle.addEventListener('change', () => {
+      socket?.emit('updateChatAlert', rule.id, { enabled: toggle.checked }, currentAccount);
+    });
+
+    const pattern = document.createElement('span');
+    pattern.className = 'alert-pattern';
+    pattern.textContent = rule.type === 'regex' ? `/${rule.pattern}/` : rule.pattern;
+
+    const meta = document.createElement('span');
+    meta.className = 'alert-meta';
+    const senders = rule.senders.length ? ` · ${rule.senders.join(', ')}` : '';
+    meta.textContent = `${rule.type}${senders} · ${rule.cooldown}s`;
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-text';
+    remove.textContent = 'remove';
+    remove.addEventListener('click', () => socket?.emit('removeChatAlert', rule.id, currentAccount));
+
+    row.append(toggle, pattern, meta, remove);
+    return row;
+  }));
+}
+
+function addChatAlert(e) {
+  e.preventDefault();
+  const pattern = alertPattern.value.trim();
+  if (!pattern) return false;
+  if (!socket?.connected) {
+    showToast('Not connected to server', 'error');
+    return false;
+  }
+  socket.emit('addChatAlert', {
+    type: alertType.value,
+    pattern,
+    senders: alertSenders.value,
+    cooldown: parseInt(alertCooldown.value, 10) || 0,
+  }, currentAccount);
+  alertPattern.value = '';
+  alertSenders.value = '';
+  return false;
+}
+window.addChatAlert = addChatAlert;
+
+// ============================================================
+// Players
+// ============================================================
+function searchPlayers() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    socket?.emit('searchPlayers', playerQuery.value.trim(), currentAccount);
+  }, 200);
+}
+window.searchPlayers = searchPlayers;
+
+function fmtAgo(time) {
+  const m = Math.max(0, Math.round((Date.now() - new Date(time)) / 60000));
+  if (m < 60) return `${m}m ago`;
+  if (m < 48 * 60) return `${Math.floor(m / 60)}h ${m % 60}m ago`;
+  return `${Math.floor(m / 1440)}d ago`;
+}
+
+/** Internal: run the "watch" command for a name */
+function setWatched(name, watched) {
+  if (!socket?.connected) {
+    showToast('Not connected to server', 'error');
+    return;
+  }
+  const args = { action: watched ? 'add' : 'remove', player: name };
+  socket.emit('command', { name: 'watch', args, account: currentAccount }, (res) => {
+    if (res?.error) showToast(res.error, 'error');
+  });
+}
+
+function watchPlayer(e) {
+  e.preventDefault();
+  const name = playerQuery.value.trim();
+  if (name) setWatched(name, true);
+  return false;
+}
+window.watchPlayer = watchPlayer;
+
+function renderWatchlist(names) {
+  const list = $('watchList');
+  if (names.length === 0) {
+    list.textContent = 'Watching nobody — search a name and press watch.';
+    return;
+  }
+  list.replaceChildren('Watching: ', ...names.map((name) => {
+    const chip = document.createElement('button');
+    chip.className = 'btn-text';
+    chip.textContent = `${name} ×`;
+    chip.title = `stop watching ${name}`;
+    chip.addEventListener('click', () => setWatched(name, false));
+    return chip;
+  }));
+}
+
+function renderPlayers(players) {
+  if (players.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'log-empty';
+    empty.textContent = playerQuery.value.trim() ? 'Never seen.' : 'No players seen yet.';
+    playerList.replaceChildren(empty);
+    return;
+  }
+  playerList.replaceChildren(...players.map((player) => {
+    const row = document.createElement('div');
+    row.className = `player-row${player.online ? ' is-online' : ''}${player.watched ? ' is-watched' : ''}`;
+
+    const name = document.createElement('span');
+    name.className = 'player-name';
+    name.textContent = player.name;
+
+    const seen = document.createElement('span');
+    seen.className = 'player-seen';
+    seen.textContent = player.online
+      ? `online${player.ping != null ? ` · ${player.ping} ms` : ''}`
+      : `last seen ${new Date(player.lastSeen).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })} · ${fmtAgo(player.lastSeen)}`;
+
+    const joins = document.createElement('span');
+    joins.className = 'alert-meta';
+    joins.textContent = `${player.joins} joins`;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'btn-text';
+    toggle.textContent = player.watched ? 'unwatch' : 'watch';
+    toggle.addEventListener('click', () => setWatched(player.name, !player.watched));
+
+    row.append(name, seen, joins, toggle);
+    return row;
+  }));
+}
+
+// ============================================================
+// Deaths
+// ============================================================
+function renderDeaths(deaths) {
+  if (deaths.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'log-empty';
+    empty.textContent = 'No deaths recorded.';
+    deathList.replaceChildren(empty);
+    return;
+  }
+  deathList.replaceChildren(...deaths.map((death) => {
+    const row = document.createElement('div');
+    row.className = 'death-row';
+
+    const time = document.createElement('span');
+    time.className = 'log-ts';
+    time.textContent = new Date(death.time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    const reason = document.createElement('span');
+    reason.className = 'death-reason';
+    reason.textContent = death.reason || 'unknown cause';
+
+    const where = document.createElement('span');
+    where.className = 'alert-meta';
+    const pos = death.position ? `${death.position.x} ${death.position.y} ${death.position.z}` : '?';
+    const dimension = death.dimension ? ` ${death.dimension.replace(/^minecraft:/, '')}` : '';
+    where.textContent = `${pos}${dimension} · ${death.policy}`;
+
+    row.append(time, reason, where);
+    return row;
+  }));
+}
+
+// ============================================================
+// Radar
+// ============================================================
+const RADAR_COLORS = { player: '#a78bfa', hostile: '#f87171', item: '#fbbf24' };
+
+function renderRadar(radar) {
+  if (!radar.active) {
+    radarSection.hidden = true;
+    return;
+  }
+  radarSection.hidden = false;
+  $('radarRange').textContent = `${radar.range} blocks`;
+  drawRadar(radar);
+
+  if (radar.contacts.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'log-empty';
+    empty.textContent = 'Nothing in range.';
+    radarList.replaceChildren(empty);
+    return;
+  }
+  radarList.replaceChildren(...radar.contacts.map((contact) => {
+    const row = document.createElement('div');
+    row.className = `radar-row is-${contact.kind}`;
+
+    const name = document.createElement('span');
+    name.className = 'radar-name';
+    name.textContent = contact.name;
+
+    const where = document.createElement('span');
+    where.className = 'alert-meta';
+    const dy = Math.round(contact.dy);
+    where.textContent = `${Math.round(contact.distance)}m ${contact.direction}${dy ? ` ${dy > 0 ? '+' : ''}${dy}y` : ''}`;
+
+    row.append(name, where);
+    return row;
+  }));
+}
+
+/** Top-down plot, north up, the bot in the middle */
+function drawRadar(radar) {
+  const canvas = $('radarCanvas');
+  if (!canvas) return;
+
+  const ctx  = canvas.getContext('2d');
+  const dpr  = window.devicePixelRatio || 1;
+  const size = 220;
+
+  canvas.width        = size * dpr;
+  canvas.height       = size * dpr;
+  canvas.style.width  = `${size}px`;
+  canvas.style.height = `${size}px`;
+
+  const c     = (size / 2) * dpr;
+  const R     = c - 14 * dpr;
+  const scale = R / radar.range;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Range rings (half and full) + cross
+  ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+  ctx.lineWidth   = dpr;
+  [R / 2, R].forEach((r) => {
+    ctx.beginPath();
+    ctx.arc(c, c, r, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.beginPath();
+  ctx.moveTo(c - R, c);
+  ctx.lineTo(c + R, c);
+  ctx.moveTo(c, c - R);
+  ctx.lineTo(c, c + R);
+  ctx.stroke();
+
+  ctx.fillStyle    = 'rgba(255,255,255,0.22)';
+  ctx.font         = `${9 * dpr}px monospace`;
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('N', c, 6 * dpr);
+
+  // Where the bot is looking
+  if (radar.heading != null) {
+    const a = (radar.heading * Math.PI) / 180;
+    ctx.strokeStyle = 'rgba(74,222,128,0.5)';
+    ctx.beginPath();
+    ctx.moveTo(c, c);
+    ctx.lineTo(c + Math.sin(a) * 16 * dpr, c - Math.cos(a) * 16 * dpr);
+    ctx.stroke();
+  }
+  ctx.fillStyle = '#4ade80';
+  ctx.beginPath();
+  ctx.arc(c, c, 3 * dpr, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Contacts: east is +x, south is +z; farthest first so the nearest stay on top
+  [...radar.contacts].reverse().forEach((contact) => {
+    ctx.fillStyle = RADAR_COLORS[contact.kind] || '#a1a1aa';
+    ctx.beginPath();
+    ctx.arc(c + contact.dx * scale, c + contact.dz * scale, (contact.kind === 'item' ? 2 : 3) * dpr, 0, Math.PI * 2);
+    ctx.fill();
+    if (contact.kind === 'player') {
+      ctx.textAlign = 'left';
+      ctx.fillText(contact.name, c + contact.dx * scale + 5 * dpr, c + contact.dz * scale);
+    }
+  });
+}
+
+// ============================================================
+// Inventory
+// ============================================================
+const ARMOR_SLOTS = [[5, 'head'], [6, 'torso'], [7, 'legs'], [8, 'feet']];
+
+/** "diamond_sword" -> "DS", "dirt" -> "Dirt" */
+function itemAbbrev(name) {
+  const words = name.split('_');
+  if (words.length === 1) return name.charAt(0).toUpperCase() + name.slice(1, 4);
+  return words.filter((w) => w !== 'of').map((w) => w.charAt(0).toUpperCase()).join('').slice(0, 3);
+}
+
+function itemTitle(item) {
+  const lines = [`${item.displayName}${item.count > 1 ? ` x${item.count}` : ''} (slot ${item.slot})`];
+  item.enchants.forEach((e) => lines.push(`${e.name} ${e.level}`));
+  if (item.durability) lines.push(`durability ${item.durability.left}/${item.durability.max}`);
+  return lines.join('\n');
+}
+
+function invSlot(slot, item, empty = '') {
+  const cell = document.createElement('div');
+  cell.className = 'inv-slot';
+  cell.classList.toggle('is-held', inventory.quickBarSlot != null && slot === 36 + inventory.quickBarSlot);
+  cell.classList.toggle('is-selected', slot === selectedSlot);
+  if (!item) {
+    cell.classList.add('is-empty');
+    cell.textContent = empty;
+    cell.title = `slot ${slot}`;
+  } else {
+    cell.classList.toggle('is-enchanted', item.enchants.length > 0);
+    cell.title = itemTitle(item);
+
+    const name = document.createElement('span');
+    name.className = 'inv-name';
+    name.textContent = itemAbbrev(item.name);
+    cell.append(name);
+
+    if (item.count > 1) {
+      const count = document.createElement('span');
+      count.className = 'inv-count';
+      count.textContent = item.count;
+      cell.append(count);
+    }
+    if (item.durability) {
+      const left = item.durability.left / item.durability.max;
+      const bar = document.createElement('span');
+      bar.className = `inv-dur${left < 0.2 ? ' is-low' : ''}`;
+      bar.style.width = `${Math.round(left * 100)}%`;
+      cell.append(bar);
+    }
+  }
+  cell.addEventListener('click', () => {
+    selectedSlot = selectedSlot === slot || !item ? null : slot;
+    renderInventory(inventory);
+  });
+  return cell;
+}
+
+function renderInventory(inv) {
+  inventory = inv;
+  if (!inv.active) {
+    inventorySection.hidden = true;
+    selectedSlot = null;
+    return;
+  }
+  inventorySection.hidden = false;
+
+  const bySlot = new Map(inv.items.map((item) => [item.slot, item]));
+  const armor = Object.fromEntries(ARMOR_SLOTS.map(([slot, part]) => [slot, inv.armor[part]]));
+  if (selectedSlot != null && !bySlot.has(selectedSlot) && !armor[selectedSlot] && inv.offhand?.slot !== selectedSlot) {
+    selectedSlot = null;
+  }
+
+  $('invEquipment').replaceChildren(
+    ...ARMOR_SLOTS.map(([slot, part]) => invSlot(slot, armor[slot], part)),
+    invSlot(45, inv.offhand, 'off'),
+  );
+  const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+  $('invMain').replaceChildren(...range(9, 36).map((slot) => invSlot(slot, bySlot.get(slot))));
+  $('invHotbar').replaceChildren(...range(36, 45).map((slot) => invSlot(slot, bySlot.get(slot), String(slot - 36))));
+  renderInventoryActions();
+}
+
+/** Actions only make sense for a picked slot, only while nobody is playing, and need admin */
+function renderInventoryActions() {
+  if (!inventory?.active) return;
+  const linked = !!currentState.connected;
+  const allowed = webPermission === 'admin';
+  const item = selectedSlot != null;
+  const hotbar = item && selectedSlot >= 36 && selectedSlot < 45;
+  const enabled = { select: hotbar, equip: item && selectedSlot > 8, drop: item, toss: item, offhand: true };
+  document.querySelectorAll('[data-inv]').forEach((btn) => {
+    btn.disabled = !allowed || linked || !enabled[btn.dataset.inv];
+  });
+  $('invSelected').textContent = !allowed
+    ? 'view only (WEB_PERMISSION is not admin)'
+    : linked ? 'a player is connected'
+      : item ? `slot ${selectedSlot}` : 'click a slot';
+}
+
+function inventoryAction(action) {
+  if (!socket?.connected) {
+    showToast('Not connected to server', 'error');
+    return;
+  }
+  const slot = action === 'select' ? selectedSlot - 36 : selectedSlot;
+  const args = action === 'offhand' ? { action } : { action, slot };
+  socket.emit('command', { name: 'inventory', args, account: currentAccount }, (res) => {
+    if (res?.error) showToast(res.error, 'error');
+  });
+}
+window.inventoryAction = inventoryAction;
+
 // ============================================================
 // Chart
 // ============================================================
@@ -5,14 +5,26 @@ const { Server: SocketIOServer } = require('socket.io');
 const path = require('path');
 const config = require('../config');
 const logger = require('../logger');
+const DeadlinePlanner = require('../deadline');
 const { version: APP_VERSION } = require('../../package.json');
+const CommandRegistry = require('../command-registry');
+
+const { CommandError } = CommandRegistry;
+
+/** Internal: command arguments from a request body ("a b", ["a", "b"] or { name: value }) */
+function commandInput(args) {
+  if (typeof args === 'string') return args.trim().split(/\s+/);
+  return args ?? [];
+}
 
 class WebServer {
   /**
-   * @param {import('../proxy')} proxy - The proxy manager instance
+   * @param {import('../accounts')} accounts - Registry of per-account proxy managers
+   * @param {CommandRegistry} [registry] - Shared command set
    */
-  constructor(proxy) {
-    this.proxy = proxy;
+  constructor(accounts, registry = new CommandRegistry(accounts)) {
+    this.accounts = accounts;
+    this.registry = registry;
     this.app = express();
     this.httpServer = http.createServer(this.app);
     this.io = new SocketIOServer(this.httpServer);
@@ -36,6 +48,7 @@ class WebServer {
   _setupRoutes() {
     // Serve static files
     this.app.use(express.static(path.join(__dirname, 'public')));
+    this.app.use(express.json());
 
     // API: Check password middleware for protected routes
     const authMiddleware = (req, res, next) => {
@@ -49,44 +62,275 @@ class WebServer {
       next();
     };
 
+    // API: Resolve the targeted account (?account=<id> or X-Account header,
+    // default account otherwise) into req.proxy
+    const accountMiddleware = (req, res, next) => {
+      const id = req.query.account || req.headers['x-account'];
+      req.proxy = this.accounts.get(id);
+      if (!req.proxy) {
+        return res.status(404).json({ error: `Unknown account: ${id}` });
+      }
+      next();
+    };
+
+    // API: Refuse what WEB_PERMISSION doesn't allow. Routes that don't go
+    // through _runCommand use the level of the matching command in
+    // builtin-commands.js
+    const permit = (level) => (req, res, next) => {
+      try {
+        CommandRegistry.checkPermission(config.web.permission, level);
+      } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      next();
+    };
+
+    // API: List configured accounts
+    this.app.get('/api/accounts', authMiddleware, (req, res) => {
+      res.json(this.accounts.list());
+    });
+
     // API: Get current state
-    this.app.get('/api/state', authMiddleware, (req, res) => {
-      res.json(this.proxy.getState());
+    this.app.get('/api/state', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.getState());
     });
 
     // API: Start queue
-    this.app.post('/api/start', authMiddleware, (req, res) => {
-      this.proxy.start();
+    this.app.post('/api/start', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.start();
       res.json({ success: true });
     });
 
     // API: Stop queue
-    this.app.post('/api/stop', authMiddleware, (req, res) => {
-      this.proxy.stop();
+    this.app.post('/api/stop', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.stop();
       res.json({ success: true });
     });
 
     // API: Toggle restart
-    this.app.post('/api/toggle-restart', authMiddleware, (req, res) => {
-      this.proxy.toggleRestart();
-      res.json({ restartQueue: this.proxy.state.restartQueue });
+    this.app.post('/api/toggle-restart', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.toggleRestart();
+      res.json({ restartQueue: req.proxy.state.restartQueue });
     });
 
     // API: Toggle anti-AFK
-    this.app.post('/api/toggle-antiafk', authMiddleware, (req, res) => {
-      this.proxy.toggleAntiAfk();
-      res.json({ antiAfkActive: this.proxy.state.antiAfkActive });
+    this.app.post('/api/toggle-antiafk', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.toggleAntiAfk();
+      res.json({ antiAfkActive: req.proxy.state.antiAfkActive });
     });
 
     // API: Get player stats
-    this.app.get('/api/stats', authMiddleware, (req, res) => {
-      const stats = this.proxy.getPlayerStats();
+    this.app.get('/api/stats', authMiddleware, accountMiddleware, (req, res) => {
+      const stats = req.proxy.getPlayerStats();
       res.json(stats || { health: null, food: null });
     });
 
+    // API: Deadline-based scheduled start ("be in-game by HH:MM")
+    this.app.get('/api/deadline', authMiddleware, accountMiddleware, (req, res) => {
+      res.json({ plan: req.proxy.deadline.getPlan() });
+    });
+
+    this.app.post('/api/deadline', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      const deadline = DeadlinePlanner.parseDeadline(req.body?.time);
+      if (!deadline) {
+        return res.status(400).json({ error: 'Invalid time (use HH:MM or an ISO date)' });
+      }
+      try {
+        res.json({ plan: req.proxy.deadline.set(deadline) });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    this.app.delete('/api/deadline', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      res.json({ cleared: req.proxy.deadline.clear() });
+    });
+
+    // API: Recurring start/stop schedules
+    this.app.get('/api/schedules', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.scheduler.list());
+    });
+
+    this.app.post('/api/schedules', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      try {
+        res.json(req.proxy.scheduler.add({
+          action: req.body?.action,
+          cron: req.body?.cron,
+          enabled: req.body?.enabled,
+        }));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    this.app.patch('/api/schedules/:id', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      const rule = req.proxy.scheduler.setEnabled(req.params.id, req.body?.enabled);
+      if (!rule) return res.status(404).json({ error: 'Unknown schedule' });
+      res.json(rule);
+    });
+
+    this.app.delete('/api/schedules/:id', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      if (!req.proxy.scheduler.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Unknown schedule' });
+      }
+      res.json({ removed: true });
+    });
+
+    // API: Packet capture (debugging)
+    this.app.get('/api/capture', authMiddleware, accountMiddleware, (req, res) => {
+      res.json({ status: req.proxy.capture.status(), files: req.proxy.capture.list() });
+    });
+
+    this.app.post('/api/capture/start', authMiddleware, accountMiddleware, permit('admin'), (req, res) => {
+      try {
+        res.json(req.proxy.capture.start());
+      } catch (err) {
+        res.status(409).json({ error: err.message });
+      }
+    });
+
+    this.app.post('/api/capture/stop', authMiddleware, accountMiddleware, permit('admin'), (req, res) => {
+      const result = req.proxy.capture.stop();
+      if (!result) return res.status(409).json({ error: 'No capture running' });
+      res.json(result);
+    });
+
+    this.app.get('/api/capture/files/:name', authMiddleware, accountMiddleware, (req, res) => {
+      const name = path.basename(req.params.name);
+      if (!name.endsWith('.mcap') || !req.proxy.capture.list().some((f) => f.name === name)) {
+        return res.status(404).json({ error: 'Unknown capture' });
+      }
+      res.download(path.join(req.proxy.capture.dir, name));
+    });
+
+    // API: Chat history (?limit=N, ?after=<id>) and sending through the bot
+    this.app.get('/api/chat', authMiddleware, accountMiddleware, (req, res) => {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      const after = req.query.after != null ? parseInt(req.query.after, 10) : undefined;
+      res.json(req.proxy.chat.list({ limit, after }));
+    });
+
+    // The "say" command, so it needs the same permission
+    this.app.post('/api/chat', authMiddleware, accountMiddleware, (req, res) => {
+      try {
+        this._runCommand('say', { message: req.body?.message }, req.proxy);
+        res.json({ success: true });
+      } catch (err) {
+        res.status(err instanceof CommandError ? err.status : 500).json({ error: err.message });
+      }
+    });
+
+    // API: Chat keyword / mention alert rules
+    this.app.get('/api/chat-alerts', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.chatWatcher.list());
+    });
+
+    this.app.post('/api/chat-alerts', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      try {
+        res.json(req.proxy.chatWatcher.add(req.body || {}));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    this.app.patch('/api/chat-alerts/:id', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      try {
+        const rule = req.proxy.chatWatcher.update(req.params.id, req.body || {});
+        if (!rule) return res.status(404).json({ error: 'Unknown chat alert' });
+        res.json(rule);
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    this.app.delete('/api/chat-alerts/:id', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      if (!req.proxy.chatWatcher.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Unknown chat alert' });
+      }
+      res.json({ removed: true });
+    });
+
+    // API: Bot position, surroundings and position history
+    this.app.get('/api/world', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.world.status());
+    });
+
+    // API: Players, hostile mobs and items near the bot
+    this.app.get('/api/radar', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.radar.status());
+    });
+
+    // API: What the bot carries
+    this.app.get('/api/inventory', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.inventory.status());
+    });
+
+    // API: Inventory actions (select, equip, drop, toss, offhand) - the
+    // "inventory" command, so they need the same permission
+    this.app.post('/api/inventory/:action', authMiddleware, accountMiddleware, (req, res) => {
+      try {
+        res.json(this._runCommand('inventory', { action: req.params.action, slot: req.body?.slot }, req.proxy));
+      } catch (err) {
+        res.status(err instanceof CommandError ? err.status : 500).json({ error: err.message });
+      }
+    });
+
+    // API: Tab list, known players and the join/leave log
+    this.app.get('/api/players', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.players.status());
+    });
+
+    this.app.get('/api/players/search', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.players.search(req.query.q, parseInt(req.query.limit, 10) || undefined));
+    });
+
+    this.app.get('/api/players/history', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.players.history({ name: req.query.name, limit: parseInt(req.query.limit, 10) || undefined }));
+    });
+
+    // API: Watched players - the "watch" command, so they need the same permission
+    this.app.get('/api/players/watched', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.players.watchlist());
+    });
+
+    this.app.post('/api/players/watched', authMiddleware, accountMiddleware, (req, res) => {
+      try {
+        res.json(this._runCommand('watch', { action: 'add', player: req.body?.name }, req.proxy));
+      } catch (err) {
+        res.status(err instanceof CommandError ? err.status : 500).json({ error: err.message });
+      }
+    });
+
+    this.app.delete('/api/players/watched/:name', authMiddleware, accountMiddleware, (req, res) => {
+      try {
+        res.json(this._runCommand('watch', { action: 'remove', player: req.params.name }, req.proxy));
+      } catch (err) {
+        res.status(err instanceof CommandError ? err.status : 500).json({ error: err.message });
+      }
+    });
+
+    // API: Deaths of the unattended bot, newest first (?limit=N)
+    this.app.get('/api/deaths', authMiddleware, accountMiddleware, (req, res) => {
+      res.json(req.proxy.deaths.list(parseInt(req.query.limit, 10) || undefined));
+    });
+
+    // API: Shared command set (the same commands as the terminal and Discord)
+    this.app.get('/api/commands', authMiddleware, (req, res) => {
+      const commands = this.registry.list({ permission: config.web.permission, source: 'web' });
+      res.json(commands.map((command) => this.registry.describe(command)));
+    });
+
+    this.app.post('/api/commands/:name', authMiddleware, accountMiddleware, (req, res) => {
+      try {
+        res.json(this._runCommand(req.params.name, req.body?.args, req.proxy));
+      } catch (err) {
+        res.status(err instanceof CommandError ? err.status : 500).json({ error: err.message });
+      }
+    });
+
     // Legacy endpoints (backward compatible with original 2bored2wait API)
-    this.app.get('/update', authMiddleware, (req, res) => {
-      const state = this.proxy.getState();
+    this.app.get('/update', authMiddleware, accountMiddleware, (req, res) => {
+      const state = req.proxy.getState();
       res.json({
         username: state.username || 'undefined',
         place: state.queuePlace,
@@ -99,18 +343,18 @@ class WebServer {
       });
     });
 
-    this.app.post('/start', authMiddleware, (req, res) => {
-      this.proxy.start();
+    this.app.post('/start', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.start();
       res.sendStatus(200);
     });
 
-    this.app.post('/stop', authMiddleware, (req, res) => {
-      this.proxy.stop();
+    this.app.post('/stop', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.stop();
       res.sendStatus(200);
     });
 
-    this.app.post('/togglerestart', authMiddleware, (req, res) => {
-      this.proxy.toggleRestart();
+    this.app.post('/togglerestart', authMiddleware, accountMiddleware, permit('control'), (req, res) => {
+      req.proxy.toggleRestart();
       res.sendStatus(200);
     });
 
@@ -136,42 +380,232 @@ class WebServer {
     this.io.on('connection', (socket) => {
       logger.info(`Dashboard client connected (${socket.id})`);
 
-      // Send current state on connect
-      socket.emit('state', this.proxy.getState());
+      // Send the account list, the default account's state and what the
+      // dashboard may change (WEB_PERMISSION) on connect
+      socket.emit('accounts', this.accounts.list());
+      socket.emit('state', this.accounts.get().getState());
+      socket.emit('permission', config.web.permission);
+
+      // Handle commands from the dashboard. Every command takes an optional
+      // account id as its last argument; unknown ids are ignored.
+      const withProxy = (fn) => (...args) => {
+        const proxy = this.accounts.get(args.pop());
+        if (proxy) fn(proxy, ...args);
+      };
+      // Changes need WEB_PERMISSION to allow them, like the REST routes
+      const withPermission = (level, fn) => (...args) => {
+        try {
+          CommandRegistry.checkPermission(config.web.permission, level);
+        } catch (err) {
+          socket.emit('notice', { message: err.message, level: 'error' });
+          return;
+        }
+        fn(...args);
+      };
+      socket.on('getState', withProxy((proxy) => socket.emit('state', proxy.getState())));
+      socket.on('start', withPermission('control', withProxy((proxy) => proxy.start())));
+      socket.on('stop', withPermission('control', withProxy((proxy) => proxy.stop())));
+      socket.on('toggleRestart', withPermission('control', withProxy((proxy) => proxy.toggleRestart())));
+      socket.on('toggleAntiAfk', withPermission('control', withProxy((proxy) => proxy.toggleAntiAfk())));
+
+      socket.on('setDeadline', withPermission('control', (time, accountId) => {
+        const proxy = this.accounts.get(accountId);
+        const deadline = DeadlinePlanner.parseDeadline(time);
+        if (!proxy || !deadline) {
+          socket.emit('notice', { message: 'Invalid deadline time', level: 'error' });
+          return;
+        }
+        try {
+          proxy.deadline.set(deadline);
+        } catch (err) {
+          socket.emit('notice', { message: err.message, level: 'error' });
+        }
+      }));
+      socket.on('clearDeadline', withPermission('control', withProxy((proxy) => proxy.deadline.clear())));
+
+      socket.on('getChat', withProxy((proxy) => {
+        socket.emit('chatHistory', { account: proxy.account.id, messages: proxy.chat.list({ limit: 200 }) });
+      }));
+      socket.on('sendChat', withProxy((proxy, message) => {
+        try {
+          this._runCommand('say', { message }, proxy);
+        } catch (err) {
+          socket.emit('notice', { message: err.message, level: 'error' });
+        }
+      }));
+
+      // Chat alert rules; changes are broadcast as 'chatAlerts'
+      socket.on('getChatAlerts', withProxy((proxy) => {
+        socket.emit('chatAlerts', { account: proxy.account.id, rules: proxy.chatWatcher.list() });
+      }));
+      const editAlerts = (fn) => (...args) => {
+        const proxy = this.accounts.get(args[args.length - 1]);
+        if (!proxy) return;
+        try {
+          if (!fn(proxy.chatWatcher, ...args)) {
+            socket.emit('notice', { message: 'Unknown chat alert', level: 'error' });
+          }
+        } catch (err) {
+          socket.emit('notice', { message: err.message, level: 'error' });
+        }
+      };
+      socket.on('addChatAlert', withPermission('control', editAlerts((watcher, rule) => watcher.add(rule || {}))));
+      socket.on('updateChatAlert', withPermission('control', editAlerts((watcher, id, changes) => watcher.update(id, changes || {}))));
+      socket.on('removeChatAlert', withPermission('control', editAlerts((watcher, id) => watcher.remove(id))));
+
+      socket.on('getRadar', withProxy((proxy) => {
+        socket.emit('radar', { ...proxy.radar.status(), account: proxy.account.id });
+      }));
+
+      socket.on('getInventory', withProxy((proxy) => {
+        socket.emit('inventory', { ...proxy.inventory.status(), account: proxy.account.id });
+      }));
+
+      socket.on('getPlayers', withProxy((proxy) => {
+        socket.emit('players', { ...proxy.players.status(), account: proxy.account.id });
+        socket.emit('watchlist', { account: proxy.account.id, names: proxy.players.watchlist() });
+      }));
+      socket.on('searchPlayers', (query, accountId) => {
+        const proxy = this.accounts.get(accountId);
+        if (!proxy) return;
+        socket.emit('playerSearch', { account: proxy.account.id, query, results: proxy.players.search(query, 20) });
+      });
+
+      socket.on('getDeaths', withProxy((proxy) => {
+        socket.emit('deaths', { account: proxy.account.id, deaths: proxy.deaths.list(20) });
+      }));
 
-      // Handle commands from the dashboard
-      socket.on('start', () => this.proxy.start());
-      socket.on('stop', () => this.proxy.stop());
-      socket.on('toggleRestart', () => this.proxy.toggleRestart());
-      socket.on('toggleAntiAfk', () => this.proxy.toggleAntiAfk());
+      // Any registered command: { name, args, account }, answered through the ack
+      socket.on('command', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const { name, args, account } = payload || {};
+        const proxy = this.accounts.get(account);
+        if (!proxy) {
+          reply({ error: `Unknown account: ${account}`, status: 404 });
+          return;
+        }
+        try {
+          reply({ result: this._runCommand(name, args, proxy) });
+        } catch (err) {
+          reply({ error: err.message, status: err instanceof CommandError ? err.status : 500 });
+        }
+      });
 
       socket.on('disconnect', () => {
         logger.info(`Dashboard client disconnected (${socket.id})`);
       });
     });
 
-    // Forward proxy events to all connected sockets
-    this.proxy.on('stateChange', (state) => {
+    // Forward every account's proxy events to all connected sockets, tagged
+    // with the account id so the dashboard can show the selected one
+    for (const proxy of this.accounts.all()) {
+      this._forwardProxyEvents(proxy);
+    }
+  }
+
+  /** Internal: run a registry command on behalf of a dashboard / API client */
+  _runCommand(name, args, proxy) {
+    return this.registry.run(name, commandInput(args), {
+      proxy,
+      source: 'web',
+      permission: config.web.permission,
+    });
+  }
+
+  /** Internal: relay one proxy manager's events over Socket.IO */
+  _forwardProxyEvents(proxy) {
+    const account = proxy.account.id;
+
+    proxy.on('stateChange', (state) => {
       this.io.emit('state', {
         ...state,
-        queueHistory: this.proxy.queueHistory.slice(), // full history for client-side timeframe filtering
+        queueHistory: proxy.queueHistory.slice(), // full history for client-side timeframe filtering
       });
+      this.io.emit('accounts', this.accounts.list());
     });
 
-    this.proxy.on('log', (entry) => {
+    proxy.on('log', (entry) => {
       this.io.emit('log', entry);
     });
 
-    this.proxy.on('queueUpdate', (data) => {
-      this.io.emit('queueUpdate', data);
+    proxy.on('queueUpdate', (data) => {
+      this.io.emit('queueUpdate', { ...data, account });
+    });
+
+    proxy.on('queueFinished', () => {
+      this.io.emit('queueFinished', { account });
+    });
+
+    proxy.on('stopped', () => {
+      this.io.emit('stopped', { account });
+    });
+
+    proxy.on('chat', (entry) => {
+      this.io.emit('chat', entry);
+    });
+
+    proxy.on('serverRestart', (restart) => {
+      this.io.emit('serverRestart', { ...restart, account });
+    });
+
+    proxy.on('queueStalled', (stall) => {
+      this.io.emit('queueStalled', { ...stall, account });
+    });
+
+    proxy.on('kicked', (kick) => {
+      this.io.emit('kicked', { ...kick, account });
+    });
+
+    proxy.on('radar', (radar) => {
+      this.io.emit('radar', { ...radar, account });
+    });
+
+    proxy.on('playerEnter', (contact) => {
+      this.io.emit('playerEnter', { ...contact, account });
+    });
+
+    proxy.on('playerLeave', (contact) => {
+      this.io.emit('playerLeave', { ...contact, account });
+    });
+
+    proxy.on('inventory', (inventory) => {
+      this.io.emit('inventory', { ...inventory, account });
+    });
+
+    proxy.on('players', (players) => {
+      this.io.emit('players', { ...players, account });
+    });
+
+    proxy.on('watchedPlayer', (event) => {
+      this.io.emit('watchedPlayer', { ...event, account });
+    });
+
+    proxy.on('watchlist', (names) => {
+      this.io.emit('watchlist', { account, names });
+    });
+
+    proxy.on('death', (death) => {
+      this.io.emit('death', { ...death, account });
+    });
+
+    proxy.on('noFood', (info) => {
+      this.io.emit('noFood', { ...info, account });
+    });
+
+    proxy.on('panic', (panic) => {
+      this.io.emit('panic', { ...panic, account });
+    });
+
+    proxy.on('whisper', (whisper) => {
+      this.io.emit('whisper', { ...whisper, account });
     });
 
-    this.proxy.on('queueFinished', () => {
-      this.io.emit('queueFinished');
+    proxy.on('chatAlert', (alert) => {
+      this.io.emit('chatAlert', { ...alert, account });
     });
 
-    this.proxy.on('stopped', () => {
-      this.io.emit('stopped');
+    proxy.on('chatAlertRules', (rules) => {
+      this.io.emit('chatAlerts', { account, rules });
     });
   }
 
@@ -0,0 +1,204 @@
+// src/whisper-control.js - Remote control through in-game whispers
+// While the bot idles on the server after the queue, friends can whisper it
+// proxy commands ("/msg Bot !status", "!stop", "!say hi"). Only senders on the
+// trusted list (names or UUIDs) get through, and only the allowed commands
+// run; they go through the shared command registry (see commands.js) and the
+// answer is whispered back. Every attempt is appended to whispers.log in the
+// account's data folder. Untrusted senders get a refusal, and after
+// rateLimit refusals in RATE_WINDOW they are ignored.
+//
+// Whispers arrive as player_chat / profileless_chat with the
+// msg_command_incoming chat type on vanilla-style servers, or as system
+// messages ("Name whispers: text") on servers that format them themselves;
+// the latter are matched with a configurable pattern.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { extractChatText } = require('./chat-component');
+
+const DEFAULT_PATTERN = '^(\\w{3,16}) whispers(?: to you)?: (.+)$';
+const RATE_WINDOW = 10 * 60 * 1000;
+const MAX_CHAT = 256; // Server limit for one chat packet
+
+/** Internal: UUIDs compare without dashes, case-insensitive */
+function normalizeUuid(uuid) {
+  return String(uuid || '').replace(/-/g, '').toLowerCase();
+}
+
+/** Internal: whether a chat type holder is the "incoming private message" type */
+function isIncomingWhisper(type, chatTypes) {
+  if (!type) return false;
+  if (type.chatType != null) return /msg_command_incoming$/.test(chatTypes[type.chatType] || '');
+  return type.data?.chat?.translationKey === 'commands.message.display.incoming';
+}
+
+/**
+ * Recognize an incoming whisper.
+ * @param {string} name - Packet name
+ * @param {object} data - Parsed packet
+ * @param {object} [options]
+ * @param {string[]} [options.chatTypes] - chat_type registry keys in registry order
+ * @param {RegExp} [options.pattern] - System message format: group 1 sender, group 2 text
+ * @returns {{ sender: string, uuid: string|null, message: string }|null}
+ */
+function parseWhisper(name, data, { chatTypes = [], pattern = new RegExp(DEFAULT_PATTERN, 'i') } = {}) {
+  switch (name) {
+    case 'player_chat':
+      if (!isIncomingWhisper(data.type, chatTypes)) return null;
+      return {
+        sender: extractChatText(data.networkName).trim(),
+        uuid: data.senderUuid || null,
+        message: String(data.plainMessage ?? '').trim(),
+      };
+    case 'profileless_chat':
+      if (!isIncomingWhisper(data.type, chatTypes)) return null;
+      return { sender: extractChatText(data.name).trim(), uuid: null, message: extractChatText(data.message).trim() };
+    case 'system_chat': {
+      if (data.isActionBar) return null;
+      const match = pattern.exec(extractChatText(data.content).trim());
+      return match ? { sender: match[1], uuid: null, message: match[2].trim() } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+class WhisperControl {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot receives the whispers
+   * @param {object} [options] - Defaults to config.whispers
+   * @param {boolean} [options.enabled]
+   * @param {string[]} [options.trusted] - Player names and/or UUIDs
+   * @param {string} [options.prefix] - Whispers starting with this are commands
+   * @param {string[]} [options.commands] - Commands trusted players may run
+   * @param {boolean} [options.rejectReply] - Tell untrusted senders they were refused
+   * @param {number} [options.rateLimit] - Refusals per sender per 10 minutes before ignoring them (0 = no limit)
+   * @param {string} [options.pattern] - Regex for whispers sent as system messages
+   */
+  constructor(proxy, options = config.whispers) {
+    this.proxy = proxy;
+    this.options = {
+      enabled: false,
+      trusted: [],
+      prefix: '!',
+      commands: ['help', 'status', 'stats', 'stop', 'say'],
+      rejectReply: true,
+      rateLimit: 3,
+      pattern: DEFAULT_PATTERN,
+      ...options,
+    };
+    this.pattern = new RegExp(this.options.pattern || DEFAULT_PATTERN, 'i');
+    this.auditPath = path.join(proxy.account.dataDir, 'whispers.log');
+    this.refusals = new Map(); // lowercase sender -> refusal timestamps
+  }
+
+  /** Whether a whisper's sender is on the trusted list */
+  isTrusted({ sender, uuid }) {
+    const name = String(sender || '').toLowerCase();
+    const id = normalizeUuid(uuid);
+    return this.options.trusted.some((entry) => {
+      const value = normalizeUuid(entry);
+      if (/^[0-9a-f]{32}$/.test(value)) return !!id && value === id;
+      return value === name;
+    });
+  }
+
+  /**
+   * Recognize a whisper to the bot, using the server's chat types.
+   * @returns {{ sender: string, uuid: string|null, message: string }|null}
+   */
+  parse(name, data) {
+    const chatTypes = (this.proxy._realRegistryData?.['minecraft:chat_type']?.entries || []).map((e) => e.key);
+    const whisper = parseWhisper(name, data, { chatTypes, pattern: this.pattern });
+    if (!whisper || !whisper.sender) return null;
+    // System-message whispers carry no UUID; the tab list knows it
+    whisper.uuid = whisper.uuid || this.proxy.conn?.bot?.players?.[whisper.sender]?.uuid || null;
+    return whisper;
+  }
+
+  /**
+   * Look at a packet from the server (after the queue).
+   * @returns {boolean} Whether it was a whisper command
+   */
+  handlePacket(name, data, now = Date.now()) {
+    if (!this.options.enabled) return false;
+    const whisper = this.parse(name, data);
+    if (!whisper || !whisper.message.startsWith(this.options.prefix)) return false;
+    const line = whisper.message.slice(this.options.prefix.length).trim();
+
+    if (!this.isTrusted(whisper)) {
+      this._refuse(whisper, line, now);
+      return true;
+    }
+    if (this.proxy.proxyClient) {
+      // The connected player sees the whisper and can answer themselves
+      this._audit(whisper, line, 'ignored (player connected)');
+      return true;
+    }
+
+    const lines = [];
+    if (this.proxy.listenerCount('whisperCommand') === 0) {
+      lines.push('Remote commands are not available');
+    } else {
+      this.proxy.emit('whisperCommand', {
+        line,
+        sender: whisper.sender,
+        commands: this.options.commands,
+        reply: (text) => lines.push(text.trim()),
+      });
+    }
+    this.proxy._log(`Whisper command from ${whisper.sender}: ${line}`);
+    this._audit(whisper, line, 'ran', lines);
+    this.reply(whisper.sender, lines.filter(Boolean).join(' | ') || 'Done');
+    return true;
+  }
+
+  /** Internal: turn away an untrusted sender (quietly once they keep trying) */
+  _refuse(whisper, line, now) {
+    const key = whisper.sender.toLowerCase();
+    const recent = (this.refusals.get(key) || []).filter((t) => now - t < RATE_WINDOW);
+    const limited = this.options.rateLimit > 0 && recent.length >= this.options.rateLimit;
+    if (!limited) recent.push(now);
+    this.refusals.set(key, recent);
+
+    this._audit(whisper, line, limited ? 'rate-limited' : 'rejected');
+    if (limited) return;
+    this.proxy._log(`Rejected whisper command from untrusted ${whisper.sender}: ${line}`, 'warn');
+    if (this.options.rejectReply) this.reply(whisper.sender, 'You are not allowed to control this bot');
+  }
+
+  /** Whisper a player through the bot, cut to fit one chat message */
+  reply(sender, text) {
+    const command = `/msg ${sender} `;
+    const room = MAX_CHAT - command.length;
+    const body = text.length > room ? `${text.slice(0, room - 3)}...` : text;
+    try {
+      this.proxy.sendChat(command + body);
+    } catch (err) {
+      this.proxy._log(`Could not answer ${sender}: ${err.message}`, 'warn');
+    }
+  }
+
+  /** Internal: append one line to the audit log */
+  _audit(whisper, command, outcome, reply) {
+    const entry = {
+      time: new Date().toISOString(),
+      sender: whisper.sender,
+      uuid: whisper.uuid,
+      command,
+      outcome,
+    };
+    if (reply) entry.reply = reply;
+    try {
+      fs.mkdirSync(path.dirname(this.auditPath), { recursive: true });
+      fs.appendFileSync(this.auditPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+    } catch (err) {
+      this.proxy._log(`Whisper audit: failed to write – ${err.message}`, 'warn');
+    }
+  }
+}
+
+WhisperControl.parseWhisper = parseWhisper;
+
+module.exports = WhisperControl;
@@ -0,0 +1,157 @@
+// src/world-status.js - Where the bot is and what the world around it looks like
+// While the bot is on the server, a snapshot of its surroundings is taken
+// every `interval` ms and put into the state as `world` (only when something
+// changed, so a bot standing still doesn't flood the dashboard):
+// coordinates, dimension, facing, the block under its feet, biome, time of
+// day and weather.
+//
+// A position sample is also kept every HISTORY_EVERY for the session, so the
+// drift from where the bot first stood is visible (anti-AFK should keep it
+// within a couple of blocks; anything more means it's being pushed around).
+
+const config = require('./config');
+
+const HISTORY_EVERY = 60 * 1000;
+const HISTORY_LIMIT = 1440; // 24h of samples
+const COMPASS = ['south', 'west', 'north', 'east'];
+
+/** Internal: one decimal */
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** Internal: mineflayer radians -> Minecraft's F3 degrees */
+function toMinecraftAngles(yaw, pitch) {
+  let mcYaw = ((Math.PI - yaw) * 180) / Math.PI;
+  mcYaw = ((((mcYaw + 180) % 360) + 360) % 360) - 180;
+  return { yaw: round1(mcYaw), pitch: round1((-pitch * 180) / Math.PI) };
+}
+
+/** Internal: ticks (0-23999) -> in-game clock "HH:MM" (tick 0 is 06:00) */
+function clock(timeOfDay) {
+  const t = (timeOfDay + 6000) % 24000;
+  const hours = Math.floor(t / 1000);
+  const minutes = Math.floor(((t % 1000) * 60) / 1000);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Read the bot's surroundings.
+ * @param {import('mineflayer').Bot} bot
+ * @returns {object|null} null until the bot has spawned
+ */
+function snapshot(bot) {
+  const entity = bot?.entity;
+  if (!entity?.position) return null;
+  const pos = entity.position;
+  const { yaw, pitch } = toMinecraftAngles(entity.yaw || 0, entity.pitch || 0);
+  const at = (dy) => {
+    try {
+      return bot.blockAt(pos.offset(0, dy, 0)) || null;
+    } catch {
+      return null;
+    }
+  };
+  const feet = at(0);
+  const below = at(-1);
+  const timeOfDay = bot.time?.timeOfDay;
+
+  let weather = 'clear';
+  if (bot.thunderState > 0) weather = 'thunder';
+  else if (bot.isRaining) weather = 'rain';
+
+  return {
+    position: { x: round1(pos.x), y: round1(pos.y), z: round1(pos.z) },
+    dimension: bot.game?.dimension || null,
+    yaw,
+    pitch,
+    facing: COMPASS[Math.round(((yaw % 360) + 360) % 360 / 90) % 4],
+    standingOn: below?.name || null,
+    biome: feet?.biome?.name || below?.biome?.name || null,
+    day: bot.time?.day ?? null,
+    timeOfDay: timeOfDay ?? null,
+    clock: timeOfDay != null ? clock(timeOfDay) : null,
+    isDay: bot.time?.isDay ?? null,
+    weather,
+  };
+}
+
+class WorldStatus {
+  /**
+   * @param {import('./proxy')} proxy - Proxy manager whose bot is watched
+   * @param {object} [options] - Defaults to config.world
+   * @param {number} [options.interval] - Snapshot interval (ms)
+   */
+  constructor(proxy, options = config.world) {
+    this.proxy = proxy;
+    this.options = { interval: 5000, ...options };
+    this.bot = null;
+    this.timer = null;
+    this.current = null;
+    this.history = []; // { time, x, y, z, dimension }
+    this.lastSampleAt = -Infinity;
+  }
+
+  /** Start watching a bot that just got through the queue */
+  attach(bot) {
+    this.detach();
+    if (!bot) return;
+    this.bot = bot;
+    this.history = [];
+    this.lastSampleAt = -Infinity;
+    this.update();
+    this.timer = setInterval(() => this.update(), this.options.interval);
+  }
+
+  /** Stop watching (disconnected or stopped) */
+  detach() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.bot = null;
+    if (this.current) {
+      this.current = null;
+      this.proxy._updateState({ world: null });
+    }
+  }
+
+  /** Take a snapshot; update the state if anything changed */
+  update(now = Date.now()) {
+    const snap = snapshot(this.bot);
+    if (!snap) return null;
+
+    if (now - this.lastSampleAt >= HISTORY_EVERY) {
+      this.lastSampleAt = now;
+      this.history.push({ time: new Date(now).toISOString(), ...snap.position, dimension: snap.dimension });
+      if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    }
+    snap.drift = this.drift();
+
+    if (JSON.stringify(snap) !== JSON.stringify(this.current)) {
+      this.current = snap;
+      this.proxy._updateState({ world: snap });
+    }
+    return snap;
+  }
+
+  /**
+   * Horizontal distance between the first sample of this session and now
+   * (same dimension only).
+   * @returns {{ blocks: number, since: string }|null}
+   */
+  drift() {
+    const first = this.history[0];
+    const last = this.history[this.history.length - 1];
+    const pos = this.bot?.entity?.position || last;
+    if (!first || !pos || last.dimension !== first.dimension) return null;
+    return { blocks: round1(Math.hypot(pos.x - first.x, pos.z - first.z)), since: first.time };
+  }
+
+  /** Current snapshot plus position history (for /api/world) */
+  status() {
+    return { ...(this.current || {}), history: this.history.slice() };
+  }
+}
+
+WorldStatus.snapshot = snapshot;
+
+module.exports = WorldStatus;
@@ -3,6 +3,7 @@
 const http = require('http');
 const path = require('path');
 const { EventEmitter } = require('events');
+const nbt = require('prismarine-nbt');
 
 // Set test environment variables BEFORE requiring config
 process.env.MC_EMAIL = 'test@test.com';
@@ -25,6 +26,31 @@ process.env.DESKTOP_NOTIFY = 'false';
 const config = require('../src/config');
 const AntiAFK = require('../src/antiafk');
 const ETALearner = require('../src/eta-learner');
+const AccountManager = require('../src/accounts');
+const Limbo = require('../src/limbo');
+const DeadlinePlanner = require('../src/deadline');
+const Scheduler = require('../src/scheduler');
+const { extractChatText, toAnsi, toHtml, toMarkdown, escapeMarkdown } = require('../src/chat-component');
+const { createQueueDetector } = require('../src/queue-detectors');
+const QueueSimulator = require('../src/simulator');
+const { PacketCapture, readCapture, replayToClient } = require('../src/capture');
+const ReconnectPolicy = require('../src/reconnect-policy');
+const { classifyKick } = require('../src/kick-classifier');
+const { parseRestartNotice } = require('../src/restart-notice');
+const QueueWatchdog = require('../src/watchdog');
+const ChatHistory = require('../src/chat-history');
+const CommandHandler = require('../src/commands');
+const CommandRegistry = require('../src/command-registry');
+const WhisperControl = require('../src/whisper-control');
+const AfkInbox = require('../src/afk-inbox');
+const ChatWatcher = require('../src/chat-watcher');
+const SafetyGuard = require('../src/safety');
+const AutoEat = require('../src/auto-eat');
+const DeathHandler = require('../src/death-handler');
+const WorldStatus = require('../src/world-status');
+const Radar = require('../src/radar');
+const BotInventory = require('../src/inventory');
+const PlayerTracker = require('../src/player-tracker');
 
 let passed = 0;
 let failed = 0;
@@ -110,6 +136,46 @@ test('config boolean defaults work correctly', () => {
   assertEqual(config.joinOnStart, false);
 });
 
+test('config derives a single default account without ACCOUNTS', () => {
+  assertEqual(config.accounts.length, 1);
+  assertEqual(config.accounts[0].id, 'main');
+  assertEqual(config.accounts[0].email, 'test@test.com');
+  assertEqual(config.accounts[0].proxyPort, 52157);
+  assertEqual(config.accounts[0].profilesFolder, config.mc.profilesFolder);
+});
+
+test('per-account variable names replace anything but letters and digits', () => {
+  assertEqual(config.accountEnvKey('alt-1', 'EMAIL'), 'ACCOUNT_ALT_1_EMAIL');
+  assertEqual(config.accountEnvKey('main', 'PROXY_PORT'), 'ACCOUNT_MAIN_PROXY_PORT');
+});
+
+// --- AccountManager Tests ---
+console.log('\n\x1b[36m  AccountManager Module\x1b[0m');
+
+function mockAccountProxy(id) {
+  const proxy = new EventEmitter();
+  proxy.account = { id };
+  proxy.getState = () => ({ account: id, username: null, doing: 'idle', isInQueue: false, queuePlace: 'None', eta: 'None', proxyAddress: 'localhost:1' });
+  return proxy;
+}
+
+test('AccountManager resolves default and named accounts', () => {
+  const accounts = new AccountManager([mockAccountProxy('main'), mockAccountProxy('alt')]);
+  assertEqual(accounts.get().account.id, 'main');
+  assertEqual(accounts.get('ALT').account.id, 'alt');
+  assertEqual(accounts.get('nope'), null);
+  assert(accounts.isMulti(), 'Two accounts should be multi');
+});
+
+test('AccountManager lists account summaries', () => {
+  const accounts = new AccountManager([mockAccountProxy('main'), mockAccountProxy('alt')]);
+  const list = accounts.list();
+  assertEqual(list.length, 2);
+  assertEqual(list[0].default, true);
+  assertEqual(list[1].id, 'alt');
+  assertEqual(list[1].default, false);
+});
+
 // --- AntiAFK Tests ---
 console.log('\n\x1b[36m  AntiAFK Module\x1b[0m');
 
@@ -166,6 +232,42 @@ test('AntiAFK isActive reports correctly', () => {
   assertEqual(afk.isActive(), false);
 });
 
+test('AntiAFK pause releases controls and skips actions', () => {
+  const mockBot = new EventEmitter();
+  const controls = [];
+  mockBot.look = () => {};
+  mockBot.setControlState = (control, state) => controls.push(`${control}=${state}`);
+  mockBot.swingArm = () => {};
+
+  const afk = new AntiAFK(mockBot, { interval: 100000 });
+  afk.start();
+  afk.pause();
+  assertEqual(afk.paused, true);
+  assert(controls.includes('forward=false'), 'Controls should be released');
+  assertEqual(afk.isActive(), true);
+  afk.resume();
+  assertEqual(afk.paused, false);
+  afk.stop();
+});
+
+test('AntiAFK pauses are per owner and survive a restart', () => {
+  const mockBot = new EventEmitter();
+  mockBot.setControlState = () => {};
+  const afk = new AntiAFK(mockBot, { interval: 100000 });
+  afk.start();
+  afk.pause('eat');
+  afk.pause('death');
+  afk.resume('eat');
+  assertEqual(afk.paused, true, 'Still paused for the death');
+  // Toggled off and on again while dead
+  afk.stop();
+  afk.start();
+  assertEqual(afk.paused, true);
+  afk.resume('death');
+  assertEqual(afk.paused, false);
+  afk.stop();
+});
+
 test('AntiAFK records origin position on start', () => {
   const mockBot = new EventEmitter();
   mockBot.look = () => {};
@@ -310,13 +412,1195 @@ test('ETALearner caps sessions at MAX_SESSIONS', () => {
   assert(eta.sessions.length <= 200, 'Should not exceed 200 sessions');
 });
 
+// --- Limbo Tests ---
+console.log('\n\x1b[36m  Limbo Module\x1b[0m');
+
+function mockLimboClient() {
+  const client = new EventEmitter();
+  client.written = [];
+  client.write = (name, data) => client.written.push({ name, data });
+  return client;
+}
+
+const limboCodec = {
+  'minecraft:dimension_type': {
+    entries: [{ key: 'minecraft:overworld' }, { key: 'minecraft:overworld_caves' }, { key: 'minecraft:the_end' }],
+  },
+};
+
+test('Limbo spawns the client into the End void with a boss bar', () => {
+  const limbo = new Limbo();
+  const client = mockLimboClient();
+  limbo.hold(client, limboCodec, { doing: 'queue', queuePlace: 50, eta: '1h 0m' }, 100);
+
+  assert(limbo.has(client), 'Client should be held');
+  const names = client.written.map((p) => p.name);
+  assertEqual(names[0], 'login');
+  assertEqual(client.written[0].data.worldState.dimension, 2);
+  assertEqual(client.written[0].data.worldState.gamemode, 'spectator');
+  const bar = client.written.find((p) => p.name === 'boss_bar');
+  assertEqual(bar.data.action, 0);
+  assertEqual(bar.data.health, 0.5);
+});
+
+test('Limbo only re-sends the boss bar title when it changes', () => {
+  const limbo = new Limbo();
+  const client = mockLimboClient();
+  const state = { doing: 'queue', queuePlace: 50, eta: '1h 0m' };
+  limbo.hold(client, limboCodec, state, 100);
+  client.written = [];
+
+  limbo.update(state, 100);
+  assertEqual(client.written.filter((p) => p.data.action === 3).length, 0);
+
+  limbo.update({ ...state, queuePlace: 25 }, 100);
+  assertEqual(client.written.filter((p) => p.data.action === 3).length, 1);
+  assertEqual(client.written[client.written.length - 1].data.health, 0.75);
+});
+
+test('Limbo release removes the boss bar and forgets the client', () => {
+  const limbo = new Limbo();
+  const client = mockLimboClient();
+  limbo.hold(client, limboCodec, { doing: 'auth', queuePlace: 'None', eta: 'None' }, null);
+  limbo.release(client);
+
+  assertEqual(limbo.has(client), false);
+  assertEqual(client.written[client.written.length - 1].data.action, 1);
+});
+
+// --- DeadlinePlanner Tests ---
+console.log('\n\x1b[36m  DeadlinePlanner Module\x1b[0m');
+
+function mockPlannerProxy(tag) {
+  const proxy = new EventEmitter();
+  proxy.account = { id: 'main', dataDir: os.tmpdir() };
+  proxy.state = { isInQueue: false };
+  proxy.started = 0;
+  proxy.start = () => { proxy.started++; };
+  proxy._log = () => {};
+  proxy._updateState = (changes) => Object.assign(proxy.state, changes);
+  proxy.queueData = { place: [400, 600], factor: [0.9999, 0.9999] };
+  proxy.etaLearner = new ETALearner(path.join(os.tmpdir(), `2b2t-deadline-eta-${tag}-${Date.now()}.json`));
+  // 500 in queue ≈ 300 minutes in the base model
+  proxy._getWaitTime = (length, pos) => (pos === 0 ? length * 36 : 0);
+  return proxy;
+}
+
+test('parseDeadline resolves HH:MM to the next occurrence', () => {
+  const now = new Date(2026, 0, 5, 20, 0);
+  const later = DeadlinePlanner.parseDeadline('21:30', now);
+  assertEqual(later.getDate(), 5);
+  assertEqual(later.getHours(), 21);
+  const tomorrow = DeadlinePlanner.parseDeadline('19:00', now);
+  assertEqual(tomorrow.getDate(), 6);
+  assertEqual(DeadlinePlanner.parseDeadline('25:00', now), null);
+  assertEqual(DeadlinePlanner.parseDeadline('soon', now), null);
+});
+
+test('DeadlinePlanner works backwards from the deadline', () => {
+  const proxy = mockPlannerProxy('plan');
+  const planner = new DeadlinePlanner(proxy, path.join(os.tmpdir(), `2b2t-deadline-${Date.now()}-a.json`));
+  const deadline = new Date(Date.now() + 24 * 3600000);
+  const plan = planner.computePlan(deadline);
+  assertEqual(plan.queueLength, 500);
+  assertEqual(plan.waitMinutes, 300);
+  // 300 min wait + 15 min default margin
+  assertEqual(deadline - plan.startAt, 315 * 60000);
+});
+
+test('DeadlinePlanner starts earlier when history says the queue is slow', () => {
+  const proxy = mockPlannerProxy('slow');
+  for (let i = 0; i < 20; i++) {
+    for (let h = 0; h < 24; h++) {
+      proxy.etaLearner.sessions.push({
+        startPos: 500, startTimeMs: Date.now() - i * 86400000, endTimeMs: Date.now(),
+        durationMs: 0, dayOfWeek: (i % 7), startHour: h, positionsPerHour: 50,
+      });
+    }
+  }
+  const planner = new DeadlinePlanner(proxy, path.join(os.tmpdir(), `2b2t-deadline-${Date.now()}-b.json`));
+  const plan = planner.computePlan(new Date(Date.now() + 48 * 3600000));
+  assert(plan.waitMinutes > 300, `Wait (${plan.waitMinutes}) should exceed the base model when history is slow`);
+});
+
+test('DeadlinePlanner persists and starts the queue when due', () => {
+  const file = path.join(os.tmpdir(), `2b2t-deadline-${Date.now()}-c.json`);
+  const proxy = mockPlannerProxy('fire');
+  const planner = new DeadlinePlanner(proxy, file);
+
+  const far = planner.set(new Date(Date.now() + 24 * 3600000));
+  assert(far !== null, 'Far deadline should produce a plan');
+  assertEqual(proxy.started, 0);
+  assert(proxy.state.deadline, 'Plan should be exposed in state');
+  const saved = JSON.parse(require('fs').readFileSync(file, 'utf-8'));
+  assertEqual(saved.deadline, far.deadline);
+
+  // Only 10 minutes left: must start right away
+  const near = planner.set(new Date(Date.now() + 10 * 60000));
+  assertEqual(near, null);
+  assertEqual(proxy.started, 1);
+  assertEqual(proxy.state.deadline, null);
+  planner.shutdown();
+});
+
+// --- Scheduler Tests ---
+console.log('\n\x1b[36m  Scheduler Module\x1b[0m');
+
+function mockSchedulerProxy() {
+  const proxy = new EventEmitter();
+  proxy.account = { id: 'main', dataDir: os.tmpdir() };
+  proxy.state = { isInQueue: false, connected: false, doing: 'idle' };
+  proxy.calls = [];
+  proxy.logs = [];
+  proxy.start = () => { proxy.calls.push('start'); Object.assign(proxy.state, { isInQueue: true, doing: 'queue' }); };
+  proxy.stop = () => { proxy.calls.push('stop'); Object.assign(proxy.state, { isInQueue: false, doing: 'idle' }); };
+  proxy._log = (msg) => proxy.logs.push(msg);
+  return proxy;
+}
+
+test('parseCron matches weekday and step rules', () => {
+  const weekdays = Scheduler.parseCron('30 16 * * mon-fri');
+  assert(weekdays.matches(new Date(2026, 0, 5, 16, 30)), 'Monday 16:30 should match');
+  assert(!weekdays.matches(new Date(2026, 0, 4, 16, 30)), 'Sunday should not match');
+  assert(!weekdays.matches(new Date(2026, 0, 5, 16, 31)), '16:31 should not match');
+  const every15 = Scheduler.parseCron('*/15 * * * *');
+  assert(every15.matches(new Date(2026, 0, 5, 3, 45)), ':45 should match */15');
+  assert(Scheduler.parseCron('0 0 * * 7').matches(new Date(2026, 0, 4, 0, 0)), '7 should mean Sunday');
+});
+
+test('parseCron rejects invalid expressions', () => {
+  for (const expr of ['* * * *', '60 * * * *', '* 25 * * *', '5-1 * * * *', 'x * * * *']) {
+    let threw = false;
+    try { Scheduler.parseCron(expr); } catch { threw = true; }
+    assert(threw, `"${expr}" should be rejected`);
+  }
+});
+
+test('nextRun finds the next matching minute', () => {
+  const next = Scheduler.nextRun('0 2 * * *', new Date(2026, 0, 5, 23, 10));
+  assertEqual(next.getDate(), 6);
+  assertEqual(next.getHours(), 2);
+  assertEqual(next.getMinutes(), 0);
+});
+
+test('nextRun skips ahead by field and gives up on rules that never match', () => {
+  const from = new Date(2026, 2, 10, 12, 0);
+  const yearly = Scheduler.nextRun('30 4 1 1 *', from);
+  assertEqual(yearly.toString(), new Date(2027, 0, 1, 4, 30).toString());
+  const weekly = Scheduler.nextRun('45 7 * * sun', from);
+  assertEqual(weekly.toString(), new Date(2026, 2, 15, 7, 45).toString());
+  const started = Date.now();
+  assertEqual(Scheduler.nextRun('0 0 31 2 *', from), null);
+  assert(Date.now() - started < 50, 'An impossible rule should not walk every minute of the year');
+});
+
+test('Scheduler fires matching rules once and persists them', () => {
+  const file = path.join(os.tmpdir(), `2b2t-schedules-${Date.now()}.json`);
+  const proxy = mockSchedulerProxy();
+  const scheduler = new Scheduler(proxy, file);
+  scheduler.add({ action: 'start', cron: '30 16 * * 1-5' });
+  scheduler.add({ action: 'stop', cron: '0 2 * * *' });
+
+  scheduler.check(new Date(2026, 0, 5, 16, 30, 1));
+  scheduler.check(new Date(2026, 0, 5, 16, 30, 40)); // same minute: no second fire
+  scheduler.check(new Date(2026, 0, 6, 2, 0, 0));
+  assertEqual(proxy.calls.join(','), 'start,stop');
+  assert(proxy.logs.some((l) => l.includes('starting queue')), 'Fired rule should be logged');
+
+  scheduler.setEnabled('1', false);
+  scheduler.check(new Date(2026, 0, 6, 16, 30));
+  assertEqual(proxy.calls.length, 2);
+  scheduler.shutdown();
+
+  const reloaded = new Scheduler(mockSchedulerProxy(), file);
+  assertEqual(reloaded.rules.length, 2);
+  assertEqual(reloaded.rules[0].enabled, false);
+  assert(reloaded.remove('2'), 'Existing rule should be removable');
+  assert(!reloaded.remove('2'), 'Removed rule should be gone');
+  reloaded.shutdown();
+});
+
+test('a stop rule stops a pending reconnect, not only a running queue', () => {
+  const proxy = mockSchedulerProxy();
+  const scheduler = new Scheduler(proxy, path.join(os.tmpdir(), `2b2t-schedules-${Date.now()}-stop.json`));
+  scheduler.add({ action: 'stop', cron: '0 2 * * *' });
+  // Disconnected, waiting for the reconnect timer
+  Object.assign(proxy.state, { isInQueue: false, connected: false, doing: 'reconnecting' });
+  scheduler.check(new Date(2026, 0, 6, 2, 0, 0));
+  assertEqual(proxy.calls.join(), 'stop');
+  scheduler.check(new Date(2026, 0, 7, 2, 0, 0));
+  assertEqual(proxy.calls.join(), 'stop');
+  assert(proxy.logs.some((l) => l.includes('already stopped')), 'Idle proxy should be left alone');
+  scheduler.shutdown();
+});
+
+// --- Queue Detector Tests ---
+console.log('\n\x1b[36m  Queue Detectors\x1b[0m');
+
+test('extractChatText reads NBT, JSON and plain components', () => {
+  const nbtHeader = nbt.comp({
+    text: nbt.string('2b2t is full\n'),
+    extra: nbt.list(nbt.comp([{ text: nbt.string('Position in queue: ') }, { text: nbt.string('42') }])),
+  });
+  assertEqual(extractChatText(nbtHeader), '2b2t is full\nPosition in queue: 42');
+  assertEqual(extractChatText('{"text":"a","extra":[{"text":"b"}]}'), 'ab');
+  assertEqual(extractChatText('plain'), 'plain');
+});
+
+test('chat components fill in translations and legacy codes', () => {
+  const whisper = nbt.comp({
+    translate: nbt.string('commands.message.display.incoming'),
+    with: nbt.list(nbt.comp([{ text: nbt.string('Steve') }, { text: nbt.string('hi') }])),
+  });
+  assertEqual(extractChatText(whisper), 'Steve whispers to you: hi');
+  assertEqual(extractChatText({ translate: 'some.custom.key', with: ['a', 'b'] }), 'some.custom.key a b');
+  assertEqual(extractChatText({ translate: '%2$s then %1$s', fallback: '%2$s then %1$s', with: ['x', 'y'] }), 'y then x');
+  assertEqual(extractChatText('§6[§cSERVER§6]§r hello'), '[SERVER] hello');
+});
+
+test('chat components render to ANSI, HTML and markdown', () => {
+  const msg = {
+    text: '',
+    extra: [
+      { text: 'Steve', color: 'gold', bold: true, hoverEvent: { action: 'show_text', contents: 'Rank: <Admin>' } },
+      { text: ' <b>hi</b> ' },
+      { text: 'site', clickEvent: { action: 'open_url', value: 'https://2b2t.org' } },
+      { text: 'bad', color: '"><script>', clickEvent: { action: 'open_url', value: 'javascript:alert(1)' } },
+    ],
+  };
+  assertEqual(toAnsi(msg), '\x1b[33;1mSteve\x1b[0m <b>hi</b> \x1b[4msite\x1b[0mbad');
+  assertEqual(
+    toHtml(msg),
+    '<span style="color:#FFAA00;font-weight:bold" title="Rank: &lt;Admin&gt;">Steve</span> &lt;b&gt;hi&lt;/b&gt; ' +
+    '<a href="https://2b2t.org" target="_blank" rel="noopener noreferrer nofollow">site</a>bad'
+  );
+  assertEqual(toMarkdown(msg), '**Steve** <b\\>hi</b\\> [site](https://2b2t.org)bad');
+});
+
+test('plain text is escaped for Discord markdown', () => {
+  assertEqual(escapeMarkdown('Not_A_Name'), 'Not\\_A\\_Name');
+  assertEqual(escapeMarkdown('**hi** [x](y) `z`'), '\\*\\*hi\\*\\* \\[x\\](y) \\`z\\`');
+});
+
+test('2b2t detector tracks position and completion', () => {
+  const detector = createQueueDetector({ detector: '2b2t' });
+  const header = (str) => ({ header: nbt.comp({ text: nbt.string(str) }) });
+  assertEqual(detector.handlePacket('playerlist_header', header('2b2t is full')), null);
+  assertEqual(detector.handlePacket('playerlist_header', header('Position in queue: 120')).position, 120);
+  assertEqual(detector.handlePacket('system_chat', { content: nbt.comp({ text: nbt.string('Queued for server main') }) }).type, 'info');
+  assertEqual(detector.handlePacket('system_chat', { content: nbt.comp({ text: nbt.string('Connected to the server.') }) }).type, 'finished');
+
+  const vanished = detector.handlePacket('playerlist_header', header('Welcome to 2b2t'));
+  assertEqual(vanished.type, 'finished');
+  assertEqual(vanished.inferred, true);
+  detector.reset();
+  assertEqual(detector.handlePacket('playerlist_header', header('Welcome to 2b2t')), null);
+});
+
+test('generic detector reads a configured boss bar', () => {
+  const detector = createQueueDetector({
+    detector: 'generic',
+    source: 'bossbar',
+    positionRegex: 'queue position #([\\d,]+)',
+    finishedRegex: 'sending you to',
+  });
+  const bar = { entityUUID: 'a', action: 0, title: nbt.comp({ text: nbt.string('Queue position #1,204') }) };
+  assertEqual(detector.handlePacket('boss_bar', bar).position, 1204);
+  // Position in chat is ignored, completion text is matched anywhere
+  assertEqual(detector.handlePacket('system_chat', { content: nbt.comp({ text: nbt.string('queue position #5') }) }), null);
+  assertEqual(detector.handlePacket('action_bar', { text: nbt.comp({ text: nbt.string('Sending you to survival') }) }).type, 'finished');
+  assertEqual(detector.handlePacket('boss_bar', { entityUUID: 'b', action: 1 }), null);
+  assertEqual(detector.handlePacket('boss_bar', { entityUUID: 'a', action: 1 }).type, 'finished');
+});
+
+test('createQueueDetector rejects bad settings', () => {
+  for (const options of [
+    { detector: 'nope' },
+    { detector: 'generic', source: 'sky', positionRegex: '(\\d+)' },
+    { detector: 'generic', source: 'tab', positionRegex: '(' },
+  ]) {
+    let threw = false;
+    try { createQueueDetector(options); } catch { threw = true; }
+    assert(threw, `Should reject ${JSON.stringify(options)}`);
+  }
+});
+
+// --- ReconnectPolicy Tests ---
+console.log('\n\x1b[36m  ReconnectPolicy Module\x1b[0m');
+
+const policyOptions = {
+  baseDelay: 5000, maxDelay: 60000, multiplier: 2, jitter: 0, maxAttempts: 3, cooldown: 600000, random: () => 0.5,
+};
+
+test('backoff doubles per attempt and is capped', () => {
+  const policy = new ReconnectPolicy({ ...policyOptions, maxAttempts: 0 });
+  const delays = [1, 2, 3, 4, 5].map(() => policy.next('Connection reset', 0).delay);
+  assertEqual(delays.join(','), '5000,10000,20000,40000,60000');
+  assertEqual(policy.status().attempt, 5);
+  assertEqual(policy.status().nextAt, new Date(60000).toISOString());
+  policy.reset();
+  assertEqual(policy.status(), null);
+});
+
+test('throttle and restart kicks start with a longer delay', () => {
+  assertEqual(new ReconnectPolicy(policyOptions).next('Connection throttled! Please wait before reconnecting.').delay, 60000);
+  assertEqual(ReconnectPolicy.reasonKind('Server restarting'), 'restart');
+  assertEqual(ReconnectPolicy.reasonKind('read ECONNRESET'), 'default');
+  // Jitter stays within the configured spread
+  const jittery = new ReconnectPolicy({ ...policyOptions, jitter: 0.2, random: () => 0 });
+  assertEqual(jittery.next('', 0).delay, 4000);
+});
+
+test('circuit opens after maxAttempts and probes once after the cooldown', () => {
+  const policy = new ReconnectPolicy(policyOptions);
+  for (let i = 0; i < 3; i++) policy.next('timeout', 0);
+  const open = policy.next('timeout', 0);
+  assertEqual(open.circuit, 'open');
+  assertEqual(open.delay, 600000);
+  policy.fire();
+  assertEqual(policy.status().circuit, 'half-open');
+  assertEqual(policy.status().nextAt, null);
+  // Failed probe goes straight back to open
+  assertEqual(policy.next('timeout', 0).circuit, 'open');
+  policy.fire();
+  policy.reset();
+  assertEqual(policy.next('timeout', 0).delay, 5000);
+});
+
+// --- Kick Classifier Tests ---
+console.log('\n\x1b[36m  Kick Classifier\x1b[0m');
+
+test('classifies common kick messages', () => {
+  const cases = {
+    'Server restarting': 'restart',
+    'Connection throttled! Please wait before reconnecting.': 'throttled',
+    'You are already connected to this proxy!': 'already-connected',
+    'You are banned from this server.': 'banned',
+    'Failed to verify username!': 'auth',
+    'read ECONNRESET': 'network',
+    'You have been idle for too long': 'idle',
+    'Something odd happened': 'unknown',
+  };
+  for (const [text, category] of Object.entries(cases)) {
+    assertEqual(classifyKick(text).category, category, `"${text}" should be ${category}`);
+  }
+});
+
+test('classifies chat components and socket errors', () => {
+  const component = nbt.comp({ translate: nbt.string('multiplayer.disconnect.duplicate_login') });
+  assertEqual(classifyKick(component).category, 'already-connected');
+  assertEqual(classifyKick(JSON.stringify({ text: 'Invalid session (Try restarting your game)' })).category, 'auth');
+  const err = Object.assign(new Error('connect refused'), { code: 'ECONNREFUSED' });
+  assertEqual(classifyKick(err).category, 'network');
+});
+
+test('each category carries a reaction', () => {
+  assertEqual(classifyKick('You are banned').action, 'stop');
+  assert(classifyKick('You are banned').alert, 'Bans should alert');
+  assertEqual(classifyKick('Connection throttled!').action, 'backoff');
+  assertEqual(classifyKick('Connection reset').action, 'retry');
+  assertEqual(classifyKick('').category, 'unknown');
+});
+
+test('authentication server outages back off instead of stopping', () => {
+  const outage = classifyKick('Authentication servers are down. Please try again later, sorry!');
+  assertEqual(outage.category, 'auth-outage');
+  assertEqual(outage.action, 'backoff');
+  assertEqual(classifyKick(nbt.comp({ translate: nbt.string('multiplayer.disconnect.authservers_down') })).action, 'backoff');
+  assertEqual(ReconnectPolicy.reasonKind('Authentication servers are down'), 'auth-outage');
+  // A bad session still stops
+  assertEqual(classifyKick('Invalid session (Try restarting your game)').action, 'stop');
+  assertEqual(classifyKick('multiplayer.disconnect.unverified_username').action, 'stop');
+});
+
+// --- Restart Notice Tests ---
+console.log('\n\x1b[36m  Restart Notices\x1b[0m');
+
+test('parses restart countdowns in different units', () => {
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  const notice = parseRestartNotice('[SERVER] Server restarting in 15 minutes...', now);
+  assertEqual(notice.in, 15 * 60000);
+  assertEqual(notice.at, now + 15 * 60000);
+  assertEqual(parseRestartNotice('Server restarting in 1 minute', now).in, 60000);
+  assertEqual(parseRestartNotice('SERVER RESTARTING IN 30 SECONDS', now).in, 30000);
+  assertEqual(parseRestartNotice('Restart in 2h', now).in, 2 * 3600000);
+});
+
+test('ignores other chat', () => {
+  assertEqual(parseRestartNotice('[SERVER] Server restarting...'), null);
+  assertEqual(parseRestartNotice('<Steve> server restarting in 5 minutes lol'), null);
+  assertEqual(parseRestartNotice('Position in queue: 5'), null);
+  assertEqual(parseRestartNotice(''), null);
+});
+
+// --- Watchdog Tests ---
+console.log('\n\x1b[36m  QueueWatchdog Module\x1b[0m');
+
+/** Minimal proxy stand-in that records what the watchdog does */
+function watchdogProxy(rate) {
+  const proxy = new EventEmitter();
+  proxy.state = {};
+  proxy.logs = [];
+  proxy.reconnects = [];
+  proxy.etaLearner = {
+    _getHistoricalRate: () => (rate ? { rate, effectiveSessions: 5 } : null),
+    _getLiveRate: () => null,
+  };
+  proxy._log = (msg) => proxy.logs.push(msg);
+  proxy._notify = () => {};
+  proxy._updateState = (changes) => Object.assign(proxy.state, changes);
+  proxy._forceReconnect = (reason) => proxy.reconnects.push(reason);
+  return proxy;
+}
+
+test('stall threshold follows the learned queue speed', () => {
+  const opts = { stallMinutes: 15, silenceSeconds: 120 };
+  // 60 positions/hr -> one a minute -> 10 minutes, below the 15 minute floor
+  assertEqual(new QueueWatchdog(watchdogProxy(60), opts).thresholdMs(), 15 * 60000);
+  // 20 positions/hr -> one every 3 minutes -> 30 minutes
+  assertEqual(new QueueWatchdog(watchdogProxy(20), opts).thresholdMs(), 30 * 60000);
+  assertEqual(new QueueWatchdog(watchdogProxy(null), opts).thresholdMs(), 15 * 60000);
+});
+
+test('frozen position is flagged once and clears when it moves', () => {
+  const proxy = watchdogProxy(20);
+  const dog = new QueueWatchdog(proxy, { stallMinutes: 15, silenceSeconds: 120, reconnect: true });
+  let stalled = 0;
+  proxy.on('queueStalled', () => stalled++);
+  const t0 = Date.now();
+  dog._reset(t0);
+  dog.notePosition(500, t0);
+  for (let min = 1; min <= 40; min++) {
+    dog.notePacket(t0 + min * 60000);
+    dog.notePosition(500, t0 + min * 60000);
+    dog.check(t0 + min * 60000);
+  }
+  assertEqual(stalled, 1);
+  assertEqual(proxy.reconnects.length, 1);
+  assertEqual(proxy.state.stall.position, 500);
+  assertEqual(proxy.state.stall.frozenMinutes, 40);
+  dog.notePosition(499, t0 + 41 * 60000);
+  assertEqual(dog.check(t0 + 41 * 60000), null);
+  assertEqual(proxy.state.stall, null);
+});
+
+test('silent connection is flagged before any position', () => {
+  const proxy = watchdogProxy(null);
+  const dog = new QueueWatchdog(proxy, { stallMinutes: 15, silenceSeconds: 120 });
+  const t0 = Date.now();
+  dog._reset(t0);
+  assertEqual(dog.check(t0 + 60000), null);
+  const stall = dog.check(t0 + 180000);
+  assert(stall && /no packets/.test(stall.reason), 'Should report silence');
+  assertEqual(proxy.reconnects.length, 0);
+});
+
+test('nothing fires before the connection is up', () => {
+  const proxy = watchdogProxy(null);
+  const dog = new QueueWatchdog(proxy, { stallMinutes: 15, silenceSeconds: 120, reconnect: true });
+  let stalled = 0;
+  proxy.on('queueStalled', () => stalled++);
+  dog.start();
+  try {
+    // A slow device-code sign-in: no packets for ten minutes
+    const t0 = Date.now();
+    assertEqual(dog.check(t0 + 10 * 60000), null);
+    assertEqual(stalled, 0);
+    assertEqual(proxy.reconnects.length, 0);
+    // Signed in: silence counts from here
+    dog.arm(t0 + 10 * 60000);
+    assertEqual(dog.check(t0 + 11 * 60000), null);
+    assert(dog.check(t0 + 13 * 60000), 'Silence after sign-in should count');
+    assertEqual(stalled, 1);
+  } finally {
+    dog.stop();
+  }
+});
+
+// --- ChatHistory Tests ---
+console.log('\n\x1b[36m  ChatHistory Module\x1b[0m');
+
+test('reads chat, system and player chat packets', () => {
+  const sys = ChatHistory.chatEntry('system_chat', { content: nbt.comp({ text: nbt.string('Welcome') }), isActionBar: false });
+  assertEqual(sys.type, 'system');
+  assertEqual(sys.text, 'Welcome');
+  assertEqual(ChatHistory.chatEntry('system_chat', { content: nbt.comp({ text: nbt.string('hp') }), isActionBar: true }), null);
+  const pl = ChatHistory.chatEntry('player_chat', { plainMessage: 'hi all', networkName: nbt.comp({ text: nbt.string('Steve') }) });
+  assertEqual(pl.sender, 'Steve');
+  assertEqual(pl.text, 'hi all');
+  const anon = ChatHistory.chatEntry('profileless_chat', { message: nbt.comp({ text: nbt.string('hello') }), name: nbt.comp({ text: nbt.string('Server') }) });
+  assertEqual(`${anon.sender}: ${anon.text}`, 'Server: hello');
+  assertEqual(ChatHistory.chatEntry('keep_alive', {}), null);
+});
+
+test('history is bounded and persisted', () => {
+  const file = path.join(os.tmpdir(), `2b2t-chat-test-${Date.now()}.json`);
+  const history = new ChatHistory(file, 3);
+  for (let i = 1; i <= 5; i++) history.add({ type: 'chat', sender: 'A', text: `msg ${i}` });
+  assertEqual(history.add({ type: 'chat', text: '   ' }), null);
+  assertEqual(history.list().map((m) => m.text).join(','), 'msg 3,msg 4,msg 5');
+  assertEqual(history.list({ limit: 1 })[0].text, 'msg 5');
+  assertEqual(history.list({ after: 4 }).length, 1);
+  history.flush();
+
+  const reloaded = new ChatHistory(file, 3);
+  assertEqual(reloaded.list().length, 3);
+  assertEqual(reloaded.add({ type: 'system', text: 'next' }).id, 6);
+  reloaded.flush();
+  require('fs').unlinkSync(file);
+});
+
+// --- CommandRegistry Tests ---
+console.log('\n\x1b[36m  CommandRegistry Module\x1b[0m');
+
+test('registry parses arguments against the schema', () => {
+  const proxy = mockAccountProxy('main');
+  const registry = new CommandRegistry(new AccountManager([proxy]), []);
+  registry.register({
+    name: 'echo',
+    aliases: ['e'],
+    description: 'Echo',
+    args: [{ name: 'times', type: 'number', required: true }, { name: 'text', type: 'text' }],
+    run: ({ args }) => ({ lines: [`${args.times}x ${args.text}`] }),
+  });
+  assertEqual(registry.get('echo').usage, 'echo <times> [text...]');
+  assertEqual(registry.runLine('E 2 Hello World').lines[0], '2x Hello World');
+  assertEqual(registry.run('echo', { times: '3', text: 'hi' }).lines[0], '3x hi');
+  for (const bad of ['echo', 'echo two', 'nope']) {
+    let error = null;
+    try { registry.runLine(bad); } catch (err) { error = err; }
+    assert(error instanceof CommandRegistry.CommandError, `"${bad}" should fail`);
+  }
+});
+
+test('registry enforces permissions and sources', () => {
+  const proxy = mockAccountProxy('main');
+  let started = 0;
+  proxy.start = () => { started++; proxy.emit('log', { message: 'Starting queue...' }); };
+  const registry = new CommandRegistry(new AccountManager([proxy]));
+  const status = (fn) => { try { fn(); return 200; } catch (err) { return err.status; } };
+  assertEqual(status(() => registry.runLine('start', { permission: 'read' })), 403);
+  assertEqual(started, 0);
+  const result = registry.runLine('start', { permission: 'control' });
+  assertEqual(started, 1);
+  assertEqual(result.logs.join(), 'Starting queue...');
+  assertEqual(status(() => registry.runLine('exit', { source: 'web', permission: 'admin' })), 400);
+  const visible = registry.list({ permission: 'read', source: 'discord' }).map((c) => c.name);
+  assert(visible.includes('status') && !visible.includes('stop') && !visible.includes('exit'), visible.join());
+});
+
+// --- CommandHandler Tests ---
+console.log('\n\x1b[36m  CommandHandler Module\x1b[0m');
+
+test('in-game commands run against the player\'s account', () => {
+  const main = mockAccountProxy('main');
+  const alt = mockAccountProxy('alt');
+  alt.getState = () => ({ doing: 'queue', queuePlace: 42, eta: '1h 5m', antiAfkActive: true, restartQueue: false });
+  new CommandHandler(new AccountManager([main, alt]));
+  const out = [];
+  alt.emit('ingameCommand', { line: 'status', reply: (text) => out.push(text) });
+  assert(out.includes('Position: 42'), `Unexpected output: ${out.join(' | ')}`);
+  assert(out.includes('Anti-AFK: Active'), 'Should report anti-AFK');
+});
+
+test('terminal-only commands are refused in-game', () => {
+  const proxy = mockAccountProxy('main');
+  const commands = new CommandHandler(new AccountManager([proxy, mockAccountProxy('alt')]));
+  const out = [];
+  const print = (text) => out.push(text);
+  commands.execute('use alt', { proxy, print, source: 'game', permission: 'control' });
+  commands.execute('exit', { proxy, print, source: 'game', permission: 'admin' });
+  commands.execute('bogus', { proxy, print, source: 'game' });
+  assertEqual(out.length, 3);
+  assert(out[0].includes('isn\'t available here'), out[0]);
+  assert(out[1].includes('isn\'t available here'), out[1]);
+  assert(out[2].includes('Unknown command'), out[2]);
+  assertEqual(commands.currentId, 'main');
+  commands.execute('use alt', { print });
+  assertEqual(commands.currentId, 'alt');
+});
+
+// --- WhisperControl Tests ---
+console.log('\n\x1b[36m  WhisperControl Module\x1b[0m');
+
+function whisperProxy() {
+  const proxy = mockAccountProxy('main');
+  proxy.account.dataDir = path.join(os.tmpdir(), `2b2t-whispers-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  proxy.sent = [];
+  proxy.logs = [];
+  proxy.sendChat = (text) => proxy.sent.push(text);
+  proxy._log = (message) => proxy.logs.push(message);
+  proxy._realRegistryData = {
+    'minecraft:chat_type': { entries: [{ key: 'minecraft:chat' }, { key: 'minecraft:msg_command_incoming' }] },
+  };
+  return proxy;
+}
+
+const systemWhisper = (text) => ({ content: nbt.comp({ text: nbt.string(text) }), isActionBar: false });
+
+test('parses whispers from system messages and chat types', () => {
+  const { parseWhisper } = WhisperControl;
+  const sys = parseWhisper('system_chat', systemWhisper('Alice whispers: !status'));
+  assertEqual(`${sys.sender}|${sys.message}`, 'Alice|!status');
+  assertEqual(parseWhisper('system_chat', systemWhisper('<Alice> whispers: !status')), null);
+  const chatTypes = ['minecraft:chat', 'minecraft:msg_command_incoming'];
+  const data = { senderUuid: 'abc', plainMessage: '!stats', type: { chatType: 1 }, networkName: nbt.comp({ text: nbt.string('Bob') }) };
+  assertEqual(parseWhisper('player_chat', data, { chatTypes }).sender, 'Bob');
+  assertEqual(parseWhisper('player_chat', { ...data, type: { chatType: 0 } }, { chatTypes }), null);
+});
+
+test('trusted whispers run allowed commands and get an answer', () => {
+  const proxy = whisperProxy();
+  proxy.getState = () => ({ doing: 'afk', queuePlace: 'None', eta: 'None' });
+  new CommandHandler(new AccountManager([proxy]));
+  const control = new WhisperControl(proxy, { enabled: true, trusted: ['alice', '069a79f4-44e9-4726-a5be-fca90e38aaf5'], commands: ['status'] });
+  assert(control.handlePacket('system_chat', systemWhisper('Alice whispers: !status')), 'Should handle command');
+  assert(proxy.sent[0].startsWith('/msg Alice Status: afk | Position: None'), proxy.sent[0]);
+  control.handlePacket('system_chat', systemWhisper('Alice whispers: !stop'));
+  assert(proxy.sent[1].includes('isn\'t allowed here'), proxy.sent[1]);
+  assert(control.isTrusted({ sender: 'Notch', uuid: '069A79F444E94726A5BEFCA90E38AAF5' }), 'UUIDs are trusted');
+  assertEqual(control.handlePacket('system_chat', systemWhisper('Alice whispers: hi there')), false);
+  const audit = require('fs').readFileSync(control.auditPath, 'utf-8').trim().split('\n').map(JSON.parse);
+  assertEqual(audit.length, 2);
+  assertEqual(audit[0].outcome, 'ran');
+  require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+test('untrusted whispers are refused, then rate-limited', () => {
+  const proxy = whisperProxy();
+  let ran = 0;
+  proxy.on('whisperCommand', () => ran++);
+  const control = new WhisperControl(proxy, { enabled: true, trusted: ['alice'], rateLimit: 2 });
+  for (let i = 0; i < 4; i++) control.handlePacket('system_chat', systemWhisper('Mallory whispers: !stop'), 1000 + i);
+  assertEqual(ran, 0);
+  assertEqual(proxy.sent.length, 2);
+  control.handlePacket('system_chat', systemWhisper('Mallory whispers: !stop'), 1000 + 11 * 60 * 1000);
+  assertEqual(proxy.sent.length, 3);
+  const outcomes = require('fs').readFileSync(control.auditPath, 'utf-8').trim().split('\n').map((l) => JSON.parse(l).outcome);
+  assertEqual(outcomes.join(), 'rejected,rejected,rate-limited,rate-limited,rejected');
+  require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+// --- AfkInbox Tests ---
+console.log('\n\x1b[36m  AfkInbox Module\x1b[0m');
+
+function inboxProxy() {
+  const proxy = whisperProxy();
+  proxy.state = {};
+  proxy._updateState = (changes) => Object.assign(proxy.state, changes);
+  proxy.notified = [];
+  proxy._notify = (message) => proxy.notified.push(message);
+  proxy.whispers = new WhisperControl(proxy, { enabled: false });
+  return proxy;
+}
+
+test('unattended whispers notify and auto-reply once per interval', () => {
+  const proxy = inboxProxy();
+  const events = [];
+  proxy.on('whisper', (w) => events.push(w));
+  const inbox = new AfkInbox(proxy, { autoReply: true, message: 'brb', interval: 60000 });
+  inbox.handlePacket('system_chat', systemWhisper('Alice whispers: you there?'), 0);
+  inbox.handlePacket('system_chat', systemWhisper('Alice whispers: hello??'), 30000);
+  inbox.handlePacket('system_chat', systemWhisper('Bob whispers: hi'), 30000);
+  inbox.handlePacket('system_chat', systemWhisper('Alice whispers: ok'), 60000);
+  assertEqual(proxy.sent.join(), '/msg Alice brb,/msg Bob brb,/msg Alice brb');
+  assertEqual(events.length, 4);
+  assertEqual(proxy.notified[0], 'Whisper from Alice: you there?');
+  assertEqual(proxy.state.afkWhispers, 4);
+  assertEqual(inbox.handlePacket('system_chat', systemWhisper('Server restarting soon')), null);
+});
+
+test('stored whispers are shown to the player once', () => {
+  const proxy = inboxProxy();
+  const told = [];
+  proxy._tell = (player, text) => told.push(text);
+  const inbox = new AfkInbox(proxy, { autoReply: false });
+  inbox.handlePacket('system_chat', systemWhisper('Alice whispers: call me'));
+  assertEqual(proxy.sent.length, 0);
+  assertEqual(inbox.deliver({}), 1);
+  assert(told[0].startsWith('1 whisper while you were away:\n'), told[0]);
+  assert(told[0].endsWith('Alice: call me'), told[0]);
+  assertEqual(inbox.deliver({}), 0);
+  assertEqual(proxy.state.afkWhispers, 0);
+  proxy.proxyClient = {};
+  assertEqual(inbox.handlePacket('system_chat', systemWhisper('Alice whispers: hi')), null);
+});
+
+console.log('\n\x1b[36m  ChatWatcher Module\x1b[0m');
+
+function watcherProxy() {
+  const proxy = inboxProxy();
+  proxy.state.username = 'Bot';
+  return proxy;
+}
+
+test('word, regex and {username} rules match chat', () => {
+  const proxy = watcherProxy();
+  const alerts = [];
+  proxy.on('chatAlert', (a) => alerts.push(a));
+  const watcher = new ChatWatcher(proxy, path.join(proxy.account.dataDir, 'chat-alerts.json'));
+  watcher.add({ pattern: '{username}', cooldown: 0 });
+  watcher.add({ name: 'base', type: 'regex', pattern: '\\b-?12\\d{3}\\b', cooldown: 0 });
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'hey bot, where are you' }).length, 1);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'botany is fun' }).length, 0);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'coords 12345 -300' })[0].name, 'base');
+  assertEqual(watcher.check({ type: 'sent', sender: null, text: 'bot' }).length, 0);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Bot', text: 'Bot here' }).length, 0);
+  assertEqual(alerts.length, 2);
+  assertEqual(proxy.notified[0], '{username}: <Alice> hey bot, where are you');
+  let threw = false;
+  try { watcher.add({ type: 'regex', pattern: '(' }); } catch { threw = true; }
+  assert(threw, 'invalid regex should be rejected');
+  require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+test('sender filters and cooldowns limit alerts', () => {
+  const proxy = watcherProxy();
+  const watcher = new ChatWatcher(proxy, path.join(proxy.account.dataDir, 'chat-alerts.json'));
+  const rule = watcher.add({ pattern: 'stash', senders: '!Spammer', cooldown: 60 });
+  assertEqual(watcher.check({ type: 'chat', sender: 'Spammer', text: 'free stash here' }, 0).length, 0);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'found a stash' }, 0).length, 1);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'another stash' }, 30000).length, 0);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'stash again' }, 60000).length, 1);
+  watcher.update(rule.id, { senders: ['Alice'], enabled: false });
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'stash' }, 200000).length, 0);
+  assertEqual(watcher.update('99', { enabled: true }), null);
+  const reloaded = new ChatWatcher(proxy, watcher.dataPath);
+  assertEqual(reloaded.list()[0].senders.join(), 'Alice');
+  assertEqual(reloaded.list()[0].enabled, false);
+  assert(reloaded.remove(rule.id), 'rule should be removed');
+  assertEqual(new ChatWatcher(proxy, watcher.dataPath).list().length, 0);
+  require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+test('hand-edited rules are completed or dropped on load', () => {
+  const proxy = watcherProxy();
+  const file = path.join(proxy.account.dataDir, 'chat-alerts.json');
+  const fs = require('fs');
+  fs.mkdirSync(proxy.account.dataDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    rules: [
+      { id: '1', pattern: 'stash' },
+      { id: '2', type: 'regex', pattern: '(', senders: 'Alice' },
+      { pattern: 'no id' },
+      { id: '1', pattern: 'again' },
+      null,
+    ],
+  }));
+  const watcher = new ChatWatcher(proxy, file);
+  const rules = watcher.list();
+  assertEqual(rules.length, 1);
+  assertEqual(JSON.stringify(rules[0]), '{"id":"1","name":"stash","type":"word","pattern":"stash","senders":[],"cooldown":60,"enabled":true}');
+  assertEqual(proxy.logs.filter((l) => l.startsWith('Chat alerts: dropping')).length, 4);
+  assertEqual(watcher.check({ type: 'chat', sender: 'Alice', text: 'a stash' }, 0).length, 1);
+  fs.rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+console.log('\n\x1b[36m  SafetyGuard Module\x1b[0m');
+
+function guardedBot() {
+  const proxy = inboxProxy();
+  proxy.state.restartQueue = true;
+  proxy.stopped = 0;
+  proxy.stop = () => { proxy.stopped++; };
+  const bot = new EventEmitter();
+  bot._client = new EventEmitter();
+  bot.username = 'Bot';
+  bot.health = 20;
+  bot.entity = { type: 'player', username: 'Bot', position: { x: 0, y: 64, z: 0 } };
+  bot.entities = { 1: bot.entity };
+  return { proxy, bot };
+}
+
+const guardOptions = { enabled: true, minHealth: 10, onDamage: false, playerRadius: 32, whitelist: ['Friend'], explosionRadius: 16 };
+
+test('strangers and nearby explosions trigger a panic disconnect', () => {
+  const { proxy, bot } = guardedBot();
+  const panics = [];
+  proxy.on('panic', (p) => panics.push(p));
+  const guard = new SafetyGuard(proxy, guardOptions);
+  guard.attach(bot);
+  bot.emit('entityMoved', { type: 'player', username: 'Friend', position: { x: 2, y: 64, z: 0 } });
+  bot.emit('entitySpawn', { type: 'player', username: 'Stranger', position: { x: 100, y: 64, z: 0 } });
+  bot.emit('entitySpawn', { type: 'mob', position: { x: 1, y: 64, z: 0 } });
+  bot._client.emit('explosion', { x: 40, y: 64, z: 0 });
+  assertEqual(proxy.stopped, 0);
+  bot.emit('entityMoved', { type: 'player', username: 'Stranger', position: { x: 20, y: 64, z: 0 } });
+  assertEqual(proxy.stopped, 1);
+  assertEqual(proxy.state.restartQueue, false);
+  assertEqual(panics[0].trigger, 'player');
+  assertEqual(proxy.notified[0], 'Panic disconnect: Stranger came within 20 blocks');
+  // One panic per session
+  bot._client.emit('explosion', { x: 1, y: 64, z: 1 });
+  assertEqual(panics.length, 1);
+  guard.attach(bot);
+  bot._client.emit('explosion', { x: 5, y: 60, z: 0 });
+  assertEqual(panics[1].trigger, 'explosion');
+});
+
+test('health and damage triggers, quiet while a player is connected', () => {
+  const { proxy, bot } = guardedBot();
+  const guard = new SafetyGuard(proxy, { ...guardOptions, onDamage: true });
+  guard.attach(bot);
+  proxy.proxyClient = {};
+  bot.health = 15;
+  bot.emit('health');
+  assertEqual(proxy.stopped, 0);
+  proxy.proxyClient = null;
+  bot.health = 16;
+  bot.emit('health');
+  assertEqual(proxy.stopped, 0);
+  bot.health = 14.5;
+  bot.emit('health');
+  assertEqual(proxy.state.panic.trigger, 'damage');
+  assertEqual(proxy.state.panic.reason, 'took 1.5 damage (health 15/20)');
+
+  const low = guardedBot();
+  new SafetyGuard(low.proxy, guardOptions).attach(low.bot);
+  low.bot.health = 8;
+  low.bot.emit('health');
+  assertEqual(low.proxy.state.panic.trigger, 'health');
+  const off = guardedBot();
+  const disabled = new SafetyGuard(off.proxy, { ...guardOptions, enabled: false });
+  disabled.attach(off.bot);
+  off.bot.health = 1;
+  off.bot.emit('health');
+  assertEqual(off.proxy.stopped, 0);
+});
+
+console.log('\n\x1b[36m  DeathHandler Module\x1b[0m');
+
+function mortalBot(policy) {
+  const { proxy, bot } = guardedBot();
+  bot.entity.id = 7;
+  bot.entity.position = { x: 120.7, y: 64, z: -33.2 };
+  bot.game = { dimension: 'minecraft:the_nether' };
+  bot.isAlive = true;
+  bot.respawns = 0;
+  bot.respawn = () => { bot.respawns++; };
+  const deaths = new DeathHandler(proxy, { policy }, path.join(proxy.account.dataDir, 'deaths.json'));
+  deaths.attach(bot);
+  return { proxy, bot, deaths };
+}
+
+const deathMessage = (text) => nbt.comp({ text: nbt.string(text) });
+
+test('records the death message and coordinates, then respawns', () => {
+  const { proxy, bot, deaths } = mortalBot('respawn');
+  const events = [];
+  proxy.on('death', (d) => events.push(d));
+  const pauses = [];
+  proxy.antiAfk = { pause: () => pauses.push('pause'), resume: () => pauses.push('resume') };
+  // The message arrives before mineflayer notices the death
+  bot._client.emit('death_combat_event', { playerId: 99, message: deathMessage('Someone else died') });
+  bot._client.emit('death_combat_event', { playerId: 7, message: deathMessage('Bot was blown up by Creeper') });
+  assertEqual(bot.respawns, 0);
+  bot.isAlive = false;
+  bot.emit('death');
+  assertEqual(bot.respawns, 1);
+  assertEqual(events.length, 1);
+  assertEqual(events[0].reason, 'Bot was blown up by Creeper');
+  assertEqual(JSON.stringify(events[0].position), '{"x":120,"y":64,"z":-34}');
+  assert(proxy.logs.includes('Bot died at 120 64 -34 (the_nether): Bot was blown up by Creeper'), proxy.logs.join('\n'));
+  bot.emit('spawn');
+  assertEqual(pauses.join(), 'pause,resume');
+  const reloaded = new DeathHandler(proxy, { policy: 'respawn' }, deaths.dataPath);
+  assertEqual(reloaded.list()[0].dimension, 'minecraft:the_nether');
+  require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true });
+});
+
+test('stay and disconnect policies, quiet while a player is linked', () => {
+  const stay = mortalBot('stay');
+  stay.bot.isAlive = false;
+  stay.bot.emit('death');
+  assertEqual(stay.bot.respawns, 0);
+  assertEqual(stay.deaths.list()[0].reason, null);
+  assertEqual(stay.proxy.stopped, 0);
+
+  const leave = mortalBot('disconnect');
+  leave.bot._client.emit('death_combat_event', { playerId: 7, message: deathMessage('Bot fell from a high place') });
+  assertEqual(leave.proxy.stopped, 1);
+  assertEqual(leave.bot.respawns, 0);
+
+  const played = mortalBot('respawn');
+  played.proxy.proxyClient = {};
+  played.bot.isAlive = false;
+  played.bot.emit('death');
+  assertEqual(played.deaths.list().length, 0);
+  assertEqual(played.bot.respawns, 0);
+  [stay, leave, played].forEach(({ proxy }) => require('fs').rmSync(proxy.account.dataDir, { recursive: true, force: true }));
+});
+
+console.log('\n\x1b[36m  WorldStatus Module\x1b[0m');
+
+function worldBot() {
+  const vec = (x, y, z) => ({ x, y, z, offset: (dx, dy, dz) => vec(x + dx, y + dy, z + dz) });
+  const bot = new EventEmitter();
+  bot.entity = { position: vec(100.26, 64, -20.5), yaw: 0, pitch: -Math.PI / 4 };
+  bot.game = { dimension: 'minecraft:overworld' };
+  bot.time = { timeOfDay: 18000, day: 12, isDay: false };
+  bot.isRaining = true;
+  bot.thunderState = 0;
+  bot.blockAt = (p) => (p.y < 64 ? { name: 'obsidian', biome: { name: 'plains' } } : { name: 'air', biome: { name: 'plains' } });
+  bot.vec = vec;
+  return bot;
+}
+
+test('snapshot reports position, facing, ground, time and weather', () => {
+  const snap = WorldStatus.snapshot(worldBot());
+  assertEqual(JSON.stringify(snap.position), '{"x":100.3,"y":64,"z":-20.5}');
+  // mineflayer yaw 0 looks north, which Minecraft calls 180 (or -180)
+  assertEqual(Math.abs(snap.yaw), 180);
+  assertEqual(snap.facing, 'north');
+  assertEqual(snap.pitch, 45);
+  assertEqual(snap.standingOn, 'obsidian');
+  assertEqual(snap.biome, 'plains');
+  assertEqual(snap.clock, '00:00');
+  assertEqual(snap.weather, 'rain');
+  assertEqual(WorldStatus.snapshot(new EventEmitter()), null);
+});
+
+test('state updates only on change, history tracks drift, "where" prints it', () => {
+  const proxy = inboxProxy();
+  const bot = worldBot();
+  const world = new WorldStatus(proxy, { interval: 60000 });
+  world.bot = bot;
+  let updates = 0;
+  proxy._updateState = (changes) => { updates++; Object.assign(proxy.state, changes); };
+  world.update(0);
+  world.update(1000);
+  assertEqual(updates, 1);
+  bot.entity.position = bot.vec(103.26, 64, -16.5);
+  world.update(61000);
+  assertEqual(updates, 2);
+  assertEqual(world.history.length, 2);
+  assertEqual(proxy.state.world.drift.blocks, 5);
+
+  proxy.world = world;
+  const registry = new CommandRegistry(new AccountManager([proxy]));
+  const result = registry.run('where', [], { proxy });
+  assertEqual(result.lines[0], 'Position: 103.3 64 -16.5 (overworld)');
+  assert(result.lines.some((l) => l.startsWith('Drift:    5 blocks')), result.lines.join('\n'));
+  world.detach();
+  assertEqual(proxy.state.world, null);
+  assertEqual(registry.run('where', [], { proxy }).lines[0], 'Not on the server');
+});
+
+console.log('\n\x1b[36m  Radar Module\x1b[0m');
+
+function radarBot() {
+  const bot = new EventEmitter();
+  bot.username = 'AfkBot';
+  bot.entity = { id: 1, type: 'player', username: 'AfkBot', position: { x: 0, y: 64, z: 0 }, yaw: Math.PI / 2 };
+  bot.entities = {
+    1: bot.entity,
+    2: { id: 2, type: 'player', username: 'Steve', position: { x: 0, y: 64, z: -10 } },
+    3: { id: 3, type: 'hostile', name: 'zombie', position: { x: 3, y: 64, z: 4 } },
+    4: { id: 4, type: 'object', name: 'item', position: { x: -2, y: 64, z: 0 }, getDroppedItem: () => ({ name: 'diamond', count: 3 }) },
+    5: { id: 5, type: 'animal', name: 'cow', position: { x: 1, y: 64, z: 1 } },
+    6: { id: 6, type: 'hostile', name: 'creeper', position: { x: 100, y: 64, z: 0 } },
+  };
+  return bot;
+}
+
+test('scan classifies contacts in range with distance and bearing', () => {
+  const contacts = Radar.scan(radarBot(), 64);
+  assertEqual(contacts.map((c) => `${c.kind}:${c.name}`).join(), 'item:diamond x3,hostile:zombie,player:Steve');
+  const [item, zombie, steve] = contacts;
+  assertEqual(item.direction, 'W');
+  assertEqual(item.bearing, 270);
+  assertEqual(zombie.distance, 5);
+  assertEqual(zombie.direction, 'SE');
+  assertEqual(steve.bearing, 0);
+  assertEqual(steve.direction, 'N');
+  assertEqual(Radar.scan(new EventEmitter(), 64).length, 0);
+});
+
+test('players entering and leaving range raise events; radar only on change', () => {
+  const proxy = inboxProxy();
+  const bot = radarBot();
+  const radar = new Radar(proxy, { range: 64 });
+  radar.bot = bot;
+  const events = [];
+  for (const name of ['playerEnter', 'playerLeave', 'radar']) proxy.on(name, (e) => events.push([name, e]));
+
+  radar.update();
+  radar.update();
+  assertEqual(events.map(([name]) => name).join(), 'playerEnter,radar');
+  assertEqual(events[0][1].name, 'Steve');
+  assertEqual(events[1][1].heading, 270);
+
+  bot.entities[2].position = { x: 0, y: 64, z: -80 };
+  radar.update();
+  assertEqual(events.slice(2).map(([name]) => name).join(), 'playerLeave,radar');
+  assertEqual(radar.status().contacts.length, 2);
+  radar.detach();
+  assertEqual(events[events.length - 1][1].active, false);
+});
+
+console.log('\n\x1b[36m  BotInventory Module\x1b[0m');
+
+function inventoryBot() {
+  const item = (slot, name, count, extra = {}) => ({ slot, name, displayName: name, count, enchants: [], ...extra });
+  const bot = new EventEmitter();
+  bot.inventory = new EventEmitter();
+  bot.inventory.slots = [];
+  bot.inventory.slots[5] = item(5, 'diamond_helmet', 1, { maxDurability: 363, durabilityUsed: 63 });
+  bot.inventory.slots[12] = item(12, 'netherite_boots', 1, { maxDurability: 481, enchants: [{ name: 'feather_falling', lvl: 4 }] });
+  bot.inventory.slots[36] = item(36, 'golden_carrot', 40);
+  bot.inventory.slots[37] = item(37, 'cobblestone', 64);
+  bot.inventory.slots[45] = item(45, 'totem_of_undying', 1);
+  bot.quickBarSlot = 0;
+  bot.heldItem = bot.inventory.slots[36];
+  bot.calls = [];
+  bot.equip = async (it, dest) => bot.calls.push(`equip ${it.name} ${dest}`);
+  bot.tossStack = async (it) => bot.calls.push(`toss ${it.slot}`);
+  bot.clickWindow = async (slot, button, mode) => bot.calls.push(`click ${slot} ${button} ${mode}`);
+  bot.setQuickBarSlot = (n) => bot.calls.push(`select ${n}`);
+  return bot;
+}
+
+test('status lists held item, armor, offhand and stacks with durability and enchantments', () => {
+  const inventory = new BotInventory(inboxProxy());
+  assertEqual(inventory.status().active, false);
+  inventory.bot = inventoryBot();
+  const status = inventory.status();
+  assertEqual(status.held.name, 'golden_carrot');
+  assertEqual(JSON.stringify(status.armor.head.durability), '{"left":300,"max":363}');
+  assertEqual(status.armor.torso, null);
+  assertEqual(status.offhand.name, 'totem_of_undying');
+  assertEqual(status.items.map((i) => i.slot).join(), '12,36,37');
+  assertEqual(JSON.stringify(status.items[0].enchants), '[{"name":"feather_falling","level":4}]');
+  assertEqual(BotInventory.armorSlotOf('elytra'), 'torso');
+  assertEqual(BotInventory.armorSlotOf('cobblestone'), null);
+});
+
+test('inventory command runs actions with admin permission, not while a player is linked', () => {
+  const proxy = inboxProxy();
+  const bot = inventoryBot();
+  proxy.inventory = new BotInventory(proxy);
+  proxy.inventory.bot = bot;
+  const registry = new CommandRegistry(new AccountManager([proxy]));
+  const run = (line, permission = 'admin') => registry.runLine(line, { proxy, permission });
+  const error = (line, permission) => {
+    try { run(line, permission); } catch (err) { return err.message; }
+    return '';
+  };
+
+  assert(run('inventory', 'read').lines[0].startsWith('Held:    golden_carrot x40'));
+  assert(error('inventory toss 37', 'read').includes('permission'));
+  for (const action of ['select 1', 'equip 12', 'drop 37', 'toss 37', 'offhand']) {
+    assert(error(`inventory ${action}`, 'control').includes('"admin" permission'), `${action} should need admin`);
+  }
+  assertEqual(bot.calls.length, 0);
+  run('inventory equip 12');
+  run('inventory drop 37');
+  run('inventory toss 37');
+  run('inventory select 1');
+  assertEqual(bot.calls.join(), 'equip netherite_boots feet,click 37 0 4,toss 37,select 1');
+  assert(error('inventory equip 37').includes("isn't armor"));
+  assert(error('inventory drop 20').includes('empty'));
+  assert(error('inventory select 9').includes('0-8'));
+  proxy.proxyClient = {};
+  assert(error('inventory drop 37').includes('player is connected'));
+  assertEqual(bot.calls.length, 4);
+});
+
+console.log('\n\x1b[36m  PlayerTracker Module\x1b[0m');
+
+const playerInfo = (flags, data) => ({ action: Object.fromEntries(flags.map((f) => [f, true])), data });
+const joined = (uuid, name, latency = 50) => ({ uuid, player: { name, properties: [] }, gamemode: 0, listed: 1, latency });
+
+function trackedBot(watchlist = []) {
+  const proxy = inboxProxy();
+  const file = path.join(os.tmpdir(), `2b2t-players-${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+  const tracker = new PlayerTracker(proxy, { watchlist }, file);
+  tracker.bot = new EventEmitter(); // attached, settles at t=5000
+  tracker.settleUntil = 5000;
+  return { proxy, tracker, file };
+}
+
+test('tab list is mirrored; joins and leaves after the initial list are logged and persisted', () => {
+  const { proxy, tracker, file } = trackedBot();
+  const all = ['add_player', 'update_game_mode', 'update_listed', 'update_latency'];
+  tracker.handlePlayerInfo(playerInfo(all, [joined('u1', 'Steve'), joined('u2', 'Alex')]), 1000);
+  tracker.handlePlayerInfo(playerInfo(all, [joined('u3', 'Notch', 120)]), 60000);
+  tracker.handlePlayerInfo(playerInfo(['update_latency'], [{ uuid: 'u1', latency: 75 }]), 61000);
+  tracker.handlePlayerRemove({ players: ['u2'] }, 120000);
+  // Pre-1.19.3 servers: action 0 adds, 4 removes
+  tracker.handlePlayerInfo({ action: 0, data: [{ UUID: 'u4', name: 'Herobrine', gamemode: 1, ping: 10 }] }, 130000);
+
+  const status = tracker.status();
+  assertEqual(status.players.map((p) => p.name).join(), 'Herobrine,Notch,Steve');
+  assertEqual(status.players[2].ping, 75);
+  assertEqual(status.players[0].gamemode, 'creative');
+  assertEqual(tracker.history().map((e) => `${e.type} ${e.name}`).join(), 'join Herobrine,leave Alex,join Notch');
+  assertEqual(tracker.get('alex').lastSeen, new Date(120000).toISOString());
+  assertEqual(tracker.get('alex').joins, 0);
+  assertEqual(tracker.search('o').map((p) => p.name).join(), 'Herobrine,Notch');
+
+  tracker.detach(200000);
+  const reloaded = new PlayerTracker(proxy, {}, file);
+  assertEqual(reloaded.get('Steve').lastSeen, new Date(200000).toISOString());
+  assertEqual(reloaded.history({ name: 'notch' }).length, 1);
+});
+
+test('online name index follows joins, renames, leaves and resets', () => {
+  const { tracker } = trackedBot();
+  const add = (uuid, name, now) => tracker.handlePlayerInfo(playerInfo(['add_player'], [joined(uuid, name)]), now);
+  add('u1', 'Steve', 10000);
+  add('u2', 'Alex', 10000);
+  assertEqual(tracker.get('STEVE').online, true);
+  add('u1', 'Steve2', 11000);
+  assertEqual([...tracker.onlineByName.keys()].sort().join(), 'alex,steve2');
+  assertEqual(tracker.get('Steve').online, false);
+  tracker.handlePlayerRemove({ players: ['u2'] }, 20000);
+  assertEqual(tracker.search('alex')[0].online, false);
+  tracker._reset(30000);
+  assertEqual(tracker.onlineByName.size, 0);
+  assertEqual(tracker.get('steve2').online, false);
+  tracker.detach();
+});
+
+test('watched players are announced; seen and watch commands', () => {
+  const { proxy, tracker } = trackedBot(['Steve']);
+  const events = [];
+  proxy.on('watchedPlayer', (e) => events.push(`${e.name} ${e.online}`));
+  proxy.players = tracker;
+  const registry = new CommandRegistry(new AccountManager([proxy]));
+  const run = (line, permission = 'control') => registry.runLine(line, { proxy, permission });
+
+  run('watch add alex');
+  let error = '';
+  try { run('watch remove steve'); } catch (err) { error = err.message; }
+  assert(error.includes('PLAYER_WATCHLIST'), error);
+  try { run('watch add Notch', 'read'); } catch (err) { error = err.message; }
+  assert(error.includes('permission'), error);
+
+  const add = (uuid, name, now) => tracker.handlePlayerInfo(playerInfo(['add_player'], [joined(uuid, name)]), now);
+  add('u1', 'Steve', 10000);
+  add('u2', 'Alex', 10000);
+  add('u3', 'Notch', 10000);
+  tracker.handlePlayerRemove({ players: ['u2'] }, 20000);
+  assertEqual(events.join(), 'Steve true,Alex true,Alex false');
+  assertEqual(proxy.notified.join(), 'Steve is online,Alex is online,Alex went offline');
+
+  assert(run('seen steve').lines[0].startsWith('Steve is online since'));
+  assert(run('seen Alex').lines[0].startsWith('Alex was last online'));
+  assertEqual(run('seen Nobody').lines[0], 'Never seen Nobody');
+  assertEqual(run('watch').lines[0], 'Steve, alex');
+  tracker.detach();
+});
+
 // --- Web Server Tests ---
 console.log('\n\x1b[36m  Web Server\x1b[0m');
 
 async function testWebServer() {
   // Create a minimal proxy mock
   const mockProxy = new EventEmitter();
+  mockProxy.account = { id: 'main' };
   mockProxy.state = {
+    account: 'main',
     isInQueue: false,
     queuePlace: 'None',
     eta: 'None',
@@ -335,6 +1619,11 @@ async function testWebServer() {
     queueHistory: [],
   });
   mockProxy.getPlayerStats = () => null;
+  mockProxy.deadline = { getPlan: () => null, set: () => null, clear: () => false };
+  mockProxy.scheduler = new Scheduler(mockProxy, path.join(os.tmpdir(), `2b2t-web-schedules-${Date.now()}.json`));
+  mockProxy._log = () => {};
+  mockProxy._updateState = () => {};
+  mockProxy.capture = new PacketCapture(mockProxy, path.join(os.tmpdir(), `2b2t-web-capture-${Date.now()}`));
   mockProxy.start = () => mockProxy.emit('stateChange', mockProxy.state);
   mockProxy.stop = () => mockProxy.emit('stopped');
   mockProxy.toggleRestart = () => {
@@ -343,9 +1632,14 @@ async function testWebServer() {
   mockProxy.toggleAntiAfk = () => {
     mockProxy.state.antiAfkActive = !mockProxy.state.antiAfkActive;
   };
+  mockProxy.chat = new ChatHistory(path.join(os.tmpdir(), `2b2t-web-chat-${Date.now()}.json`));
+  mockProxy.sendChat = (message) => {
+    if (!mockProxy.state.connected) throw new Error('Not connected to the server');
+    mockProxy.chat.add({ type: 'sent', text: message });
+  };
 
   const WebServer = require('../src/web/server');
-  const server = new WebServer(mockProxy);
+  const server = new WebServer(new AccountManager([mockProxy]));
   await server.start();
 
   const baseUrl = `http://127.0.0.1:${config.web.port}`;
@@ -354,16 +1648,18 @@ async function testWebServer() {
   function request(urlPath, options = {}) {
     return new Promise((resolve, reject) => {
       const url = new URL(urlPath, baseUrl);
+      const headers = { ...options.headers };
+      if (options.json) headers['content-type'] = 'application/json';
       const req = http.request(url, {
         method: options.method || 'GET',
-        headers: options.headers || {},
+        headers,
       }, (res) => {
         let body = '';
         res.on('data', (chunk) => body += chunk);
         res.on('end', () => resolve({ status: res.statusCode, body, headers: res.headers }));
       });
       req.on('error', reject);
-      req.end();
+      req.end(options.json ? JSON.stringify(options.json) : undefined);
     });
   }
 
@@ -403,6 +1699,165 @@ async function testWebServer() {
     assertEqual(data.doing, 'idle');
   });
 
+  await asyncTest('API accounts endpoint lists accounts', async () => {
+    const res = await request('/api/accounts');
+    assertEqual(res.status, 200);
+    const data = JSON.parse(res.body);
+    assertEqual(data.length, 1);
+    assertEqual(data[0].id, 'main');
+  });
+
+  await asyncTest('API rejects unknown account', async () => {
+    const res = await request('/api/state?account=nope');
+    assertEqual(res.status, 404);
+    const named = await request('/api/state', { headers: { 'x-account': 'main' } });
+    assertEqual(named.status, 200);
+  });
+
+  await asyncTest('API deadline endpoint reports and validates', async () => {
+    const res = await request('/api/deadline');
+    assertEqual(res.status, 200);
+    assertEqual(JSON.parse(res.body).plan, null);
+    const bad = await request('/api/deadline', { method: 'POST' });
+    assertEqual(bad.status, 400);
+  });
+
+  await asyncTest('API schedules can be added, listed and removed', async () => {
+    const bad = await request('/api/schedules', { method: 'POST', json: { action: 'start', cron: 'nope' } });
+    assertEqual(bad.status, 400);
+    const added = await request('/api/schedules', { method: 'POST', json: { action: 'start', cron: '30 16 * * 1-5' } });
+    assertEqual(added.status, 200);
+    const rule = JSON.parse(added.body);
+    assert(rule.nextRun, 'New rule should have a next run');
+    const list = JSON.parse((await request('/api/schedules')).body);
+    assertEqual(list.length, 1);
+    const removed = await request(`/api/schedules/${rule.id}`, { method: 'DELETE' });
+    assertEqual(removed.status, 200);
+    const missing = await request(`/api/schedules/${rule.id}`, { method: 'DELETE' });
+    assertEqual(missing.status, 404);
+  });
+
+  await asyncTest('API capture can be started and stopped', async () => {
+    const idle = JSON.parse((await request('/api/capture')).body);
+    assertEqual(idle.status, null);
+    const started = await request('/api/capture/start', { method: 'POST' });
+    assertEqual(started.status, 200);
+    assertEqual(JSON.parse(started.body).active, true);
+    const stopped = await request('/api/capture/stop', { method: 'POST' });
+    assertEqual(stopped.status, 200);
+    assertEqual((await request('/api/capture/stop', { method: 'POST' })).status, 409);
+    assertEqual((await request('/api/capture/files/..%2Fsecret.mcap')).status, 404);
+  });
+
+  await asyncTest('API chat history and sending', async () => {
+    mockProxy.chat.add({ type: 'chat', sender: 'Steve', text: 'hello' });
+    const history = JSON.parse((await request('/api/chat')).body);
+    assertEqual(history[history.length - 1].text, 'hello');
+    assertEqual((await request('/api/chat', { method: 'POST', json: {} })).status, 400);
+    assertEqual((await request('/api/chat', { method: 'POST', json: { message: 'hi' } })).status, 409);
+    mockProxy.state.connected = true;
+    assertEqual((await request('/api/chat', { method: 'POST', json: { message: '/kill' } })).status, 200);
+    mockProxy.state.connected = false;
+    const after = JSON.parse((await request(`/api/chat?after=${history[history.length - 1].id}`)).body);
+    assertEqual(after.length, 1);
+    assertEqual(after[0].text, '/kill');
+    mockProxy.chat.flush();
+  });
+
+  await asyncTest('chat from the API and the dashboard needs the say permission', async () => {
+    // A stand-in socket: handlers registered by the server, emits recorded
+    const socket = new EventEmitter();
+    const notices = [];
+    socket.id = 'test';
+    socket.emit = (event, data) => { if (event === 'notice') notices.push(data.message); };
+    for (const onConnection of server.io.sockets.listeners('connection')) onConnection(socket);
+    const sendChat = (...args) => EventEmitter.prototype.emit.call(socket, 'sendChat', ...args);
+
+    const origPermission = config.web.permission;
+    const before = mockProxy.chat.list().length;
+    mockProxy.state.connected = true;
+    config.web.permission = 'read';
+    try {
+      assertEqual((await request('/api/chat', { method: 'POST', json: { message: 'hi' } })).status, 403);
+      sendChat('hi', 'main');
+      assertEqual(notices.length, 1);
+      assert(/permission/.test(notices[0]), 'Should explain the refusal');
+      assertEqual(mockProxy.chat.list().length, before);
+      config.web.permission = 'control';
+      sendChat('hello', 'main');
+      sendChat('ignored', 'nobody');
+      assertEqual(notices.length, 1);
+      assertEqual(mockProxy.chat.list().length, before + 1);
+    } finally {
+      config.web.permission = origPermission;
+      mockProxy.state.connected = false;
+      mockProxy.chat.flush();
+    }
+  });
+
+  await asyncTest('a read-only web user cannot change anything', async () => {
+    const socket = new EventEmitter();
+    const notices = [];
+    socket.id = 'test';
+    socket.emit = (event, data) => { if (event === 'notice') notices.push(data.message); };
+    for (const onConnection of server.io.sockets.listeners('connection')) onConnection(socket);
+    let stops = 0;
+    const origStop = mockProxy.stop;
+    mockProxy.stop = () => { stops++; };
+
+    const origPermission = config.web.permission;
+    config.web.permission = 'read';
+    try {
+      assertEqual((await request('/api/stop', { method: 'POST' })).status, 403);
+      assertEqual((await request('/stop', { method: 'POST' })).status, 403);
+      assertEqual((await request('/api/capture/start', { method: 'POST' })).status, 403);
+      assertEqual((await request('/api/schedules', { method: 'POST', json: { action: 'stop', cron: '0 2 * * *' } })).status, 403);
+      assertEqual((await request('/api/state')).status, 200);
+      EventEmitter.prototype.emit.call(socket, 'stop', 'main');
+      assertEqual(stops, 0);
+      assert(/permission/.test(notices[0]), 'Should explain the refusal');
+      // Capture needs admin, like the capture command
+      config.web.permission = 'control';
+      assertEqual((await request('/api/capture/start', { method: 'POST' })).status, 403);
+      assertEqual((await request('/api/stop', { method: 'POST' })).status, 200);
+      assertEqual(stops, 1);
+    } finally {
+      config.web.permission = origPermission;
+      mockProxy.stop = origStop;
+    }
+    assertEqual(mockProxy.scheduler.list().length, 0);
+  });
+
+  await asyncTest('dashboard is told the web permission on connect', async () => {
+    const socket = new EventEmitter();
+    const sent = {};
+    socket.id = 'test';
+    socket.emit = (event, data) => { sent[event] = data; };
+    const origPermission = config.web.permission;
+    config.web.permission = 'control';
+    try {
+      for (const onConnection of server.io.sockets.listeners('connection')) onConnection(socket);
+    } finally {
+      config.web.permission = origPermission;
+    }
+    assertEqual(sent.permission, 'control');
+  });
+
+  await asyncTest('API runs registry commands', async () => {
+    const list = JSON.parse((await request('/api/commands')).body);
+    assert(list.some((c) => c.name === 'status'), 'status should be listed');
+    assert(!list.some((c) => c.name === 'exit'), 'exit is terminal-only');
+    const res = await request('/api/commands/antiafk', { method: 'POST', json: {} });
+    assertEqual(res.status, 200);
+    assertEqual(JSON.parse(res.body).data.antiAfkActive, mockProxy.state.antiAfkActive);
+    mockProxy.toggleAntiAfk();
+    const status = JSON.parse((await request('/api/commands/update', { method: 'POST', json: {} })).body);
+    assertEqual(status.command, 'status');
+    assertEqual(status.data.doing, 'idle');
+    assertEqual((await request('/api/commands/deadline', { method: 'POST', json: { args: 'soon-ish' } })).status, 400);
+    assertEqual((await request('/api/commands/nope', { method: 'POST', json: {} })).status, 404);
+  });
+
   await asyncTest('API start endpoint works', async () => {
     const res = await request('/api/start', { method: 'POST' });
     assertEqual(res.status, 200);
@@ -473,8 +1928,212 @@ async function testWebServer() {
   await server.shutdown();
 }
 
+// --- AutoEat Tests ---
+async function testAutoEat() {
+  console.log('\n\x1b[36m  AutoEat Module\x1b[0m');
+  const foods = require('minecraft-data')(config.mc.version).foodsByName;
+
+  function hungryBot(items) {
+    const proxy = inboxProxy();
+    const bot = new EventEmitter();
+    bot.food = 10;
+    bot.quickBarSlot = 2;
+    bot.registry = { foodsByName: foods };
+    bot.inventory = { items: () => items };
+    bot.eaten = [];
+    bot.equip = async (item) => { bot.held = item; bot.quickBarSlot = 0; };
+    bot.consume = async () => {
+      bot.eaten.push(bot.held.name);
+      bot.food = Math.min(20, bot.food + foods[bot.held.name].foodPoints);
+    };
+    bot.setQuickBarSlot = (slot) => { bot.quickBarSlot = slot; };
+    return { proxy, bot };
+  }
+
+  await asyncTest('eats the best allowed food until full enough, then restores the slot', async () => {
+    const { proxy, bot } = hungryBot([{ name: 'rotten_flesh' }, { name: 'bread' }, { name: 'cooked_beef' }]);
+    const eat = new AutoEat(proxy, { hunger: 19 });
+    assertEqual(eat.pickFood(bot.inventory.items(), foods).name, 'cooked_beef');
+    const pauses = [];
+    proxy.antiAfk = { pause: () => pauses.push('pause'), resume: () => pauses.push('resume') };
+    eat.bot = bot;
+    assertEqual(await eat.check(), true);
+    assertEqual(bot.eaten.join(), 'cooked_beef,cooked_beef');
+    assertEqual(bot.quickBarSlot, 2);
+    assertEqual(pauses.join(), 'pause,resume,pause,resume');
+    assertEqual(await eat.check(), false, 'Not hungry any more');
+  });
+
+  await asyncTest('dying while eating keeps anti-AFK paused until the respawn', async () => {
+    const { proxy, bot } = mortalBot('stay');
+    const { bot: eater } = hungryBot([{ name: 'bread' }]);
+    Object.assign(bot, { food: 10, quickBarSlot: 2, registry: eater.registry, inventory: eater.inventory, equip: eater.equip });
+    bot.setQuickBarSlot = (slot) => { bot.quickBarSlot = slot; };
+    bot.setControlState = () => {};
+    bot.consume = async () => {
+      bot.isAlive = false;
+      bot.emit('death');
+      throw new Error('Consuming cancelled');
+    };
+    proxy.antiAfk = new AntiAFK(bot, { interval: 100000 });
+    proxy.antiAfk.start();
+    const eat = new AutoEat(proxy, { hunger: 19 });
+    eat.bot = bot;
+    try {
+      assertEqual(await eat.check(), false);
+      assertEqual(proxy.antiAfk.paused, true, 'Eating is over but the bot is dead');
+      bot.isAlive = true;
+      bot.emit('spawn');
+      assertEqual(proxy.antiAfk.paused, false);
+    } finally {
+      proxy.antiAfk.stop();
+    }
+  });
+
+  await asyncTest('alerts once when out of food and stays off while a player is linked', async () => {
+    const { proxy, bot } = hungryBot([{ name: 'spider_eye' }, { name: 'stone' }]);
+    const alerts = [];
+    proxy.on('noFood', (info) => alerts.push(info));
+    const eat = new AutoEat(proxy);
+    eat.attach(bot);
+    await eat.check();
+    bot.emit('health');
+    assertEqual(alerts.length, 1);
+    assertEqual(alerts[0].food, 10);
+    assertEqual(proxy.notified[0], 'The bot is out of food');
+    const linked = hungryBot([{ name: 'bread' }]);
+    linked.proxy.proxyClient = {};
+    const idle = new AutoEat(linked.proxy);
+    idle.bot = linked.bot;
+    assertEqual(await idle.check(), false);
+    assertEqual(linked.bot.eaten.length, 0);
+    eat.detach();
+    assertEqual(bot.listenerCount('health'), 0);
+  });
+}
+
+// --- Simulated Queue (protocol-level) Tests ---
+// A real protocol client against the simulator, with its packets run through
+// the queue detector. ProxyManager itself is not in the loop (it needs
+// mcproxy and a live auth flow), so this covers the wire format and the
+// detector, not the reconnect logic.
+async function testSimulator() {
+  console.log('\n\x1b[36m  Queue Simulator (protocol-level)\x1b[0m');
+  const mc = require('minecraft-protocol');
+
+  /**
+   * Join a simulator with a real protocol client and feed every packet through
+   * the queue detector. Resolves with what happened once the queue finishes,
+   * the client is kicked, or the timeout hits.
+   */
+  async function runQueue(options, { onPosition } = {}) {
+    const sim = new QueueSimulator({ port: 0, interval: 40, ...options });
+    const port = await sim.listen();
+    const detector = createQueueDetector({ detector: '2b2t' });
+    const result = { positions: [], finished: null, kicked: null, messages: [] };
+
+    await new Promise((resolve) => {
+      const client = mc.createClient({ host: '127.0.0.1', port, username: 'Tester', auth: 'offline', version: config.mc.version });
+      const done = () => { clearTimeout(timer); resolve(); };
+      const timer = setTimeout(() => { client.end(); resolve(); }, 8000);
+
+      client.on('packet', (data, meta) => {
+        if (meta.name === 'system_chat') result.messages.push(extractChatText(data.content));
+        // Server transfer: a second play-state login once positions were seen
+        if (meta.name === 'login' && result.positions.length > 0) {
+          result.finished = 'transfer';
+          client.end();
+          return done();
+        }
+        const event = detector.handlePacket(meta.name, data);
+        if (event?.type === 'position') {
+          result.positions.push(event.position);
+          if (onPosition) onPosition(sim, event.position);
+        } else if (event?.type === 'finished' && !result.finished) {
+          result.finished = event.inferred ? 'inferred' : 'chat';
+          client.end();
+          done();
+        }
+      });
+      client.on('kick_disconnect', (packet) => { result.kicked = extractChatText(packet.reason); });
+      client.on('end', done);
+      client.on('error', done);
+    });
+
+    sim.close();
+    return result;
+  }
+
+  await asyncTest('simulated queue counts down and finishes in chat', async () => {
+    const result = await runQueue({ startPosition: 4, finish: 'chat' });
+    assertEqual(result.positions.join(','), '4,3,2,1');
+    assertEqual(result.finished, 'chat');
+  });
+
+  await asyncTest('simulated queue can finish with a server transfer', async () => {
+    const result = await runQueue({ startPosition: 3, step: 2, finish: 'transfer' });
+    assertEqual(result.positions.join(','), '3,1');
+    assertEqual(result.finished, 'transfer');
+  });
+
+  await asyncTest('simulator injects restart announcements and kicks', async () => {
+    const result = await runQueue({ startPosition: 50, interval: 1000 }, {
+      onPosition: (sim) => {
+        sim.restart(5);
+        setTimeout(() => sim.restart(0), 50);
+      },
+    });
+    assert(result.messages.includes('[SERVER] Server restarting in 5 minutes...'), 'Restart should be announced');
+    assertEqual(result.kicked, 'Server restarting');
+    assertEqual(result.finished, null);
+  });
+
+  await asyncTest('packet capture records a session and replays it to a client', async () => {
+    const dir = path.join(os.tmpdir(), `2b2t-capture-${Date.now()}`);
+    const proxy = { account: { id: 'main', dataDir: dir }, _log: () => {}, _updateState: () => {} };
+    const capture = new PacketCapture(proxy, dir);
+    const sim = new QueueSimulator({ port: 0, interval: 40, startPosition: 3 });
+    const port = await sim.listen();
+
+    capture.start();
+    const client = mc.createClient({ host: '127.0.0.1', port, username: 'Tester', auth: 'offline', version: config.mc.version });
+    capture.attach(client);
+    await new Promise((resolve) => sim.once('finished', () => setTimeout(resolve, 100)));
+    client.end();
+    const result = capture.stop();
+    sim.close();
+
+    const { meta, entries } = readCapture(result.file);
+    assertEqual(meta.version, config.mc.version);
+    assertEqual(entries.length, result.packets);
+    const names = new Set(entries.map((e) => `${e.direction} ${e.state}.${e.name}`));
+    assert(names.has('proxy>server login.login_start'), 'Outgoing packets should be named');
+    assert(names.has('server>proxy configuration.registry_data'), 'Configuration packets should be recorded');
+    assert(names.has('server>proxy play.playerlist_header'), 'Play packets should be recorded');
+
+    // Replay what the server sent into a fresh client at full speed
+    const replay = await replayToClient(result.file, { port: 0, speed: 0, upstream: true });
+    const detector = createQueueDetector({ detector: '2b2t' });
+    const positions = [];
+    await new Promise((resolve) => {
+      const viewer = mc.createClient({ host: '127.0.0.1', port: replay.port, username: 'Viewer', auth: 'offline', version: config.mc.version });
+      const timer = setTimeout(resolve, 5000);
+      viewer.on('packet', (data, meta) => {
+        const event = detector.handlePacket(meta.name, data);
+        if (event?.type === 'position') positions.push(event.position);
+      });
+      replay.once('done', () => setTimeout(() => { clearTimeout(timer); viewer.end(); resolve(); }, 100));
+      viewer.on('error', resolve);
+    });
+    replay.close();
+    assertEqual(positions.join(','), '3,2,1');
+  });
+}
+
 // --- Run all tests ---
 (async () => {
+  await testAutoEat();
+  await testSimulator();
   await testWebServer();
 
   // Summary